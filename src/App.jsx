@@ -1,82 +1,115 @@
-import { useEffect, useMemo, useState } from "react";
-import axios from "axios";
+import { useEffect, useMemo, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { X, Search } from "lucide-react";
-
-const API_BASE = "https://pokeapi.co/api/v2";
-
-function clamp(n, a, b) {
-  return Math.max(a, Math.min(b, n));
-}
-
-function computePowerScore(stats = []) {
-  const weight = {
-    hp: 0.9,
-    attack: 1.2,
-    defense: 0.9,
-    "special-attack": 1.0,
-    "special-defense": 0.9,
-    speed: 1.1,
-  };
-  let score = 0;
-  for (const s of stats) {
-    const key = s.stat.name;
-    const w = weight[key] ?? 1.0;
-    score += s.base_stat * w;
-  }
-  // Normalize to roughly 0-100
-  return clamp(Math.round((score / 800) * 100), 1, 100);
-}
-
-function useLocalStorage(key, initial) {
-  const [state, setState] = useState(() => {
-    try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : initial;
-    } catch {
-      return initial;
-    }
-  });
-
-  useEffect(() => {
-    try {
-      localStorage.setItem(key, JSON.stringify(state));
-    } catch (err) {
-      console.log(err);
-    }
-  }, [key, state]);
-  return [state, setState];
-}
-
-/* Small presentational Pokeball SVG (inline, avoids external icon deps) */
-function PokeballSVG({ className = "h-5 w-5" }) {
-  return (
-    <svg viewBox="0 0 48 48" fill="none" className={className} aria-hidden>
-      <circle cx="24" cy="24" r="22" fill="#fff" opacity="0.06" />
-      <path d="M6 24a18 18 0 0 1 36 0" fill="#ef4444" />
-      <path d="M6 24a18 18 0 0 0 36 0" fill="#fff" />
-      <circle cx="24" cy="24" r="6" fill="#fff" />
-      <circle cx="24" cy="24" r="4" fill="#111827" />
-      <path
-        d="M6 24h36"
-        stroke="#111827"
-        strokeWidth="2.5"
-        strokeLinecap="round"
-      />
-    </svg>
-  );
-}
+import { X, Search, SlidersHorizontal, RotateCw, WifiOff } from "lucide-react";
+import api, { getPokemon } from "./api/client";
+import BattleView from "./components/BattleView";
+import CatchDialog from "./components/CatchDialog";
+import CollectionPage from "./components/CollectionPage";
+import DexProgressPage from "./components/DexProgressPage";
+import ComparePage from "./components/ComparePage";
+import EvolutionChain from "./components/EvolutionChain";
+import ExplorePage from "./components/ExplorePage";
+import FilterPanel from "./components/FilterPanel";
+import GameView from "./components/GameView";
+import LearnsetExplorer from "./components/LearnsetExplorer";
+import TeamBuilder from "./components/TeamBuilder";
+import PokeballSVG from "./components/PokeballSVG";
+import ProfileDialog from "./components/ProfileDialog";
+import PowerScore from "./components/PowerScore";
+import SpriteGallery from "./components/SpriteGallery";
+import StatCalculator from "./components/StatCalculator";
+import TypeMatchups from "./components/TypeMatchups";
+import useDexSearch from "./hooks/useDexSearch";
+import useI18n from "./hooks/useI18n";
+import useProfiles from "./hooks/useProfiles";
+import useToasts from "./hooks/useToasts";
+import useLocalNames from "./hooks/useLocalNames";
+import useLocation from "./hooks/useLocation";
+import useOnline from "./hooks/useOnline";
+import useVirtualGrid from "./hooks/useVirtualGrid";
+import usePersistentState from "./hooks/usePersistentState";
+import {
+  applyFilters,
+  filtersFromQuery,
+  filtersToQuery,
+  isDefaultFilters,
+} from "./lib/filters";
+import { ACHIEVEMENTS, newlyUnlocked } from "./lib/achievements";
+import { BALLS, attemptCatch } from "./lib/capture";
+import { createEntry, displayName } from "./lib/collection";
+import { MAX_COMPARE, parseCompareParam } from "./lib/compare";
+import { caughtIds, markSeen, seenIds } from "./lib/dex";
+import { recordSession } from "./lib/game";
+import { clamp } from "./lib/math";
+import {
+  NATIONAL_DEX_SIZE,
+  TYPES,
+  featuredMoves,
+  loadedItems,
+  mergeById,
+  toCatchTarget,
+} from "./lib/pokemon";
+import { LANGUAGES } from "./i18n";
+import { createRng, randomSeed } from "./lib/rng";
+import { rollShiny } from "./lib/sprites";
+import {
+  comparePath,
+  isModalRoute,
+  matchRoute,
+  pokemonPath,
+} from "./lib/routes";
 
 export default function App() {
+  const { lang, setLang, t } = useI18n();
+  const { active: profile, stores } = useProfiles();
+  const [showProfiles, setShowProfiles] = useState(false);
+  const [location, navigate] = useLocation();
+  const route = matchRoute(location.pathname);
+  // A modal route draws over the page it was opened from (or the list when
+  // the page was loaded on it directly).
+  const background = isModalRoute(route)
+    ? matchRoute((location.state?.background ?? "/").split("?")[0])
+    : route;
+  // "dex" | "collection" | "teams" | "compare" | "explore" | "pokedex"
+  const view = background.name;
+  const [initialQuery] = useState(() =>
+    filtersFromQuery(window.location.search)
+  );
   const [list, setList] = useState([]);
-  const [nextUrl, setNextUrl] = useState(`${API_BASE}/pokemon?limit=20`);
+  const [nextUrl, setNextUrl] = useState("/pokemon?limit=20");
   const [loading, setLoading] = useState(false);
-  const [search, setSearch] = useState("");
-  const [selected, setSelected] = useState(null);
-  const [caught, setCaught] = useLocalStorage("caught_pokemon_v1", []);
-  const [gameMode, setGameMode] = useState(false);
-  const [gameRound, setGameRound] = useState(null);
-  const [error, setError] = useState(null);
+  const [search, setSearch] = useState(initialQuery.search);
+  const [filters, setFilters] = useState(initialQuery.filters);
+  const [showFilters, setShowFilters] = useState(
+    !isDefaultFilters(initialQuery.filters)
+  );
+  // the loaded Pokémon for the /pokemon/:nameOrId route: `{ key, data }`
+  const [detail, setDetail] = useState(null);
+  const [detailTab, setDetailTab] = useState("overview");
+  const [compareNames, setCompareNames] = useState(() => {
+    const params = new URLSearchParams(window.location.search);
+    // `?compare=` is the pre-routing share link
+    return parseCompareParam(params.get("pokemon") ?? params.get("compare"));
+  });
+  const [caught, setCaught] = usePersistentState(stores.caught);
+  const [battleMode, setBattleMode] = useState(false);
+  const [encounter, setEncounter] = useState(null);
+  const [inventory, setInventory] = usePersistentState(stores.inventory);
+  const [gameStats, setGameStats] = usePersistentState(stores.gameStats);
+  const [dex, setDex] = usePersistentState(stores.dex);
+  const [unlocked, setUnlocked] = usePersistentState(stores.achievements);
+  const [teams, setTeams] = usePersistentState(stores.teams);
+  const [powerSettings, setPowerSettings] = usePersistentState(
+    stores.powerSettings
+  );
+  // Quick Evaluation result: `{ name, stats }` or `{ error }` (a message key)
+  const [evaluation, setEvaluation] = useState(null);
+  // dex entries whose details failed to load: `{ name, url, retrying }`
+  const [failed, setFailed] = useState([]);
+  // bumped to load the current detail route again after a failure
+  const [detailAttempt, setDetailAttempt] = useState(0);
+  const { notify } = useToasts();
+  const online = useOnline();
 
   useEffect(() => {
     // initial load
@@ -88,135 +121,305 @@ export default function App() {
     if (!nextUrl) return;
     setLoading(true);
     try {
-      const res = await axios.get(nextUrl);
-      const results = res.data.results; // [{name, url}, ...]
-      setNextUrl(res.data.next);
-      // fetch details in parallel
-      const details = await Promise.all(
-        results.map(async (r) => {
-          try {
-            const dr = await axios.get(r.url);
-            return {
-              id: dr.data.id,
-              name: dr.data.name,
-              sprite:
-                dr.data.sprites?.other?.["official-artwork"]?.front_default ||
-                dr.data.sprites?.front_default ||
-                "",
-              types: dr.data.types.map((t) => t.type.name),
-              stats: dr.data.stats,
-            };
-          } catch {
-            return null;
-          }
-        })
+      const page = await api.get(nextUrl);
+      const results = page.results; // [{name, url}, ...]
+      setNextUrl(page.next);
+      // fetch details in parallel; failures are listed so they can be retried
+      const settled = await Promise.allSettled(
+        results.map((r) => api.get(r.url))
       );
-      setList((s) => {
-        const merged = [...s, ...details.filter(Boolean)];
-        const unique = merged.filter(
-          (item, index, self) =>
-            index === self.findIndex((p) => p.id === item.id)
-        );
-        return unique;
-      });
+      const lost = results.filter((_, i) => settled[i].status === "rejected");
+      setList((s) => mergeById(s, loadedItems(settled)));
+      setFailed((f) => [
+        ...f.filter((x) => !lost.some((r) => r.url === x.url)),
+        ...lost.map((r) => ({ name: r.name, url: r.url, retrying: false })),
+      ]);
     } catch (e) {
       console.error(e);
-      setError("Gagal mengambil daftar Pokemon");
+      notify({
+        tone: "error",
+        key: "loadList",
+        message: t("errors.loadList"),
+        actions: [{ label: t("toasts.retry"), onClick: loadMore }],
+      });
     } finally {
       setLoading(false);
     }
   }
 
-  const filtered = useMemo(() => {
-    if (!search) return list;
-    return list.filter((p) => p.name.includes(search.toLowerCase()));
-  }, [list, search]);
-
-  async function openDetail(name) {
-    setError(null);
-    try {
-      const res = await axios.get(`${API_BASE}/pokemon/${name}`);
-      const d = res.data;
-      setSelected({
-        id: d.id,
-        name: d.name,
-        sprite:
-          d.sprites?.other?.["official-artwork"]?.front_default ||
-          d.sprites.front_default ||
-          "",
-        types: d.types.map((t) => t.type.name),
-        stats: d.stats,
-        abilities: d.abilities.map((a) => a.ability.name),
-        weight: d.weight,
-        height: d.height,
-        moves: d.moves.slice(0, 12).map((m) => m.move.name),
+  async function retryFailed(entries) {
+    const urls = new Set(entries.map((f) => f.url));
+    setFailed((f) =>
+      f.map((x) => (urls.has(x.url) ? { ...x, retrying: true } : x))
+    );
+    const settled = await Promise.allSettled(
+      entries.map((f) => api.get(f.url))
+    );
+    const fixed = new Set(
+      entries
+        .filter((_, i) => settled[i].status === "fulfilled")
+        .map((f) => f.url)
+    );
+    setList((s) => mergeById(s, loadedItems(settled)));
+    setFailed((f) =>
+      f
+        .filter((x) => !fixed.has(x.url))
+        .map((x) => (urls.has(x.url) ? { ...x, retrying: false } : x))
+    );
+    if (fixed.size < entries.length) {
+      notify({
+        tone: "error",
+        key: "retryFailed",
+        message: t("errors.stillFailing", {
+          count: entries.length - fixed.size,
+        }),
       });
-    } catch (e) {
-      console.error(e);
-      setError("Gagal ambil detail Pokemon");
     }
   }
 
-  function closeDetail() {
-    setSelected(null);
-  }
+  const { results: searchResults, searching } = useDexSearch(search, list);
 
-  function tryCatch(pokemon) {
-    // pokemon should include stats (if called from detail) or not
-    const hpStat =
-      pokemon.stats?.find((s) => s.stat.name === "hp")?.base_stat ?? 50;
-    const baseChance = clamp(80 - hpStat * 0.3, 10, 80); // lower HP -> higher chance
-    const roll = Math.random() * 100;
-    const success = roll < baseChance;
-    if (success) {
-      setCaught((prev) => {
-        if (prev.find((p) => p.id === pokemon.id)) return prev;
-        return [
-          ...prev,
-          { id: pokemon.id, name: pokemon.name, sprite: pokemon.sprite },
-        ];
-      });
-    }
-    return success;
-  }
+  const filtered = useMemo(
+    () =>
+      applyFilters(searchResults, filters, new Set(caught.map((c) => c.id))),
+    [searchResults, filters, caught]
+  );
 
-  async function startGame() {
-    setGameMode(true);
-    if (list.length < 8 && nextUrl) await loadMore();
-    const pool = list.slice();
-    if (pool.length < 4) {
-      setError("Butuh setidaknya 4 Pokémon ter-load untuk game");
-      setGameMode(false);
+  const grid = useVirtualGrid(filtered.length);
+  const visible = filtered.slice(grid.start, grid.end);
+
+  // Load the next page as the window nears the end of the grid. A page that
+  // adds nothing visible (a narrow filter) pauses this until the result
+  // count changes, so it doesn't pull in the whole dex; "Load more" still
+  // works.
+  const autoLoadedAt = useRef(-1);
+  useEffect(() => {
+    const idle = view === "dex" && online && !search && !loading;
+    if (!idle || !nextUrl || !list.length) {
       return;
     }
-    const answer = pool[Math.floor(Math.random() * pool.length)];
-    const choices = [answer];
-    while (choices.length < 4) {
-      const c = pool[Math.floor(Math.random() * pool.length)];
-      if (!choices.find((x) => x.id === c.id)) choices.push(c);
+    if (grid.rowsBelow > 2 || autoLoadedAt.current === filtered.length) return;
+    autoLoadedAt.current = filtered.length;
+    loadMore();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [
+    view,
+    search,
+    loading,
+    nextUrl,
+    list.length,
+    online,
+    grid.rowsBelow,
+    filtered.length,
+  ]);
+
+  // Keep the filter state (or the comparison) in the URL so the view can be
+  // shared.
+  useEffect(() => {
+    const legacyCompare = new URLSearchParams(window.location.search).has(
+      "compare"
+    );
+    if (route.name === "dex" && legacyCompare) {
+      navigate(comparePath(compareNames), { replace: true });
+    } else if (route.name === "dex") {
+      const query = filtersToQuery(filters, search);
+      navigate(query ? `/?${query}` : "/", {
+        replace: true,
+        state: window.history.state,
+      });
+    } else if (route.name === "compare") {
+      navigate(comparePath(compareNames), {
+        replace: true,
+        state: window.history.state,
+      });
     }
-    // shuffle
-    for (let i = choices.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [choices[i], choices[j]] = [choices[j], choices[i]];
+  }, [filters, search, route.name, compareNames, navigate]);
+
+  useEffect(() => {
+    if (route.name !== "pokemon") return;
+    let alive = true;
+    setDetailTab("overview");
+    getPokemon(route.param)
+      .then((d) => {
+        if (!alive) return;
+        setDex((x) => markSeen(x, [d.id]));
+        setDetail({
+          key: route.param,
+          data: {
+            ...toCatchTarget(d),
+            abilities: d.abilities.map((a) => a.ability.name),
+            weight: d.weight,
+            height: d.height,
+            moves: featuredMoves(d),
+            learnset: d.moves,
+            sprites: d.sprites,
+            forms: d.forms.map((f) => f.name),
+          },
+        });
+      })
+      .catch((e) => {
+        console.error(e);
+        if (!alive) return;
+        notify({
+          tone: "error",
+          key: "loadDetail",
+          message: t("errors.loadDetail"),
+          actions: [
+            {
+              label: t("toasts.retry"),
+              onClick: () => setDetailAttempt((n) => n + 1),
+            },
+          ],
+        });
+      });
+    return () => {
+      alive = false;
+    };
+    // `t` is left out so switching language doesn't reload the detail
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [route.name, route.param, detailAttempt, setDex, notify]);
+
+  const selected =
+    route.name === "pokemon" && detail?.key === route.param
+      ? detail.data
+      : null;
+  const gameMode = route.name === "game";
+
+  const progress = useMemo(
+    () => ({
+      caught,
+      caughtIds: caughtIds(caught),
+      seenIds: seenIds(dex, caught),
+      gameStats,
+    }),
+    [caught, dex, gameStats]
+  );
+
+  useEffect(() => {
+    const fresh = newlyUnlocked(progress, unlocked);
+    if (fresh.length === 0) return;
+    const at = new Date().toISOString();
+    setUnlocked((u) => ({
+      ...Object.fromEntries(fresh.map((a) => [a.id, at])),
+      ...u,
+    }));
+    for (const a of fresh) {
+      notify({
+        tone: "success",
+        title: t("achievements.unlocked"),
+        message: t(a.label),
+        actions: [
+          { label: t("toasts.view"), onClick: () => showPage("/pokedex") },
+        ],
+      });
     }
-    setGameRound({ answer, choices });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [progress, unlocked, setUnlocked, notify]);
+
+  const nameOf = useLocalNames({
+    pokemon: [...visible.map((p) => p.id), selected?.id].filter(Boolean),
+    type: TYPES,
+    ability: selected?.abilities,
+    move: selected?.moves,
+  });
+
+  function showPage(path) {
+    navigate(path);
   }
 
-  function endGame() {
-    setGameMode(false);
-    setGameRound(null);
+  // Opens a modal route on top of the current page. Moving between modals
+  // (e.g. along an evolution chain) replaces the entry, so Back always
+  // returns to the page underneath.
+  function openModal(path) {
+    const inModal = isModalRoute(route);
+    navigate(path, {
+      replace: inModal,
+      state: {
+        background: inModal
+          ? location.state?.background
+          : `${location.pathname}${location.search}`,
+      },
+    });
+  }
+
+  function closeModal() {
+    if (location.state?.background) window.history.back();
+    else navigate("/", { replace: true });
+  }
+
+  function toggleCompare(name) {
+    setCompareNames((prev) =>
+      prev.includes(name)
+        ? prev.filter((n) => n !== name)
+        : prev.length < MAX_COMPARE
+          ? [...prev, name]
+          : prev
+    );
+  }
+
+  function openDetail(nameOrId) {
+    openModal(pokemonPath(nameOrId));
+  }
+
+  // Throws one ball from the inventory at `pokemon`. `options` are the
+  // capture inputs (`captureRate`, `ball`, `hpRatio`, `status`); pass an
+  // `rng` to make the outcome reproducible. A catch may roll shiny; its
+  // level is the encounter's (`pokemon.level`) or a random one.
+  function tryCatch(pokemon, options, rng = createRng(randomSeed())) {
+    if (!inventory[options.ball]) return { caught: false, shakes: 0 };
+    setInventory((inv) => ({ ...inv, [options.ball]: inv[options.ball] - 1 }));
+    const result = attemptCatch(options, rng);
+    if (!result.caught) return result;
+    const level = pokemon.level ?? 3 + rng.int(38);
+    const shiny = Boolean(pokemon.shinySprite) && rollShiny(rng);
+    setCaught((prev) => [
+      ...prev,
+      createEntry(pokemon, { source: "wild", level, shiny }),
+    ]);
+    return { ...result, shiny };
+  }
+
+  function updateEntry(uid, patch) {
+    setCaught((prev) =>
+      prev.map((c) => (c.uid === uid ? { ...c, ...patch } : c))
+    );
+  }
+
+  function releaseEntry(uid) {
+    setCaught((prev) => prev.filter((c) => c.uid !== uid));
+  }
+
+  async function startEncounter(name) {
+    try {
+      setEncounter(toCatchTarget(await getPokemon(name)));
+    } catch (e) {
+      console.error(e);
+      notify({
+        tone: "error",
+        key: "loadDetail",
+        message: t("errors.loadDetail"),
+        actions: [
+          { label: t("toasts.retry"), onClick: () => startEncounter(name) },
+        ],
+      });
+    }
+  }
+
+  function startGame() {
+    openModal("/game");
+    // easy mode draws from loaded Pokémon, so make sure there are a few
+    if (list.length < 8 && nextUrl) loadMore();
   }
 
   function renderTypes(types) {
     return (
       <div className="flex gap-2">
-        {types.map((t) => (
+        {types.map((type) => (
           <span
-            key={t}
-            className="rounded-full bg-white/6 px-3 py-1 text-xs font-medium"
+            key={type}
+            className="rounded-full bg-white/6 px-3 py-1 text-xs font-medium capitalize"
           >
-            {t}
+            {nameOf("type", type, type)}
           </span>
         ))}
       </div>
@@ -232,19 +435,57 @@ export default function App() {
               <PokeballSVG className="h-5 w-5" />
             </div>
             <div>
-              <h1 className="text-2xl font-semibold">Playing Pokemon</h1>
-              <p className="text-sm text-white/70">
-                Browse, evaluate, play & catch Pokémon
-              </p>
+              <h1 className="text-2xl font-semibold">{t("app.title")}</h1>
+              <p className="text-sm text-white/70">{t("app.tagline")}</p>
             </div>
           </div>
 
           <div className="flex items-center gap-3">
+            <button
+              onClick={() => setShowProfiles(true)}
+              title={t("profiles.title")}
+              className="flex items-center gap-2 rounded-full bg-white/5 px-3 py-2 text-sm"
+            >
+              <span className="text-lg leading-none">{profile.avatar}</span>
+              {profile.name}
+            </button>
+
+            <button
+              onClick={() =>
+                showPage(view === "collection" ? "/" : "/collection")
+              }
+              className={`rounded-full px-4 py-2 text-sm ${
+                view === "collection" ? "bg-indigo-600" : "bg-white/5"
+              }`}
+            >
+              {view === "collection"
+                ? t("nav.backToDex")
+                : t("nav.collection", { count: caught.length })}
+            </button>
+
+            <button
+              onClick={() => showPage(view === "explore" ? "/" : "/explore")}
+              className={`rounded-full px-4 py-2 text-sm ${
+                view === "explore" ? "bg-indigo-600" : "bg-white/5"
+              }`}
+            >
+              {t("nav.explore")}
+            </button>
+
+            <button
+              onClick={() => showPage(view === "teams" ? "/" : "/teams")}
+              className={`rounded-full px-4 py-2 text-sm ${
+                view === "teams" ? "bg-indigo-600" : "bg-white/5"
+              }`}
+            >
+              {t("nav.teams")}
+            </button>
+
             <button
               onClick={() => startGame()}
               className="rounded-full bg-white/5 px-4 py-2 text-sm hover:bg-white/6"
             >
-              Play Game
+              {t("nav.playGame")}
             </button>
 
             <div className="rounded-2xl border border-white/10 bg-white/3 px-3 py-2">
@@ -253,140 +494,345 @@ export default function App() {
                 <input
                   value={search}
                   onChange={(e) => setSearch(e.target.value)}
-                  placeholder="Search pokemon..."
+                  placeholder={t("nav.searchPlaceholder")}
                   className="bg-transparent text-sm placeholder:text-white/60 outline-none"
                 />
               </div>
             </div>
+
+            <select
+              value={lang}
+              onChange={(e) => setLang(e.target.value)}
+              aria-label={t("app.language")}
+              className="rounded-full bg-white/5 px-3 py-2 text-sm outline-none"
+            >
+              {Object.entries(LANGUAGES).map(([code, l]) => (
+                <option key={code} value={code}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
           </div>
         </header>
 
+        {!online && (
+          <div className="mt-4 flex items-center gap-2 rounded-2xl border border-amber-400/30 bg-amber-400/10 px-4 py-2 text-sm text-amber-200">
+            <WifiOff className="h-4 w-4" />
+            {t("offline")}
+          </div>
+        )}
+
         <main className="mt-8 grid gap-6 md:grid-cols-12">
-          {/* List */}
-          <section className="md:col-span-9">
-            <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-              {filtered.map((p) => (
-                <motion.article
-                  key={p.id}
-                  layout
-                  whileHover={{ scale: 1.03 }}
-                  className="rounded-2xl border border-white/8 bg-white/2 p-4"
+          {view === "compare" ? (
+            <div className="md:col-span-9">
+              <ComparePage
+                names={compareNames}
+                onChange={setCompareNames}
+                onOpen={openDetail}
+              />
+            </div>
+          ) : view === "pokedex" ? (
+            <div className="md:col-span-9">
+              <DexProgressPage ctx={progress} unlocked={unlocked} />
+            </div>
+          ) : view === "explore" ? (
+            <div className="md:col-span-9">
+              <ExplorePage onEncounter={setEncounter} />
+            </div>
+          ) : view === "teams" ? (
+            <div className="md:col-span-9">
+              <TeamBuilder
+                caught={caught}
+                list={list}
+                teams={teams}
+                onChange={setTeams}
+              />
+            </div>
+          ) : view === "collection" ? (
+            <div className="md:col-span-9">
+              <CollectionPage
+                caught={caught}
+                gameStats={gameStats}
+                onUpdate={updateEntry}
+                onRelease={releaseEntry}
+                onOpen={openDetail}
+                onImport={(next, stats) => {
+                  setCaught(next);
+                  if (stats) setGameStats(stats);
+                }}
+              />
+            </div>
+          ) : (
+            /* List */
+            <section className="md:col-span-9">
+              <div className="mb-4 flex items-center justify-between gap-3">
+                <div className="text-sm text-white/60">
+                  {t("dex.shown", { count: filtered.length })}
+                  {!search && t("dex.filtersApplyToLoaded")}
+                </div>
+                <button
+                  onClick={() => setShowFilters((v) => !v)}
+                  className={`flex items-center gap-2 rounded-full px-4 py-2 text-sm ${
+                    isDefaultFilters(filters) ? "bg-white/5" : "bg-indigo-600"
+                  }`}
                 >
-                  <div className="flex items-center gap-4">
-                    <img
-                      src={p.sprite}
-                      alt={p.name}
-                      className="h-16 w-16 object-contain"
-                    />
-                    <div className="flex-1">
-                      <div className="flex items-center justify-between">
-                        <h3 className="capitalize font-semibold">{p.name}</h3>
-                        <div className="text-sm text-white/60">#{p.id}</div>
+                  <SlidersHorizontal className="h-4 w-4" />
+                  {t("dex.filters")}
+                </button>
+              </div>
+
+              {showFilters && (
+                <div className="mb-4">
+                  <FilterPanel filters={filters} onChange={setFilters} />
+                </div>
+              )}
+
+              <div
+                ref={grid.ref}
+                style={{
+                  paddingTop: grid.paddingTop,
+                  paddingBottom: grid.paddingBottom,
+                }}
+                className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3"
+              >
+                {visible.map((p) => (
+                  <motion.article
+                    key={p.id}
+                    layout
+                    whileHover={{ scale: 1.03 }}
+                    className="rounded-2xl border border-white/8 bg-white/2 p-4"
+                  >
+                    <div className="flex items-center gap-4">
+                      <img
+                        src={p.sprite}
+                        alt={nameOf("pokemon", p.id, p.name)}
+                        loading="lazy"
+                        decoding="async"
+                        className="h-16 w-16 object-contain"
+                      />
+                      <div className="flex-1">
+                        <div className="flex items-center justify-between">
+                          <h3 className="capitalize font-semibold">
+                            {nameOf("pokemon", p.id, p.name)}
+                          </h3>
+                          <div className="text-sm text-white/60">#{p.id}</div>
+                        </div>
+                        <div className="mt-2">{renderTypes(p.types)}</div>
+                        <div className="mt-3 flex items-center gap-2">
+                          <button
+                            onClick={() => openDetail(p.name)}
+                            className="rounded-full border border-white/10 px-3 py-1 text-sm"
+                          >
+                            {t("dex.detail")}
+                          </button>
+
+                          <button
+                            onClick={() => startEncounter(p.name)}
+                            className="rounded-full bg-red-500/80 px-3 py-1 text-sm font-medium"
+                          >
+                            {t("dex.catch")}
+                          </button>
+
+                          <button
+                            onClick={() => toggleCompare(p.name)}
+                            className={`rounded-full px-3 py-1 text-sm ${
+                              compareNames.includes(p.name)
+                                ? "bg-indigo-600"
+                                : "border border-white/10"
+                            }`}
+                          >
+                            {t("dex.compare")}
+                          </button>
+                        </div>
                       </div>
-                      <div className="mt-2">{renderTypes(p.types)}</div>
-                      <div className="mt-3 flex items-center gap-2">
-                        <button
-                          onClick={() => openDetail(p.name)}
-                          className="rounded-full border border-white/10 px-3 py-1 text-sm"
-                        >
-                          Detail
-                        </button>
+                    </div>
+                  </motion.article>
+                ))}
+              </div>
 
+              {filtered.length === 0 && (search || !loading) && (
+                <div className="text-center text-sm text-white/60">
+                  {searching
+                    ? t("dex.searching")
+                    : search
+                      ? t("dex.noMatch", { search })
+                      : t("dex.noFilterMatch")}
+                </div>
+              )}
+
+              {failed.length > 0 && (
+                <div className="mt-6 rounded-2xl border border-red-400/30 bg-red-500/5 p-4 text-sm">
+                  <div className="flex items-center justify-between gap-3">
+                    <span className="text-red-300">
+                      {t("dex.failedTitle", { count: failed.length })}
+                    </span>
+                    <button
+                      onClick={() =>
+                        retryFailed(failed.filter((f) => !f.retrying))
+                      }
+                      disabled={failed.every((f) => f.retrying)}
+                      className="rounded-full border border-white/10 px-3 py-1"
+                    >
+                      {t("dex.retryAll")}
+                    </button>
+                  </div>
+                  <ul className="mt-3 flex flex-wrap gap-2">
+                    {failed.map((f) => (
+                      <li key={f.url}>
                         <button
-                          onClick={async () => {
-                            try {
-                              const res = await axios.get(
-                                `${API_BASE}/pokemon/${p.name}`
-                              );
-                              const d = res.data;
-                              const success = tryCatch({
-                                id: d.id,
-                                name: d.name,
-                                sprite: d.sprites.front_default || "",
-                                stats: d.stats,
-                              });
-                              alert(
-                                success
-                                  ? `Congrats! You caught ${d.name}`
-                                  : `Oh no! ${d.name} escaped.`
-                              );
-                            } catch {
-                              alert("Failed to fetch pokemon details");
-                            }
-                          }}
-                          className="rounded-full bg-red-500/80 px-3 py-1 text-sm font-medium"
+                          onClick={() => retryFailed([f])}
+                          disabled={f.retrying}
+                          title={t("toasts.retry")}
+                          className="flex items-center gap-1 rounded-full bg-white/6 px-3 py-1 capitalize disabled:opacity-50"
                         >
-                          Catch
+                          <RotateCw
+                            className={`h-3 w-3 ${f.retrying ? "animate-spin" : ""}`}
+                          />
+                          {f.name}
                         </button>
-                      </div>
-                    </div>
-                  </div>
-                </motion.article>
-              ))}
-            </div>
-
-            <div className="mt-6 flex items-center justify-center gap-3">
-              {nextUrl ? (
-                <button
-                  onClick={loadMore}
-                  disabled={loading}
-                  className="rounded-full bg-white text-black font-medium px-4 py-2"
-                >
-                  {loading ? "Loading..." : "Load more"}
-                </button>
-              ) : (
-                <div className="text-sm text-white/60">No more Pokémon</div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
               )}
-            </div>
-          </section>
+
+              <div className="mt-6 flex items-center justify-center gap-3">
+                {nextUrl ? (
+                  <button
+                    onClick={loadMore}
+                    disabled={loading}
+                    className="rounded-full bg-white text-black font-medium px-4 py-2"
+                  >
+                    {loading ? t("dex.loading") : t("dex.loadMore")}
+                  </button>
+                ) : (
+                  <div className="text-sm text-white/60">{t("dex.noMore")}</div>
+                )}
+              </div>
+            </section>
+          )}
 
           {/* Sidebar */}
           <aside className="md:col-span-3 space-y-6">
             <div className="rounded-2xl border border-white/8 bg-white/3 p-4">
-              <h4 className="font-semibold">Caught Pokémon</h4>
+              <div className="flex items-center justify-between gap-2">
+                <h4 className="font-semibold">{t("sidebar.caught")}</h4>
+                {caught.length > 0 && list.length > 0 && (
+                  <button
+                    onClick={() => setBattleMode(true)}
+                    className="rounded-full bg-red-500/80 px-3 py-1 text-xs font-medium"
+                  >
+                    {t("sidebar.battle")}
+                  </button>
+                )}
+              </div>
               <p className="text-sm text-white/60">
-                Saved locally in your browser
+                {t("sidebar.savedLocally")}
               </p>
+              <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-white/60">
+                {Object.entries(BALLS).map(([key, b]) => (
+                  <span key={key}>
+                    {t(b.label)} ×{inventory[key] ?? 0}
+                  </span>
+                ))}
+                {!inventory.poke && (
+                  <button
+                    onClick={() =>
+                      setInventory((inv) => ({ ...inv, poke: 10 }))
+                    }
+                    className="rounded-full border border-white/10 px-2 py-0.5"
+                  >
+                    {t("sidebar.restock")}
+                  </button>
+                )}
+              </div>
               <div className="mt-3 grid gap-2">
                 {caught.length === 0 ? (
                   <div className="text-sm text-white/60">
-                    You haven't caught any yet.
+                    {t("sidebar.noneCaught")}
                   </div>
                 ) : (
-                  caught.map((c) => (
-                    <div key={c.id} className="flex items-center gap-3">
-                      <img
-                        src={c.sprite}
-                        alt={c.name}
-                        className="h-10 w-10 object-contain"
-                      />
-                      <div className="flex-1">
-                        <div className="capitalize font-medium">{c.name}</div>
+                  caught
+                    .slice(-5)
+                    .reverse()
+                    .map((c) => (
+                      <div key={c.uid} className="flex items-center gap-3">
+                        <img
+                          src={c.sprite}
+                          alt={c.name}
+                          className="h-10 w-10 object-contain"
+                        />
+                        <div className="flex-1">
+                          <div className="capitalize font-medium">
+                            {displayName(c)}
+                          </div>
+                          <div className="text-xs text-white/60">
+                            {t("sidebar.level", { level: c.level })}
+                          </div>
+                        </div>
                       </div>
-                    </div>
-                  ))
+                    ))
                 )}
               </div>
+              {caught.length > 0 && view !== "collection" && (
+                <button
+                  onClick={() => showPage("/collection")}
+                  className="mt-3 w-full rounded-full border border-white/10 px-3 py-1 text-sm"
+                >
+                  {t("sidebar.openCollection")}
+                </button>
+              )}
             </div>
 
             <div className="rounded-2xl border border-white/8 bg-white/3 p-4">
-              <h4 className="font-semibold">Quick Evaluation</h4>
+              <h4 className="font-semibold">{t("sidebar.dexTitle")}</h4>
               <p className="text-sm text-white/60">
-                Enter a Pokémon name to compute its "power score"
+                {t("sidebar.dexSummary", {
+                  caught: progress.caughtIds.size,
+                  seen: progress.seenIds.size,
+                  total: NATIONAL_DEX_SIZE,
+                })}
+              </p>
+              <div className="mt-2 h-2 w-full rounded-full bg-white/6">
+                <div
+                  style={{
+                    width: `${(progress.caughtIds.size / NATIONAL_DEX_SIZE) * 100}%`,
+                  }}
+                  className="h-full rounded-full bg-indigo-500"
+                />
+              </div>
+              <p className="mt-2 text-xs text-white/60">
+                {t("sidebar.achievements", {
+                  count: Object.keys(unlocked).length,
+                  total: ACHIEVEMENTS.length,
+                })}
               </p>
+              {view !== "pokedex" && (
+                <button
+                  onClick={() => showPage("/pokedex")}
+                  className="mt-3 w-full rounded-full border border-white/10 px-3 py-1 text-sm"
+                >
+                  {t("sidebar.dexOpen")}
+                </button>
+              )}
+            </div>
+
+            <div className="rounded-2xl border border-white/8 bg-white/3 p-4">
+              <h4 className="font-semibold">{t("sidebar.evalTitle")}</h4>
+              <p className="text-sm text-white/60">{t("sidebar.evalHint")}</p>
               <form
                 onSubmit={async (e) => {
                   e.preventDefault();
                   const name = e.target.elements.pokeval.value
                     .trim()
                     .toLowerCase();
-                  if (!name) return alert("Enter a name");
+                  if (!name)
+                    return setEvaluation({ error: "errors.enterName" });
                   try {
-                    const res = await axios.get(`${API_BASE}/pokemon/${name}`);
-                    const score = computePowerScore(res.data.stats);
-                    alert(`${name} — Power score: ${score}/100`);
+                    const d = await getPokemon(name);
+                    setEvaluation({ name: d.name, stats: d.stats });
                   } catch {
-                    alert("Pokemon not found");
+                    setEvaluation({ error: "errors.notFound" });
                   }
                 }}
                 className="mt-3 flex gap-2"
@@ -394,29 +840,66 @@ export default function App() {
                 <input
                   name="pokeval"
                   className="rounded-lg bg-white text-black px-3 py-2 outline-none w-full"
-                  placeholder="e.g. pikachu"
+                  placeholder={t("sidebar.evalPlaceholder")}
                 />
                 <button className="rounded-lg bg-indigo-600 px-4 py-2">
-                  Eval
+                  {t("sidebar.eval")}
                 </button>
               </form>
+              {evaluation?.error && (
+                <p className="mt-2 text-sm text-red-400">
+                  {t(evaluation.error)}
+                </p>
+              )}
+              {evaluation?.stats && (
+                <div className="mt-3">
+                  <div className="mb-2 font-medium capitalize">
+                    {evaluation.name}
+                  </div>
+                  <PowerScore
+                    stats={evaluation.stats}
+                    settings={powerSettings}
+                    onChange={setPowerSettings}
+                  />
+                </div>
+              )}
             </div>
 
             <div className="rounded-2xl border border-white/8 bg-white/3 p-4">
-              <h4 className="font-semibold">About</h4>
-              <p className="text-sm text-white/60">
-                Interactive demo using PokeAPI. Catch, evaluate and play a small
-                guessing game.
-              </p>
+              <h4 className="font-semibold">{t("sidebar.aboutTitle")}</h4>
+              <p className="text-sm text-white/60">{t("sidebar.about")}</p>
             </div>
           </aside>
         </main>
 
+        {/* Compare tray */}
+        {compareNames.length > 0 && view !== "compare" && (
+          <div className="fixed bottom-4 left-1/2 z-40 flex -translate-x-1/2 items-center gap-2 rounded-full bg-slate-800 px-4 py-2 text-sm shadow-2xl">
+            {compareNames.map((n) => (
+              <span key={n} className="capitalize">
+                {n}
+              </span>
+            ))}
+            <button
+              onClick={() => showPage(comparePath(compareNames))}
+              className="rounded-full bg-indigo-600 px-3 py-1"
+            >
+              {t("compareTray.open", { count: compareNames.length })}
+            </button>
+            <button
+              onClick={() => setCompareNames([])}
+              className="rounded-full bg-white/5 p-1"
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </div>
+        )}
+
         {/* Detail Modal */}
         <AnimatePresence>
           {selected && (
             <motion.div
-              key={selected.id}
+              key="detail"
               initial={{ opacity: 0 }}
               animate={{ opacity: 1 }}
               exit={{ opacity: 0 }}
@@ -426,18 +909,18 @@ export default function App() {
                 initial={{ scale: 0.95, opacity: 0 }}
                 animate={{ scale: 1, opacity: 1 }}
                 exit={{ scale: 0.95, opacity: 0 }}
-                className="max-w-3xl rounded-2xl bg-slate-900 p-6 shadow-2xl"
+                className="max-h-full max-w-3xl overflow-y-auto rounded-2xl bg-slate-900 p-6 shadow-2xl"
               >
                 <div className="flex items-start justify-between gap-4">
                   <div className="flex items-center gap-4">
                     <img
                       src={selected.sprite}
-                      alt={selected.name}
+                      alt={nameOf("pokemon", selected.id, selected.name)}
                       className="h-28 w-28 object-contain"
                     />
                     <div>
                       <h3 className="text-2xl capitalize font-semibold">
-                        {selected.name}
+                        {nameOf("pokemon", selected.id, selected.name)}
                       </h3>
                       <div className="text-sm text-white/60">
                         #{selected.id}
@@ -447,102 +930,195 @@ export default function App() {
                   </div>
 
                   <button
-                    onClick={closeDetail}
+                    onClick={closeModal}
                     className="rounded-full bg-white/3 p-2"
                   >
                     <X className="h-4 w-4" />
                   </button>
                 </div>
 
-                <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-2">
-                  <div>
-                    <h4 className="font-semibold">Stats</h4>
-                    <div className="mt-2 space-y-2">
-                      {selected.stats.map((s) => (
-                        <div key={s.stat.name} className="text-sm">
-                          <div className="flex items-center justify-between">
-                            <div className="capitalize">{s.stat.name}</div>
-                            <div className="text-sm text-white/60">
-                              {s.base_stat}
+                <div className="mt-4 flex gap-2">
+                  {["overview", "learnset", "sprites"].map((tab) => (
+                    <button
+                      key={tab}
+                      onClick={() => setDetailTab(tab)}
+                      className={`rounded-full px-3 py-1 text-sm capitalize ${
+                        detailTab === tab ? "bg-indigo-600" : "bg-white/6"
+                      }`}
+                    >
+                      {t(`detail.${tab}`)}
+                    </button>
+                  ))}
+                </div>
+
+                {detailTab === "learnset" ? (
+                  <div className="mt-4">
+                    <LearnsetExplorer
+                      key={selected.id}
+                      moves={selected.learnset}
+                    />
+                  </div>
+                ) : detailTab === "sprites" ? (
+                  <div className="mt-4">
+                    <SpriteGallery
+                      key={selected.id}
+                      name={selected.name}
+                      sprites={selected.sprites}
+                      speciesUrl={selected.speciesUrl}
+                      forms={selected.forms}
+                      onSelect={openDetail}
+                    />
+                  </div>
+                ) : (
+                  <>
+                    <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-2">
+                      <div>
+                        <h4 className="font-semibold">{t("detail.stats")}</h4>
+                        <div className="mt-2 space-y-2">
+                          {selected.stats.map((s) => (
+                            <div key={s.stat.name} className="text-sm">
+                              <div className="flex items-center justify-between">
+                                <div>{t(`stats.${s.stat.name}`)}</div>
+                                <div className="text-sm text-white/60">
+                                  {s.base_stat}
+                                </div>
+                              </div>
+                              <div className="mt-1 h-2 w-full rounded-full bg-white/6">
+                                <div
+                                  style={{
+                                    width: `${clamp(
+                                      (s.base_stat / 255) * 100,
+                                      0,
+                                      100
+                                    )}%`,
+                                  }}
+                                  className="h-full rounded-full bg-green-500/80"
+                                />
+                              </div>
                             </div>
+                          ))}
+                        </div>
+                      </div>
+
+                      <div>
+                        <h4 className="font-semibold">
+                          {t("detail.aboutMoves")}
+                        </h4>
+                        <p className="mt-2 text-sm text-white/60">
+                          {t("detail.size", {
+                            weight: selected.weight,
+                            height: selected.height,
+                          })}
+                        </p>
+
+                        <div className="mt-3">
+                          <div className="text-sm text-white/70">
+                            {t("detail.abilities")}
                           </div>
-                          <div className="mt-1 h-2 w-full rounded-full bg-white/6">
-                            <div
-                              style={{
-                                width: `${clamp(
-                                  (s.base_stat / 255) * 100,
-                                  0,
-                                  100
-                                )}%`,
-                              }}
-                              className="h-full rounded-full bg-green-500/80"
-                            />
+                          <div className="mt-1 flex gap-2">
+                            {selected.abilities.map((a) => (
+                              <span
+                                key={a}
+                                className="rounded-full bg-white/6 px-2 py-1 text-xs"
+                              >
+                                {nameOf("ability", a, a)}
+                              </span>
+                            ))}
                           </div>
                         </div>
-                      ))}
-                    </div>
-                  </div>
 
-                  <div>
-                    <h4 className="font-semibold">About & Moves</h4>
-                    <p className="mt-2 text-sm text-white/60">
-                      Weight: {selected.weight} • Height: {selected.height}
-                    </p>
-
-                    <div className="mt-3">
-                      <div className="text-sm text-white/70">Abilities</div>
-                      <div className="mt-1 flex gap-2">
-                        {selected.abilities.map((a) => (
-                          <span
-                            key={a}
-                            className="rounded-full bg-white/6 px-2 py-1 text-xs"
+                        <div className="mt-4">
+                          <div className="text-sm text-white/70">
+                            {t("detail.moves")}
+                          </div>
+                          <div className="mt-1 flex flex-wrap gap-2">
+                            {selected.moves.map((m) => (
+                              <span
+                                key={m}
+                                className="rounded-full bg-white/6 px-2 py-1 text-xs"
+                              >
+                                {nameOf("move", m, m)}
+                              </span>
+                            ))}
+                          </div>
+                          <button
+                            onClick={() => setDetailTab("learnset")}
+                            className="mt-2 text-xs text-indigo-300 hover:underline"
                           >
-                            {a}
-                          </span>
-                        ))}
+                            {t("detail.fullLearnset")}
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+
+                    {selected.types.length > 0 && (
+                      <div className="mt-4">
+                        <h4 className="font-semibold">
+                          {t("detail.matchups")}
+                        </h4>
+                        <div className="mt-2">
+                          <TypeMatchups types={selected.types} />
+                        </div>
+                      </div>
+                    )}
+
+                    <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-2">
+                      <div>
+                        <h4 className="font-semibold">
+                          {t("detail.powerScore")}
+                        </h4>
+                        <div className="mt-2">
+                          <PowerScore
+                            stats={selected.stats}
+                            settings={powerSettings}
+                            onChange={setPowerSettings}
+                          />
+                        </div>
+                      </div>
+                      <div>
+                        <h4 className="font-semibold">
+                          {t("detail.statCalculator")}
+                        </h4>
+                        <div className="mt-2">
+                          <StatCalculator
+                            key={selected.id}
+                            stats={selected.stats}
+                          />
+                        </div>
                       </div>
                     </div>
 
                     <div className="mt-4">
-                      <div className="text-sm text-white/70">Moves</div>
-                      <div className="mt-1 flex flex-wrap gap-2">
-                        {selected.moves.map((m) => (
-                          <span
-                            key={m}
-                            className="rounded-full bg-white/6 px-2 py-1 text-xs"
-                          >
-                            {m}
-                          </span>
-                        ))}
+                      <h4 className="font-semibold">{t("detail.evolution")}</h4>
+                      <div className="mt-2">
+                        <EvolutionChain
+                          speciesUrl={selected.speciesUrl}
+                          currentId={selected.id}
+                          onSelect={openDetail}
+                        />
                       </div>
                     </div>
-                  </div>
-                </div>
+                  </>
+                )}
 
                 <div className="mt-6 flex items-center justify-end gap-3">
                   <button
                     onClick={() => {
-                      const score = computePowerScore(selected.stats);
-                      alert(`${selected.name} — Power score: ${score}/100`);
+                      if (!compareNames.includes(selected.name)) {
+                        toggleCompare(selected.name);
+                      }
+                      navigate("/compare");
                     }}
                     className="rounded-full border border-white/10 px-4 py-2"
                   >
-                    Evaluate
+                    {t("detail.compareWith")}
                   </button>
 
                   <button
-                    onClick={() => {
-                      const success = tryCatch(selected);
-                      alert(
-                        success
-                          ? `Caught ${selected.name}!`
-                          : `${selected.name} escaped.`
-                      );
-                      closeDetail();
-                    }}
+                    onClick={() => setEncounter(selected)}
                     className="rounded-full bg-red-500/80 px-4 py-2 text-sm font-medium"
                   >
-                    Catch
+                    {t("detail.catch")}
                   </button>
                 </div>
               </motion.div>
@@ -552,84 +1128,70 @@ export default function App() {
 
         {/* Game Modal */}
         <AnimatePresence>
-          {gameMode && gameRound && (
-            <motion.div className="fixed inset-0 z-60 flex items-center justify-center p-4">
-              <motion.div
-                initial={{ y: 40, opacity: 0 }}
-                animate={{ y: 0, opacity: 1 }}
-                exit={{ y: 40, opacity: 0 }}
-                className="max-w-2xl rounded-2xl bg-slate-900 p-6 shadow-2xl"
-              >
-                <div className="flex items-center justify-between">
-                  <h3 className="text-xl font-semibold">Guess the Pokémon</h3>
-                  <button
-                    onClick={endGame}
-                    className="rounded-full bg-white/3 p-2"
-                  >
-                    <X className="h-4 w-4" />
-                  </button>
-                </div>
+          {gameMode && (
+            <GameView
+              list={list}
+              online={online}
+              stats={gameStats}
+              onSeen={(p) => setDex((x) => markSeen(x, [p.id]))}
+              onCorrect={(p) => {
+                setCaught((prev) => [
+                  ...prev,
+                  createEntry(p, { source: "game" }),
+                ]);
+                notify({
+                  tone: "success",
+                  message: t("toasts.addedToCollection", {
+                    name: nameOf("pokemon", p.id, p.name),
+                  }),
+                  actions: [
+                    {
+                      label: t("toasts.view"),
+                      onClick: () => showPage("/collection"),
+                    },
+                  ],
+                });
+              }}
+              onFinish={(session) =>
+                setGameStats((s) => recordSession(s, session))
+              }
+              onClose={closeModal}
+            />
+          )}
+        </AnimatePresence>
 
-                <div className="mt-4 grid gap-4">
-                  <div className="flex items-center justify-center">
-                    {/* silhouette: darkened image */}
-                    <img
-                      src={gameRound.answer.sprite}
-                      alt="silhouette"
-                      className="h-44 w-44 object-contain filter brightness-0 contrast-200"
-                    />
-                  </div>
+        {/* Catch Modal */}
+        <AnimatePresence>
+          {encounter && (
+            <CatchDialog
+              key={encounter.id}
+              pokemon={encounter}
+              inventory={inventory}
+              onThrow={(options) => tryCatch(encounter, options)}
+              onClose={() => setEncounter(null)}
+            />
+          )}
+        </AnimatePresence>
 
-                  <div className="grid gap-3 sm:grid-cols-2">
-                    {gameRound.choices.map((c) => (
-                      <button
-                        key={c.id}
-                        onClick={() => {
-                          const correct = c.id === gameRound.answer.id;
-                          alert(
-                            correct
-                              ? "Correct! 🎉"
-                              : `Wrong — it was ${gameRound.answer.name}`
-                          );
-                          if (correct) {
-                            setCaught((prev) => {
-                              if (prev.find((p) => p.id === c.id)) return prev;
-                              return [
-                                ...prev,
-                                { id: c.id, name: c.name, sprite: c.sprite },
-                              ];
-                            });
-                          }
-                          endGame();
-                        }}
-                        className="rounded-2xl border border-white/8 bg-white/3 p-4 text-left"
-                      >
-                        <div className="flex items-center gap-4">
-                          <img
-                            src={c.sprite}
-                            alt={c.name}
-                            className="h-12 w-12 object-contain"
-                          />
-                          <div>
-                            <div className="capitalize font-medium">
-                              {c.name}
-                            </div>
-                            <div className="text-xs text-white/60">#{c.id}</div>
-                          </div>
-                        </div>
-                      </button>
-                    ))}
-                  </div>
-                </div>
-              </motion.div>
-            </motion.div>
+        {/* Battle Modal */}
+        <AnimatePresence>
+          {battleMode && (
+            <BattleView
+              caught={caught}
+              list={list}
+              onClose={() => setBattleMode(false)}
+            />
           )}
         </AnimatePresence>
 
-        {error && <div className="mt-6 text-center text-red-400">{error}</div>}
+        <AnimatePresence>
+          {showProfiles && (
+            <ProfileDialog onClose={() => setShowProfiles(false)} />
+          )}
+        </AnimatePresence>
 
         <footer className="mt-10 w-full border-t border-white/6 py-6 text-center text-sm text-white/60">
-          Built with ❤️ using PokeAPI
+          {t("app.footer")}
         </footer>
       </div>
     </div>
@@ -0,0 +1,25 @@
+import { getMove, getPokemon } from "./client";
+import { createBattler } from "../lib/battle";
+import { featuredMoves, toListItem, toMove } from "../lib/pokemon";
+
+/**
+ * Loads a Pokémon and the moves shown in its detail view, keeping the four
+ * strongest damaging ones (same-type moves win ties).
+ */
+export async function loadBattler(nameOrId) {
+  const d = await getPokemon(nameOrId);
+  const item = toListItem(d);
+  const moves = await Promise.all(
+    featuredMoves(d).map((name) =>
+      getMove(name)
+        .then(toMove)
+        .catch(() => null)
+    )
+  );
+  const rank = (m) => m.power * (item.types.includes(m.type) ? 1.5 : 1);
+  const picked = moves
+    .filter((m) => m && m.power > 0)
+    .sort((a, b) => rank(b) - rank(a))
+    .slice(0, 4);
+  return createBattler(item, picked);
+}
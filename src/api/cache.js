@@ -0,0 +1,62 @@
+// Persistent response cache backed by IndexedDB. Falls back to an in-memory
+// Map when IndexedDB is unavailable (private mode, tests, SSR).
+
+const DB_NAME = "pokeapi_cache_v1";
+const STORE = "responses";
+
+const memory = new Map();
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: "key" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+function run(mode, fn) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve) => {
+        if (!db) return resolve(undefined);
+        try {
+          const tx = db.transaction(STORE, mode);
+          const req = fn(tx.objectStore(STORE));
+          tx.oncomplete = () => resolve(req?.result);
+          tx.onerror = () => resolve(undefined);
+          tx.onabort = () => resolve(undefined);
+        } catch {
+          resolve(undefined);
+        }
+      })
+  );
+}
+
+// Returns `{ key, data, storedAt }` or null.
+export async function readEntry(key) {
+  if (memory.has(key)) return memory.get(key);
+  const entry = await run("readonly", (store) => store.get(key));
+  if (entry) memory.set(key, entry);
+  return entry ?? null;
+}
+
+export async function writeEntry(key, data) {
+  const entry = { key, data, storedAt: Date.now() };
+  memory.set(key, entry);
+  await run("readwrite", (store) => store.put(entry));
+  return entry;
+}
+
+export async function clearCache() {
+  memory.clear();
+  await run("readwrite", (store) => store.clear());
+}
@@ -0,0 +1,155 @@
+import axios from "axios";
+import { readEntry, writeEntry } from "./cache";
+import { DEFAULT_RETRY, isRetryable, withRetry } from "./retry";
+
+export const DEFAULT_BASE = "https://pokeapi.co/api/v2";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Most PokeAPI data never changes; paged listings can grow with new games.
+const TTL_RULES = [
+  { test: /\?/, ttl: DAY },
+  { test: /.*/, ttl: 30 * DAY },
+];
+
+export class OfflineError extends Error {
+  constructor(key) {
+    super(`Offline and no cached data for ${key}`);
+    this.name = "OfflineError";
+    this.key = key;
+  }
+}
+
+function ttlFor(key) {
+  return TTL_RULES.find((r) => r.test.test(key)).ttl;
+}
+
+function trimSlash(s) {
+  return s.replace(/\/+$/, "");
+}
+
+/**
+ * Creates a PokeAPI client.
+ *
+ * - `baseUrl`: API root; point it at a local fixture server for tests.
+ * - `snapshotUrl`: optional JSON file of `{ "/path?query": payload }` served
+ *   before the network, so a bundled snapshot works fully offline.
+ * - `persist`: set to false to keep the cache in memory only.
+ * - `retry`: options for `withRetry`; failed network requests are retried
+ *   with backoff unless the client is offline.
+ */
+export function createClient({
+  baseUrl = DEFAULT_BASE,
+  snapshotUrl = null,
+  persist = true,
+  retry = DEFAULT_RETRY,
+} = {}) {
+  const base = trimSlash(baseUrl);
+  const inflight = new Map();
+  const session = new Map();
+  let snapshot = null;
+  let forcedOffline = false;
+
+  // Absolute URLs (e.g. `next` or `results[].url`) and relative paths map to
+  // the same key, so both hit the same cache entry.
+  function keyOf(urlOrPath) {
+    let key = urlOrPath;
+    for (const prefix of [base, DEFAULT_BASE]) {
+      if (key.startsWith(prefix)) key = key.slice(prefix.length);
+    }
+    if (!key.startsWith("/")) key = `/${key}`;
+    const [path, query] = key.split("?");
+    const clean = trimSlash(path) || "/";
+    return query ? `${clean}?${query}` : clean;
+  }
+
+  function isOffline() {
+    return (
+      forcedOffline ||
+      (typeof navigator !== "undefined" && navigator.onLine === false)
+    );
+  }
+
+  async function fromSnapshot(key) {
+    if (!snapshotUrl) return undefined;
+    if (!snapshot) {
+      snapshot = axios
+        .get(snapshotUrl)
+        .then((res) => res.data)
+        .catch(() => ({}));
+    }
+    return (await snapshot)[key];
+  }
+
+  async function load(key) {
+    const snap = await fromSnapshot(key);
+    if (snap !== undefined) return snap;
+
+    const cached = persist ? await readEntry(key) : null;
+    const fresh = cached && Date.now() - cached.storedAt < ttlFor(key);
+    if (fresh) return cached.data;
+
+    if (isOffline()) {
+      if (cached) return cached.data;
+      throw new OfflineError(key);
+    }
+
+    try {
+      const res = await withRetry(() => axios.get(`${base}${key}`), {
+        ...retry,
+        shouldRetry: (err) => !isOffline() && isRetryable(err),
+      });
+      if (persist) writeEntry(key, res.data);
+      return res.data;
+    } catch (e) {
+      // Serve stale data rather than failing when the network drops out.
+      if (cached && !e.response) return cached.data;
+      throw e;
+    }
+  }
+
+  /** Fetches a path or absolute PokeAPI URL; concurrent calls share one request. */
+  function get(urlOrPath) {
+    const key = keyOf(urlOrPath);
+    if (session.has(key)) return Promise.resolve(session.get(key));
+    if (inflight.has(key)) return inflight.get(key);
+    const p = load(key)
+      .then((data) => {
+        session.set(key, data);
+        return data;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, p);
+    return p;
+  }
+
+  return {
+    baseUrl: base,
+    get,
+    keyOf,
+    isOffline,
+    setOffline(value) {
+      forcedOffline = Boolean(value);
+    },
+  };
+}
+
+const api = createClient({
+  baseUrl: import.meta.env?.VITE_POKEAPI_BASE || DEFAULT_BASE,
+  snapshotUrl: import.meta.env?.VITE_POKEAPI_SNAPSHOT || null,
+});
+
+export default api;
+
+export function getPokemon(nameOrId) {
+  return api.get(`/pokemon/${String(nameOrId).toLowerCase()}`);
+}
+
+export function getMove(name) {
+  return api.get(`/move/${name}`);
+}
+
+export function getSpecies(nameOrId) {
+  return api.get(`/pokemon-species/${String(nameOrId).toLowerCase()}`);
+}
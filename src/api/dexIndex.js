@@ -0,0 +1,37 @@
+import api from "./client";
+import { buildNameIndex } from "../lib/nameIndex";
+import { idFromUrl } from "../lib/pokemon";
+
+let index = null;
+
+/** Name/id index of every Pokémon (including alternate forms), loaded once. */
+export function getDexIndex() {
+  if (!index) {
+    index = api
+      .get("/pokemon?limit=100000")
+      .then((data) => buildNameIndex(data.results))
+      .catch((e) => {
+        index = null;
+        throw e;
+      });
+  }
+  return index;
+}
+
+/**
+ * Only the base species (National Dex numbers), in dex order, each with its
+ * `species` name (e.g. "giratina" for "giratina-altered").
+ */
+export async function getSpeciesIndex() {
+  const [all, species] = await Promise.all([
+    getDexIndex(),
+    api.get("/pokemon-species?limit=100000"),
+  ]);
+  const speciesNames = new Map(
+    species.results.map((s) => [idFromUrl(s.url), s.name])
+  );
+  return all
+    .filter((e) => e.id <= 10000)
+    .sort((a, b) => a.id - b.id)
+    .map((e) => ({ ...e, species: speciesNames.get(e.id) ?? e.name }));
+}
@@ -0,0 +1,20 @@
+import api from "./client";
+
+// Endpoints whose responses carry a `names` array of translations.
+const ENDPOINTS = {
+  pokemon: "/pokemon-species",
+  type: "/type",
+  ability: "/ability",
+  move: "/move",
+};
+
+/**
+ * The `names` array for a Pokémon species (by id), type, ability or move.
+ * Pokémon forms have no species entry of their own (ids past 10000), so
+ * they resolve to an empty list and keep their API name.
+ */
+export async function getNames(kind, key) {
+  if (kind === "pokemon" && !(Number(key) <= 10000)) return [];
+  const d = await api.get(`${ENDPOINTS[kind]}/${key}`);
+  return d.names ?? [];
+}
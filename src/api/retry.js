@@ -0,0 +1,48 @@
+// Retrying failed requests with exponential backoff.
+
+export const DEFAULT_RETRY = {
+  retries: 2,
+  baseDelay: 400,
+  maxDelay: 4000,
+};
+
+/**
+ * Whether a failed request is worth repeating: network errors, timeouts,
+ * rate limiting and server errors are; 404s and other client errors aren't.
+ */
+export function isRetryable(err) {
+  const status = err?.response?.status;
+  if (status === undefined) return err?.isAxiosError === true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Wait before retry number `attempt` (0-based): doubles every time up to
+ * `maxDelay`, with "full jitter" so many failing requests don't retry in step.
+ */
+export function backoffDelay(attempt, options = {}, random = Math.random) {
+  const { baseDelay, maxDelay } = { ...DEFAULT_RETRY, ...options };
+  const cap = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(cap / 2 + (random() * cap) / 2);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Calls `fn(attempt)` until it resolves, retrying up to `retries` times while
+ * `shouldRetry(err)` holds. Rejects with the last error.
+ */
+export async function withRetry(
+  fn,
+  { shouldRetry = isRetryable, wait = sleep, ...options } = {}
+) {
+  const { retries } = { ...DEFAULT_RETRY, ...options };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) throw err;
+      await wait(backoffDelay(attempt, options));
+    }
+  }
+}
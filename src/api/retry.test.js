@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import { backoffDelay, isRetryable, withRetry } from "./retry";
+
+const httpError = (status) =>
+  Object.assign(new Error(`HTTP ${status}`), {
+    isAxiosError: true,
+    response: { status },
+  });
+const networkError = () =>
+  Object.assign(new Error("Network Error"), { isAxiosError: true });
+
+// Fails with `errors` in order, then resolves with "ok".
+function flaky(errors) {
+  const calls = [];
+  const fn = async (attempt) => {
+    calls.push(attempt);
+    if (attempt < errors.length) throw errors[attempt];
+    return "ok";
+  };
+  return { fn, calls };
+}
+
+describe("isRetryable", () => {
+  it("retries network errors, timeouts, rate limits and server errors", () => {
+    expect(isRetryable(networkError())).toBe(true);
+    expect(isRetryable(httpError(408))).toBe(true);
+    expect(isRetryable(httpError(429))).toBe(true);
+    expect(isRetryable(httpError(503))).toBe(true);
+  });
+
+  it("doesn't retry client errors or non-request errors", () => {
+    expect(isRetryable(httpError(404))).toBe(false);
+    expect(isRetryable(httpError(400))).toBe(false);
+    expect(isRetryable(new TypeError("oops"))).toBe(false);
+  });
+});
+
+describe("backoffDelay", () => {
+  it("stays within half and all of the doubling cap", () => {
+    const options = { baseDelay: 100, maxDelay: 1000 };
+    expect(backoffDelay(0, options, () => 0)).toBe(50);
+    expect(backoffDelay(0, options, () => 1)).toBe(100);
+    expect(backoffDelay(2, options, () => 0)).toBe(200);
+    expect(backoffDelay(2, options, () => 1)).toBe(400);
+    // capped at maxDelay
+    expect(backoffDelay(10, options, () => 0)).toBe(500);
+    expect(backoffDelay(10, options, () => 1)).toBe(1000);
+  });
+});
+
+describe("withRetry", () => {
+  const waits = [];
+  const wait = async (ms) => {
+    waits.push(ms);
+  };
+
+  it("retries up to `retries` times, then succeeds", async () => {
+    const { fn, calls } = flaky([networkError(), httpError(500)]);
+    await expect(withRetry(fn, { wait, retries: 2 })).resolves.toBe("ok");
+    expect(calls).toEqual([0, 1, 2]);
+  });
+
+  it("rethrows the last error once retries run out", async () => {
+    const last = httpError(503);
+    const { fn, calls } = flaky([networkError(), httpError(500), last]);
+    await expect(withRetry(fn, { wait, retries: 2 })).rejects.toBe(last);
+    expect(calls).toEqual([0, 1, 2]);
+  });
+
+  it("doesn't retry a 404", async () => {
+    const notFound = httpError(404);
+    const { fn, calls } = flaky([notFound]);
+    await expect(withRetry(fn, { wait })).rejects.toBe(notFound);
+    expect(calls).toEqual([0]);
+  });
+
+  it("waits a jittered backoff between attempts", async () => {
+    waits.length = 0;
+    const { fn } = flaky([networkError(), networkError(), networkError()]);
+    await withRetry(fn, { wait, retries: 3, baseDelay: 100, maxDelay: 300 });
+    expect(waits).toHaveLength(3);
+    const caps = [100, 200, 300];
+    waits.forEach((ms, i) => {
+      expect(ms).toBeGreaterThanOrEqual(caps[i] / 2);
+      expect(ms).toBeLessThanOrEqual(caps[i]);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { RotateCcw, Swords, X } from "lucide-react";
+import { loadBattler } from "../api/battlers";
+import useI18n from "../hooks/useI18n";
+import {
+  activeBattler,
+  createBattle,
+  pickCpuTeam,
+  takeTurn,
+} from "../lib/battle";
+import { randomSeed } from "../lib/rng";
+
+const TEAM_SIZE = 3;
+
+function HpBar({ battler }) {
+  const { t } = useI18n();
+  const pct = (battler.hp / battler.maxHp) * 100;
+  const color =
+    pct > 50
+      ? "bg-green-500/80"
+      : pct > 20
+        ? "bg-yellow-400/80"
+        : "bg-red-500/80";
+  return (
+    <div>
+      <div className="h-2 w-full rounded-full bg-white/6">
+        <motion.div
+          className={`h-full rounded-full ${color}`}
+          initial={false}
+          animate={{ width: `${pct}%` }}
+          transition={{ duration: 0.6, ease: "easeOut" }}
+        />
+      </div>
+      <div className="mt-1 text-xs text-white/60">
+        {t("battle.hp", { hp: battler.hp, max: battler.maxHp })}
+      </div>
+    </div>
+  );
+}
+
+function Side({ state, side, label }) {
+  const { t } = useI18n();
+  const active = activeBattler(state, side);
+  return (
+    <div className="rounded-2xl border border-white/8 bg-white/3 p-4">
+      <div className="text-xs text-white/60">{label}</div>
+      <div className="mt-2 flex items-center gap-3">
+        <motion.img
+          key={active.id}
+          initial={{ scale: 0.6, opacity: 0 }}
+          animate={{ scale: 1, opacity: active.hp > 0 ? 1 : 0.3 }}
+          src={active.sprite}
+          alt={active.name}
+          className="h-20 w-20 object-contain"
+        />
+        <div className="flex-1">
+          <div className="capitalize font-semibold">
+            {active.name}{" "}
+            <span className="text-xs text-white/60">
+              {t("battle.level", { level: active.level })}
+            </span>
+          </div>
+          <HpBar battler={active} />
+        </div>
+      </div>
+      <div className="mt-2 flex gap-1">
+        {state.teams[side].map((b, i) => (
+          <span
+            key={i}
+            title={b.name}
+            className={`h-2 w-2 rounded-full ${
+              b.hp > 0 ? "bg-green-500/80" : "bg-white/20"
+            }`}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Battle mode: up to three caught Pokémon against a CPU team drawn from the
+ * loaded list. The seed and recorded moves are kept so a fight can be replayed.
+ */
+export default function BattleView({ caught, list, onClose }) {
+  const { t } = useI18n();
+  const [team, setTeam] = useState(() =>
+    caught.slice(0, TEAM_SIZE).map((c) => c.id)
+  );
+  const [seed, setSeed] = useState(randomSeed);
+  const [initial, setInitial] = useState(null);
+  const [battle, setBattle] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  function toggle(id) {
+    setTeam((ids) =>
+      ids.includes(id)
+        ? ids.filter((x) => x !== id)
+        : ids.length < TEAM_SIZE
+          ? [...ids, id]
+          : ids
+    );
+  }
+
+  async function start(withSeed = seed) {
+    setLoading(true);
+    setError(null);
+    try {
+      const cpuPicks = pickCpuTeam(list, team.length, withSeed);
+      const [player, cpu] = await Promise.all([
+        Promise.all(team.map((id) => loadBattler(id))),
+        Promise.all(cpuPicks.map((p) => loadBattler(p.id))),
+      ]);
+      const b = createBattle({ player, cpu, seed: withSeed });
+      setInitial(b);
+      setBattle(b);
+    } catch (e) {
+      console.error(e);
+      setError("battle.loadFailed");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function newBattle() {
+    const s = randomSeed();
+    setSeed(s);
+    start(s);
+  }
+
+  const uniqueCaught = caught.filter(
+    (c, i, self) => i === self.findIndex((x) => x.id === c.id)
+  );
+
+  return (
+    <motion.div className="fixed inset-0 z-60 flex items-center justify-center bg-black/60 p-4">
+      <motion.div
+        initial={{ y: 40, opacity: 0 }}
+        animate={{ y: 0, opacity: 1 }}
+        exit={{ y: 40, opacity: 0 }}
+        className="max-h-full w-full max-w-3xl overflow-y-auto rounded-2xl bg-slate-900 p-6 shadow-2xl"
+      >
+        <div className="flex items-center justify-between">
+          <h3 className="flex items-center gap-2 text-xl font-semibold">
+            <Swords className="h-5 w-5" /> {t("battle.title")}
+          </h3>
+          <button onClick={onClose} className="rounded-full bg-white/3 p-2">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        {!battle ? (
+          <div className="mt-4 space-y-4">
+            <p className="text-sm text-white/60">
+              {t("battle.intro", { count: TEAM_SIZE })}
+            </p>
+            <div className="grid gap-2 sm:grid-cols-3">
+              {uniqueCaught.map((c) => (
+                <button
+                  key={c.id}
+                  onClick={() => toggle(c.id)}
+                  className={`flex items-center gap-2 rounded-xl border p-2 text-left ${
+                    team.includes(c.id)
+                      ? "border-indigo-500 bg-indigo-600/20"
+                      : "border-white/8 bg-white/3"
+                  }`}
+                >
+                  <img
+                    src={c.sprite}
+                    alt={c.name}
+                    className="h-10 w-10 object-contain"
+                  />
+                  <span className="capitalize">{c.name}</span>
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-3">
+              <label className="flex items-center gap-2 text-sm text-white/60">
+                {t("battle.seed")}
+                <input
+                  type="number"
+                  value={seed}
+                  onChange={(e) => setSeed(Number(e.target.value) || 0)}
+                  className="w-32 rounded-lg bg-white/6 px-2 py-1 text-white outline-none"
+                />
+              </label>
+              <button
+                disabled={loading || team.length === 0}
+                onClick={() => start()}
+                className="ml-auto rounded-full bg-red-500/80 px-4 py-2 text-sm font-medium disabled:opacity-50"
+              >
+                {loading ? t("battle.loading") : t("battle.start")}
+              </button>
+            </div>
+            {error && <div className="text-sm text-red-400">{t(error)}</div>}
+          </div>
+        ) : (
+          <div className="mt-4 space-y-4">
+            <div className="grid gap-3 sm:grid-cols-2">
+              <Side state={battle} side="player" label={t("battle.you")} />
+              <Side state={battle} side="cpu" label={t("battle.cpu")} />
+            </div>
+
+            {battle.winner ? (
+              <div className="flex items-center justify-between rounded-2xl bg-white/5 p-4">
+                <div className="font-semibold">
+                  {battle.winner === "player"
+                    ? t("battle.won")
+                    : t("battle.lost")}
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setBattle(initial)}
+                    className="flex items-center gap-1 rounded-full border border-white/10 px-3 py-1 text-sm"
+                  >
+                    <RotateCcw className="h-3 w-3" /> {t("battle.replay")}
+                  </button>
+                  <button
+                    onClick={newBattle}
+                    className="rounded-full bg-red-500/80 px-3 py-1 text-sm"
+                  >
+                    {t("battle.newBattle")}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="grid gap-2 sm:grid-cols-2">
+                {activeBattler(battle, "player").moves.map((m, i) => (
+                  <button
+                    key={m.name}
+                    onClick={() => setBattle((b) => takeTurn(b, i))}
+                    className="rounded-xl border border-white/8 bg-white/3 px-3 py-2 text-left"
+                  >
+                    <div className="capitalize font-medium">{m.name}</div>
+                    <div className="text-xs capitalize text-white/60">
+                      {t("battle.moveInfo", {
+                        type: m.type ?? t("battle.typeless"),
+                        power: m.power,
+                        accuracy: m.accuracy ?? "—",
+                      })}
+                    </div>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <div className="max-h-48 overflow-y-auto rounded-2xl bg-black/30 p-3 text-sm">
+              {battle.log
+                .slice()
+                .reverse()
+                .map((entry, i) => (
+                  <div key={battle.log.length - i} className="text-white/70">
+                    <span className="text-white/40">
+                      {t("battle.turn", { turn: entry.turn })}
+                    </span>{" "}
+                    {t(entry.key, entry.params)}
+                  </div>
+                ))}
+            </div>
+            <div className="text-xs text-white/40">
+              {t("battle.seedUsed", { seed: battle.seed })}
+            </div>
+          </div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,221 @@
+import { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { X } from "lucide-react";
+import api, { getSpecies } from "../api/client";
+import useI18n from "../hooks/useI18n";
+import { BALLS, HP_LEVELS, STATUSES, catchProbability } from "../lib/capture";
+import PokeballSVG from "./PokeballSVG";
+
+const SHAKE_MS = 700;
+
+/**
+ * Encounter dialog: pick a ball, optionally weaken the Pokémon, then throw.
+ * `onThrow(options)` runs the actual catch and returns `{ caught, shakes }`
+ * (plus `shiny` for a catch).
+ */
+export default function CatchDialog({ pokemon, inventory, onThrow, onClose }) {
+  const { t } = useI18n();
+  const [captureRate, setCaptureRate] = useState(null);
+  const [ball, setBall] = useState("poke");
+  const [hp, setHp] = useState("full");
+  const [status, setStatus] = useState("none");
+  const [result, setResult] = useState(null);
+  const [shake, setShake] = useState(0);
+
+  useEffect(() => {
+    let alive = true;
+    (pokemon.speciesUrl ? api.get(pokemon.speciesUrl) : getSpecies(pokemon.id))
+      .then((s) => alive && setCaptureRate(s.capture_rate))
+      // fall back to a middling rate if species data is unavailable
+      .catch(() => alive && setCaptureRate(45));
+    return () => {
+      alive = false;
+    };
+  }, [pokemon.id, pokemon.speciesUrl]);
+
+  // Play the wobbles one by one before revealing the outcome.
+  useEffect(() => {
+    if (!result || shake > result.shakes) return;
+    const timer = setTimeout(() => setShake((n) => n + 1), SHAKE_MS);
+    return () => clearTimeout(timer);
+  }, [result, shake]);
+
+  const options = { captureRate, ball, hpRatio: HP_LEVELS[hp].ratio, status };
+  const chance = captureRate == null ? null : catchProbability(options);
+  const settled = result && shake > result.shakes;
+
+  function throwBall() {
+    setShake(0);
+    setResult(onThrow(options));
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-60 flex items-center justify-center bg-black/60 p-4"
+    >
+      <motion.div
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.95, opacity: 0 }}
+        className="w-full max-w-md rounded-2xl bg-slate-900 p-6 shadow-2xl"
+      >
+        <div className="flex items-center justify-between">
+          <h3 className="text-xl font-semibold capitalize">
+            {t("catch.title", { name: pokemon.name })}
+            {pokemon.level && (
+              <span className="ml-2 text-sm font-normal text-white/60">
+                {t("catch.level", { level: pokemon.level })}
+              </span>
+            )}
+          </h3>
+          <button onClick={onClose} className="rounded-full bg-white/3 p-2">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <div className="mt-4 flex h-36 items-center justify-center">
+          {!result ? (
+            <img
+              src={pokemon.sprite}
+              alt={pokemon.name}
+              className="h-32 w-32 object-contain"
+            />
+          ) : settled && !result.caught ? (
+            <motion.img
+              initial={{ scale: 0 }}
+              animate={{ scale: 1 }}
+              src={pokemon.sprite}
+              alt={pokemon.name}
+              className="h-32 w-32 object-contain"
+            />
+          ) : (
+            <motion.div
+              key={shake}
+              animate={
+                settled ? { scale: [1, 1.2, 1] } : { rotate: [0, -25, 25, 0] }
+              }
+              transition={{ duration: SHAKE_MS / 1000 - 0.1 }}
+            >
+              <PokeballSVG className="h-16 w-16" />
+            </motion.div>
+          )}
+        </div>
+
+        {result ? (
+          <div className="text-center">
+            <div className="text-sm text-white/60">
+              {t("catch.shakes", { count: Math.min(shake, result.shakes) })}
+            </div>
+            {settled && (
+              <div className="mt-2 text-lg font-semibold capitalize">
+                {t(
+                  result.caught
+                    ? result.shiny
+                      ? "catch.caughtShiny"
+                      : "catch.caught"
+                    : "catch.brokeFree",
+                  { name: pokemon.name }
+                )}
+              </div>
+            )}
+            {settled && (
+              <div className="mt-4 flex justify-center gap-3">
+                {!result.caught && (
+                  <button
+                    onClick={() => setResult(null)}
+                    className="rounded-full border border-white/10 px-4 py-2 text-sm"
+                  >
+                    {t("catch.tryAgain")}
+                  </button>
+                )}
+                <button
+                  onClick={onClose}
+                  className="rounded-full bg-white px-4 py-2 text-sm font-medium text-black"
+                >
+                  {t("catch.done")}
+                </button>
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="space-y-4 text-sm">
+            <div>
+              <div className="text-white/70">{t("catch.ball")}</div>
+              <div className="mt-2 grid grid-cols-2 gap-2">
+                {Object.entries(BALLS).map(([key, b]) => (
+                  <button
+                    key={key}
+                    disabled={!inventory[key]}
+                    onClick={() => setBall(key)}
+                    className={`flex justify-between rounded-xl border px-3 py-2 disabled:opacity-40 ${
+                      ball === key
+                        ? "border-indigo-500 bg-indigo-600/20"
+                        : "border-white/8 bg-white/3"
+                    }`}
+                  >
+                    <span>{t(b.label)}</span>
+                    <span className="text-white/60">
+                      ×{inventory[key] ?? 0}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <label>
+                <div className="text-white/70">{t("catch.weaken")}</div>
+                <select
+                  value={hp}
+                  onChange={(e) => setHp(e.target.value)}
+                  className="mt-1 w-full rounded-lg bg-white/6 px-2 py-1 outline-none"
+                >
+                  {Object.entries(HP_LEVELS).map(([key, h]) => (
+                    <option key={key} value={key}>
+                      {t(h.label)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                <div className="text-white/70">{t("catch.status")}</div>
+                <select
+                  value={status}
+                  onChange={(e) => setStatus(e.target.value)}
+                  className="mt-1 w-full rounded-lg bg-white/6 px-2 py-1 outline-none"
+                >
+                  {Object.entries(STATUSES).map(([key, st]) => (
+                    <option key={key} value={key}>
+                      {t(st.label)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <div className="text-white/60">
+                {chance == null
+                  ? t("catch.checking")
+                  : t("catch.chance", {
+                      rate: captureRate,
+                      percent: Math.round(chance * 100),
+                    })}
+              </div>
+              <button
+                disabled={chance == null || !inventory[ball]}
+                onClick={throwBall}
+                className="rounded-full bg-red-500/80 px-4 py-2 font-medium disabled:opacity-50"
+              >
+                {t("catch.throw")}
+              </button>
+            </div>
+          </div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,291 @@
+import { useRef, useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { ArrowDownUp, Download, Upload } from "lucide-react";
+import useI18n from "../hooks/useI18n";
+import {
+  GROUPS,
+  SORTS,
+  SOURCES,
+  displayName,
+  groupEntries,
+  sortEntries,
+} from "../lib/collection";
+import { clamp } from "../lib/math";
+import { exportCsv, exportJson, parseImport } from "../lib/transfer";
+import ImportDialog from "./ImportDialog";
+
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function EntryCard({ entry, onUpdate, onRelease, onOpen }) {
+  const { t } = useI18n();
+  const [confirming, setConfirming] = useState(false);
+
+  return (
+    <motion.article
+      layout
+      className="rounded-2xl border border-white/8 bg-white/2 p-4 text-sm"
+    >
+      <div className="flex items-start gap-3">
+        <button onClick={() => onOpen(entry.id)}>
+          <img
+            src={entry.sprite}
+            alt={entry.name}
+            className="h-16 w-16 object-contain"
+          />
+        </button>
+        <div className="flex-1 space-y-1">
+          <input
+            value={entry.nickname}
+            onChange={(e) => onUpdate(entry.uid, { nickname: e.target.value })}
+            placeholder={entry.name}
+            className="w-full bg-transparent font-semibold capitalize outline-none placeholder:text-white"
+          />
+          <div className="text-white/60">
+            <span className="capitalize">{entry.name}</span> #{entry.id}
+            {entry.shiny && (
+              <span
+                className="ml-2 text-amber-300"
+                title={t("collection.shiny")}
+              >
+                ✨
+              </span>
+            )}
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs text-white/60">
+            <label className="flex items-center gap-1">
+              {t("collection.level")}
+              <input
+                type="number"
+                min={1}
+                max={100}
+                value={entry.level}
+                onChange={(e) =>
+                  onUpdate(entry.uid, {
+                    // entries need a whole level (see `isValidEntry`)
+                    level: clamp(
+                      Math.round(Number(e.target.value)) || 1,
+                      1,
+                      100
+                    ),
+                  })
+                }
+                className="w-12 rounded bg-white/6 px-1 outline-none"
+              />
+            </label>
+            <span className="rounded-full bg-white/6 px-2 py-0.5">
+              {t(SOURCES[entry.source] ?? entry.source)}
+            </span>
+            {entry.caughtAt && (
+              <span>{new Date(entry.caughtAt).toLocaleDateString()}</span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <textarea
+        value={entry.notes}
+        onChange={(e) => onUpdate(entry.uid, { notes: e.target.value })}
+        placeholder={t("collection.notes")}
+        rows={2}
+        className="mt-3 w-full resize-none rounded-lg bg-white/6 px-2 py-1 outline-none"
+      />
+
+      <div className="mt-2 flex justify-end gap-2">
+        {confirming ? (
+          <>
+            <button
+              onClick={() => setConfirming(false)}
+              className="rounded-full border border-white/10 px-3 py-1"
+            >
+              {t("collection.keep")}
+            </button>
+            <button
+              onClick={() => onRelease(entry.uid)}
+              className="rounded-full bg-red-500/80 px-3 py-1 font-medium"
+            >
+              {t("collection.releaseConfirm", { name: displayName(entry) })}
+            </button>
+          </>
+        ) : (
+          <button
+            onClick={() => setConfirming(true)}
+            className="rounded-full border border-white/10 px-3 py-1"
+          >
+            {t("collection.release")}
+          </button>
+        )}
+      </div>
+    </motion.article>
+  );
+}
+
+/** Full-page view of the caught collection with sorting and grouping. */
+export default function CollectionPage({
+  caught,
+  gameStats,
+  onUpdate,
+  onRelease,
+  onOpen,
+  onImport,
+}) {
+  const { t } = useI18n();
+  const [sort, setSort] = useState("caughtAt");
+  const [dir, setDir] = useState("desc");
+  const [group, setGroup] = useState("none");
+  const [imported, setImported] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const fileInput = useRef(null);
+
+  async function readFile(file) {
+    setImportError(null);
+    try {
+      setImported(parseImport(await file.text(), file.name));
+    } catch (e) {
+      setImportError(e.message);
+    }
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  const groups = groupEntries(sortEntries(caught, sort, dir), group);
+  const species = new Set(caught.map((c) => c.id)).size;
+
+  return (
+    <section>
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-xl font-semibold">{t("collection.title")}</h2>
+          <p className="text-sm text-white/60">
+            {t("collection.summary", { caught: caught.length, species })}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            className="rounded-lg bg-white/6 px-2 py-1 outline-none"
+          >
+            {Object.entries(SORTS).map(([key, s]) => (
+              <option key={key} value={key}>
+                {t("collection.sortBy", { label: t(s.label) })}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => setDir((d) => (d === "asc" ? "desc" : "asc"))}
+            className="flex items-center gap-1 rounded-full bg-white/6 px-3 py-1"
+          >
+            <ArrowDownUp className="h-3 w-3" />
+            {t(`sort.${dir}`)}
+          </button>
+          <select
+            value={group}
+            onChange={(e) => setGroup(e.target.value)}
+            className="rounded-lg bg-white/6 px-2 py-1 outline-none"
+          >
+            {Object.entries(GROUPS).map(([key, g]) => (
+              <option key={key} value={key}>
+                {t("collection.groupBy", { label: t(g.label) })}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+        <button
+          onClick={() =>
+            download(
+              `pokemon-collection-${stamp}.json`,
+              exportJson(caught, gameStats),
+              "application/json"
+            )
+          }
+          className="flex items-center gap-1 rounded-full border border-white/10 px-3 py-1"
+        >
+          <Download className="h-3 w-3" /> JSON
+        </button>
+        <button
+          onClick={() =>
+            download(
+              `pokemon-collection-${stamp}.csv`,
+              exportCsv(caught),
+              "text/csv"
+            )
+          }
+          className="flex items-center gap-1 rounded-full border border-white/10 px-3 py-1"
+        >
+          <Download className="h-3 w-3" /> CSV
+        </button>
+        <button
+          onClick={() => fileInput.current.click()}
+          className="flex items-center gap-1 rounded-full border border-white/10 px-3 py-1"
+        >
+          <Upload className="h-3 w-3" /> {t("collection.import")}
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files[0]) readFile(e.target.files[0]);
+            e.target.value = "";
+          }}
+        />
+        {importError && <span className="text-red-400">{importError}</span>}
+      </div>
+
+      <AnimatePresence>
+        {imported && (
+          <ImportDialog
+            imported={imported}
+            current={caught}
+            onApply={(next, stats) => {
+              onImport(next, stats);
+              setImported(null);
+            }}
+            onClose={() => setImported(null)}
+          />
+        )}
+      </AnimatePresence>
+
+      {caught.length === 0 ? (
+        <div className="mt-6 text-sm text-white/60">
+          {t("collection.empty")}
+        </div>
+      ) : (
+        groups.map(([key, entries]) => (
+          <div key={key} className="mt-6">
+            {group !== "none" && (
+              <h3 className="mb-2 font-semibold capitalize">
+                {group === "source" ? t(SOURCES[key] ?? key) : key}{" "}
+                <span className="text-sm text-white/60">
+                  ({entries.length})
+                </span>
+              </h3>
+            )}
+            <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+              {entries.map((entry) => (
+                <EntryCard
+                  key={entry.uid}
+                  entry={entry}
+                  onUpdate={onUpdate}
+                  onRelease={onRelease}
+                  onOpen={onOpen}
+                />
+              ))}
+            </div>
+          </div>
+        ))
+      )}
+    </section>
+  );
+}
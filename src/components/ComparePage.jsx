@@ -0,0 +1,312 @@
+import { useEffect, useState } from "react";
+import { Link2, X } from "lucide-react";
+import { getPokemon } from "../api/client";
+import useI18n from "../hooks/useI18n";
+import useLocalNames from "../hooks/useLocalNames";
+import {
+  MAX_COMPARE,
+  SERIES_COLORS,
+  abilityOverlap,
+  matchupMatrix,
+  matchupNotes,
+  statDeltas,
+} from "../lib/compare";
+import { comparePath, toHref } from "../lib/routes";
+import { STAT_NAMES, baseStat, spriteOf } from "../lib/pokemon";
+import { formatMultiplier } from "../lib/typeChart";
+import RadarChart from "./RadarChart";
+
+function Delta({ value }) {
+  if (value === 0) return null;
+  return (
+    <span className={value > 0 ? "text-green-400" : "text-red-400"}>
+      {" "}
+      ({value > 0 ? "+" : ""}
+      {value})
+    </span>
+  );
+}
+
+/**
+ * Compares 2-4 Pokémon by name: radar chart, stat deltas against the first
+ * one, type matchups between them and shared/unique abilities.
+ */
+export default function ComparePage({ names, onChange, onOpen }) {
+  const { t } = useI18n();
+  const [data, setData] = useState({});
+  const [input, setInput] = useState("");
+  // name that wasn't found
+  const [error, setError] = useState(null);
+  // names whose request failed for another reason than not existing
+  const [failed, setFailed] = useState([]);
+
+  useEffect(() => {
+    let alive = true;
+    for (const name of names) {
+      if (data[name] || failed.includes(name)) continue;
+      getPokemon(name)
+        .then((d) => {
+          if (!alive) return;
+          setData((prev) => ({
+            ...prev,
+            [name]: {
+              id: d.id,
+              name: d.name,
+              sprite: spriteOf(d),
+              types: d.types.map((t) => t.type.name),
+              stats: d.stats,
+              abilities: d.abilities.map((a) => a.ability.name),
+            },
+          }));
+        })
+        .catch((e) => {
+          if (!alive) return;
+          // only a name that doesn't exist is dropped (and leaves the URL)
+          if (e.response?.status === 404) {
+            setError(name);
+            onChange(names.filter((n) => n !== name));
+          } else {
+            console.error(e);
+            setFailed((f) => (f.includes(name) ? f : [...f, name]));
+          }
+        });
+    }
+    return () => {
+      alive = false;
+    };
+  }, [names, data, failed, onChange]);
+
+  const failedNames = failed.filter((n) => names.includes(n));
+
+  const list = names.map((n) => data[n]).filter(Boolean);
+  const ready = list.length === names.length;
+  const nameOf = useLocalNames({
+    pokemon: list.map((p) => p.id),
+    type: list.flatMap((p) => p.types),
+    ability: list.flatMap((p) => p.abilities),
+  });
+  const pokemonName = (p) => nameOf("pokemon", p.id, p.name);
+  const abilityNames = (abilities) =>
+    abilities.map((a) => nameOf("ability", a, a)).join(", ");
+
+  // names and types in a matchup note, localized
+  function noteText(note) {
+    const byName = (n) => list.find((p) => p.name === n);
+    const { attacker, defender, attackType, counterType } = note.params;
+    return t(note.key, {
+      ...note.params,
+      attacker: pokemonName(byName(attacker)),
+      defender: pokemonName(byName(defender)),
+      attackType: nameOf("type", attackType, attackType),
+      counterType: nameOf("type", counterType, counterType),
+    });
+  }
+
+  function add(e) {
+    e.preventDefault();
+    const name = input.trim().toLowerCase().replace(/\s+/g, "-");
+    if (!name || names.includes(name) || names.length >= MAX_COMPARE) return;
+    setError(null);
+    setInput("");
+    onChange([...names, name]);
+  }
+
+  const shareUrl = `${window.location.origin}${toHref(comparePath(names))}`;
+
+  return (
+    <section className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <h2 className="mr-2 text-xl font-semibold">{t("compare.title")}</h2>
+        {names.map((n, i) => (
+          <span
+            key={n}
+            className="flex items-center gap-1 rounded-full bg-white/6 py-1 pl-3 pr-1 text-sm capitalize"
+            style={{ borderLeft: `4px solid ${SERIES_COLORS[i]}` }}
+          >
+            {n}
+            <button
+              onClick={() => onChange(names.filter((x) => x !== n))}
+              className="rounded-full p-1 hover:bg-white/10"
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </span>
+        ))}
+        {names.length < MAX_COMPARE && (
+          <form onSubmit={add} className="flex gap-2">
+            <input
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder={t("compare.addPlaceholder")}
+              className="rounded-lg bg-white/6 px-2 py-1 text-sm outline-none"
+            />
+          </form>
+        )}
+        {names.length > 1 && (
+          <button
+            onClick={() => navigator.clipboard?.writeText(shareUrl)}
+            title={shareUrl}
+            className="ml-auto flex items-center gap-1 rounded-full border border-white/10 px-3 py-1 text-sm"
+          >
+            <Link2 className="h-3 w-3" /> {t("compare.copyLink")}
+          </button>
+        )}
+      </div>
+      {error && (
+        <div className="text-sm text-red-400">
+          {t("compare.notFound", { name: error })}
+        </div>
+      )}
+      {failedNames.map((n) => (
+        <div key={n} className="flex items-center gap-3 text-sm text-red-400">
+          <span>{t("compare.loadFailed", { name: n })}</span>
+          <button
+            onClick={() => setFailed((f) => f.filter((x) => x !== n))}
+            className="rounded-full border border-white/10 px-3 py-1 text-white"
+          >
+            {t("compare.retry")}
+          </button>
+        </div>
+      ))}
+
+      {names.length < 2 ? (
+        <div className="text-sm text-white/60">{t("compare.pickTwo")}</div>
+      ) : !ready ? (
+        failedNames.length === 0 && (
+          <div className="text-sm text-white/60">{t("compare.loading")}</div>
+        )
+      ) : (
+        <>
+          <div className="grid gap-4 md:grid-cols-2">
+            <div className="flex items-center justify-center rounded-2xl border border-white/8 bg-white/3 p-4">
+              <RadarChart
+                series={list.map((p) => ({
+                  name: p.name,
+                  values: STAT_NAMES.map((s) => baseStat(p.stats, s)),
+                }))}
+              />
+            </div>
+
+            <div className="overflow-x-auto rounded-2xl border border-white/8 bg-white/3 p-4 text-sm">
+              <table className="w-full">
+                <thead>
+                  <tr>
+                    <th />
+                    {list.map((p, i) => (
+                      <th key={p.name} className="p-1 text-center">
+                        <button onClick={() => onOpen(p.name)}>
+                          <img
+                            src={p.sprite}
+                            alt={p.name}
+                            className="mx-auto h-12 w-12 object-contain"
+                          />
+                          <div
+                            className="capitalize"
+                            style={{ color: SERIES_COLORS[i] }}
+                          >
+                            {pokemonName(p)}
+                          </div>
+                        </button>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {statDeltas(list).map((row) => (
+                    <tr
+                      key={row.stat}
+                      className={
+                        row.stat === "total" ? "border-t border-white/10" : ""
+                      }
+                    >
+                      <td className="py-1 text-white/70">
+                        {t(`stats.${row.stat}`)}
+                      </td>
+                      {row.values.map((v, i) => (
+                        <td key={i} className="py-1 text-center">
+                          {v}
+                          <Delta value={row.deltas[i]} />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="grid gap-4 md:grid-cols-2 text-sm">
+            <div className="rounded-2xl border border-white/8 bg-white/3 p-4">
+              <h4 className="font-semibold">{t("compare.matchups")}</h4>
+              <p className="text-xs text-white/60">
+                {t("compare.matchupsHint")}
+              </p>
+              <table className="mt-2 w-full">
+                <tbody>
+                  {matchupMatrix(list).map((row, i) => (
+                    <tr key={list[i].name}>
+                      <td className="py-1 capitalize text-white/70">
+                        {pokemonName(list[i])}
+                      </td>
+                      {row.map((cell, j) => (
+                        <td key={j} className="py-1 text-center">
+                          {cell ? (
+                            <span
+                              className={
+                                cell.multiplier > 1
+                                  ? "text-green-400"
+                                  : cell.multiplier < 1
+                                    ? "text-red-400"
+                                    : ""
+                              }
+                            >
+                              {formatMultiplier(cell.multiplier)}
+                            </span>
+                          ) : (
+                            "—"
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <ul className="mt-3 space-y-1 text-xs text-white/60">
+                {matchupNotes(list).map((note, i) => (
+                  <li key={i}>{noteText(note)}</li>
+                ))}
+              </ul>
+            </div>
+
+            <div className="rounded-2xl border border-white/8 bg-white/3 p-4">
+              <h4 className="font-semibold">{t("compare.abilities")}</h4>
+              {(() => {
+                const { shared, unique } = abilityOverlap(list);
+                return (
+                  <div className="mt-2 space-y-2">
+                    <div>
+                      <span className="text-white/70">
+                        {t("compare.shared")}{" "}
+                      </span>
+                      {shared.length ? abilityNames(shared) : t("compare.none")}
+                    </div>
+                    {list.map((p) => (
+                      <div key={p.name}>
+                        <span className="capitalize text-white/70">
+                          {t("compare.only", { name: pokemonName(p) })}{" "}
+                        </span>
+                        {unique[p.name].length
+                          ? abilityNames(unique[p.name])
+                          : "—"}
+                      </div>
+                    ))}
+                  </div>
+                );
+              })()}
+            </div>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,200 @@
+import { useEffect, useState } from "react";
+import { Trophy } from "lucide-react";
+import api from "../api/client";
+import useI18n from "../hooks/useI18n";
+import { ACHIEVEMENTS } from "../lib/achievements";
+import {
+  REGIONAL_DEXES,
+  generationMembers,
+  progressOf,
+  range,
+} from "../lib/dex";
+import {
+  GENERATIONS,
+  NATIONAL_DEX_SIZE,
+  TYPES,
+  idFromUrl,
+} from "../lib/pokemon";
+
+function ProgressRow({ label, progress }) {
+  const { t } = useI18n();
+  const pct = (n) => (progress.total ? (n / progress.total) * 100 : 0);
+  return (
+    <div className="text-sm">
+      <div className="flex items-center justify-between">
+        <span className="capitalize">{label}</span>
+        <span className="text-xs text-white/60">
+          {t("dexProgress.summary", progress)}
+        </span>
+      </div>
+      <div className="relative mt-1 h-2 w-full rounded-full bg-white/6">
+        <div
+          style={{ width: `${pct(progress.seen)}%` }}
+          className="absolute h-full rounded-full bg-indigo-500/40"
+        />
+        <div
+          style={{ width: `${pct(progress.caught)}%` }}
+          className="absolute h-full rounded-full bg-indigo-500"
+        />
+      </div>
+    </div>
+  );
+}
+
+// Loads `{ key: [species ids] }` for each of `keys` via `load(key)`.
+function useMembers(keys, load) {
+  const [members, setMembers] = useState({});
+
+  useEffect(() => {
+    let alive = true;
+    for (const key of keys) {
+      load(key)
+        .then((ids) => alive && setMembers((m) => ({ ...m, [key]: ids })))
+        .catch(() => {});
+    }
+    return () => {
+      alive = false;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return members;
+}
+
+const loadType = (type) =>
+  api
+    .get(`/type/${type}`)
+    .then((d) =>
+      d.pokemon
+        .map((p) => idFromUrl(p.pokemon.url))
+        .filter((id) => id <= NATIONAL_DEX_SIZE)
+    );
+
+const loadRegion = (name) =>
+  api
+    .get(`/pokedex/${name}`)
+    .then((d) =>
+      d.pokemon_entries.map((e) => idFromUrl(e.pokemon_species.url))
+    );
+
+function Section({ title, children }) {
+  return (
+    <div className="rounded-2xl border border-white/8 bg-white/3 p-4">
+      <h3 className="font-semibold">{title}</h3>
+      <div className="mt-3 space-y-3">{children}</div>
+    </div>
+  );
+}
+
+/**
+ * Seen/caught progress for the National Dex, each generation, type and
+ * regional dex, plus the achievement list. `ctx` is the achievement context
+ * (see `lib/achievements`); `unlocked` maps achievement ids to dates.
+ */
+export default function DexProgressPage({ ctx, unlocked }) {
+  const { t } = useI18n();
+  const byType = useMembers(TYPES, loadType);
+  const byRegion = useMembers(
+    REGIONAL_DEXES.map((r) => r.name),
+    loadRegion
+  );
+  const { seenIds: seen, caughtIds: caught } = ctx;
+
+  return (
+    <section className="space-y-4">
+      <h2 className="text-xl font-semibold">{t("dexProgress.title")}</h2>
+
+      <Section title={t("dexProgress.national")}>
+        <ProgressRow
+          label={t("dexProgress.allSpecies")}
+          progress={progressOf(range(1, NATIONAL_DEX_SIZE), seen, caught)}
+        />
+      </Section>
+
+      <div className="grid gap-4 lg:grid-cols-2">
+        <Section title={t("dexProgress.byGeneration")}>
+          {GENERATIONS.map((g) => (
+            <ProgressRow
+              key={g}
+              label={t("dexProgress.generation", { gen: g })}
+              progress={progressOf(generationMembers(g), seen, caught)}
+            />
+          ))}
+        </Section>
+
+        <Section title={t("dexProgress.byRegion")}>
+          {REGIONAL_DEXES.map((r) =>
+            byRegion[r.name] ? (
+              <ProgressRow
+                key={r.name}
+                label={r.label}
+                progress={progressOf(byRegion[r.name], seen, caught)}
+              />
+            ) : (
+              <div key={r.name} className="text-sm text-white/40">
+                {r.label}…
+              </div>
+            )
+          )}
+        </Section>
+      </div>
+
+      <Section title={t("dexProgress.byType")}>
+        <div className="grid gap-3 sm:grid-cols-2">
+          {TYPES.map((type) =>
+            byType[type] ? (
+              <ProgressRow
+                key={type}
+                label={type}
+                progress={progressOf(byType[type], seen, caught)}
+              />
+            ) : (
+              <div key={type} className="text-sm capitalize text-white/40">
+                {type}…
+              </div>
+            )
+          )}
+        </div>
+      </Section>
+
+      <Section title={t("dexProgress.achievements")}>
+        <div className="grid gap-3 sm:grid-cols-2">
+          {ACHIEVEMENTS.map((a) => {
+            const [current, goal] = a.progress(ctx);
+            const at = unlocked[a.id];
+            return (
+              <div
+                key={a.id}
+                className={`flex items-start gap-3 rounded-xl p-3 text-sm ${
+                  at ? "bg-amber-400/10" : "bg-white/3"
+                }`}
+              >
+                <Trophy
+                  className={`mt-0.5 h-5 w-5 ${
+                    at ? "text-amber-300" : "text-white/30"
+                  }`}
+                />
+                <div className="flex-1">
+                  <div className="font-medium">{t(a.label)}</div>
+                  <div className="text-xs text-white/60">
+                    {t(a.description)}
+                  </div>
+                  <div className="mt-1 text-xs text-white/50">
+                    {at
+                      ? t("dexProgress.unlockedOn", {
+                          date: new Date(at).toLocaleDateString(),
+                        })
+                      : t("dexProgress.progress", {
+                          current: Math.min(current, goal),
+                          goal,
+                        })}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </Section>
+    </section>
+  );
+}
@@ -0,0 +1,86 @@
+import { useEffect, useState } from "react";
+import { ChevronRight } from "lucide-react";
+import api, { getSpecies } from "../api/client";
+import useI18n from "../hooks/useI18n";
+import { parseChain } from "../lib/evolution";
+import { artworkUrl } from "../lib/pokemon";
+
+function Stage({ node, currentId, onSelect }) {
+  const { t } = useI18n();
+  const current = node.id === currentId;
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        onClick={() => onSelect(node.id)}
+        disabled={current}
+        className={`flex w-24 flex-col items-center rounded-xl p-2 ${
+          current ? "bg-indigo-600/30" : "bg-white/3 hover:bg-white/6"
+        }`}
+      >
+        <img
+          src={artworkUrl(node.id)}
+          alt={node.name}
+          className="h-14 w-14 object-contain"
+        />
+        <span className="text-xs capitalize">{node.name}</span>
+      </button>
+
+      {node.evolvesTo.length > 0 && (
+        <div className="flex flex-col gap-2">
+          {node.evolvesTo.map((child) => (
+            <div key={child.id} className="flex items-center gap-2">
+              <div className="flex w-24 flex-col items-center text-center text-[10px] text-white/60">
+                <ChevronRight className="h-4 w-4" />
+                {child.triggers.map((parts, i) => (
+                  <span key={i}>
+                    {parts.map((p) => t(p.key, p.params)).join(" ")}
+                  </span>
+                ))}
+              </div>
+              <Stage node={child} currentId={currentId} onSelect={onSelect} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** Evolution tree for the species at `speciesUrl`; stages are clickable. */
+export default function EvolutionChain({ speciesUrl, currentId, onSelect }) {
+  const { t } = useI18n();
+  const [chain, setChain] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let alive = true;
+    setFailed(false);
+    (speciesUrl ? api.get(speciesUrl) : getSpecies(currentId))
+      .then((species) => api.get(species.evolution_chain.url))
+      .then((data) => alive && setChain(parseChain(data.chain)))
+      .catch((e) => {
+        console.error(e);
+        if (alive) setFailed(true);
+      });
+    return () => {
+      alive = false;
+    };
+  }, [speciesUrl, currentId]);
+
+  if (failed) {
+    return <div className="text-sm text-white/60">{t("evolution.failed")}</div>;
+  }
+  if (!chain) {
+    return (
+      <div className="text-sm text-white/60">{t("evolution.loading")}</div>
+    );
+  }
+  if (chain.evolvesTo.length === 0) {
+    return <div className="text-sm text-white/60">{t("evolution.none")}</div>;
+  }
+  return (
+    <div className="overflow-x-auto pb-2">
+      <Stage node={chain} currentId={currentId} onSelect={onSelect} />
+    </div>
+  );
+}
@@ -0,0 +1,266 @@
+import { useEffect, useRef, useState } from "react";
+import { Compass } from "lucide-react";
+import api, { getPokemon } from "../api/client";
+import useI18n from "../hooks/useI18n";
+import {
+  encounterOdds,
+  encounterTable,
+  methodLabel,
+  methodsOf,
+  rollEncounter,
+  versionsOf,
+} from "../lib/encounters";
+import { artworkUrl, toCatchTarget } from "../lib/pokemon";
+import { createRng, randomSeed } from "../lib/rng";
+
+function label(name) {
+  return name.replace(/-/g, " ");
+}
+
+// Loads `url` into state whenever it changes; null while loading or unset.
+function useResource(url) {
+  const [data, setData] = useState({ url: null, value: null, failed: false });
+
+  useEffect(() => {
+    if (!url) return;
+    let alive = true;
+    api
+      .get(url)
+      .then((value) => alive && setData({ url, value, failed: false }))
+      .catch(() => alive && setData({ url, value: null, failed: true }));
+    return () => {
+      alive = false;
+    };
+  }, [url]);
+
+  return data.url === url ? data : { value: null, failed: false };
+}
+
+function Select({ value, onChange, options, placeholder }) {
+  return (
+    <select
+      value={value ?? ""}
+      onChange={(e) => onChange(e.target.value || null)}
+      className="rounded-lg bg-white/6 px-2 py-1 text-sm capitalize outline-none"
+    >
+      <option value="">{placeholder}</option>
+      {options.map((o) => (
+        <option key={o.value} value={o.value}>
+          {o.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+/**
+ * Region → location → area picker with the area's encounter table. Each
+ * search rolls a wild Pokémon from the table; `onEncounter` receives it as
+ * a catch target (with its rolled `level`).
+ */
+export default function ExplorePage({ onEncounter }) {
+  const { t } = useI18n();
+  const [region, setRegion] = useState(null);
+  const [location, setLocation] = useState(null);
+  const [areaUrl, setAreaUrl] = useState(null);
+  const [choice, setChoice] = useState({ version: null, method: null });
+  const [seed, setSeed] = useState(randomSeed);
+  const [log, setLog] = useState([]);
+  const [searching, setSearching] = useState(false);
+  // name of the Pokémon that failed to load
+  const [error, setError] = useState(null);
+  const rng = useRef(null);
+
+  const regions = useResource("/region");
+  const regionData = useResource(region && `/region/${region}`);
+  const locationData = useResource(location);
+  const area = useResource(areaUrl);
+
+  const versions = versionsOf(area.value);
+  const version = versions.includes(choice.version)
+    ? choice.version
+    : (versions.at(-1) ?? null);
+  const methods = methodsOf(area.value, version);
+  const method = methods.includes(choice.method) ? choice.method : methods[0];
+  const table = method ? encounterTable(area.value, { method, version }) : [];
+  const odds = encounterOdds(table);
+
+  // a new table or seed starts a fresh, reproducible run
+  useEffect(() => {
+    rng.current = createRng(seed);
+    setLog([]);
+  }, [seed, areaUrl, version, method]);
+
+  const areas = locationData.value?.areas ?? [];
+  // most locations have a single unnamed area; pick it for the user
+  useEffect(() => {
+    const only = locationData.value?.areas;
+    if (only?.length === 1) setAreaUrl(only[0].url);
+  }, [locationData.value]);
+
+  async function search() {
+    const found = rollEncounter(table, rng.current);
+    if (!found) return;
+    setLog((l) => [found, ...l].slice(0, 8));
+    setError(null);
+    setSearching(true);
+    try {
+      const d = await getPokemon(found.name);
+      onEncounter({ ...toCatchTarget(d), level: found.level });
+    } catch {
+      setError(found.name);
+    } finally {
+      setSearching(false);
+    }
+  }
+
+  return (
+    <section className="space-y-4">
+      <h2 className="text-xl font-semibold">{t("explore.title")}</h2>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <Select
+          value={region}
+          placeholder={t("explore.region")}
+          options={(regions.value?.results ?? []).map((r) => ({
+            value: r.name,
+            label: label(r.name),
+          }))}
+          onChange={(r) => {
+            setRegion(r);
+            setLocation(null);
+            setAreaUrl(null);
+          }}
+        />
+        {regionData.value && (
+          <Select
+            value={location}
+            placeholder={t("explore.location")}
+            options={regionData.value.locations
+              .slice()
+              .sort((a, b) => a.name.localeCompare(b.name))
+              .map((l) => ({ value: l.url, label: label(l.name) }))}
+            onChange={(l) => {
+              setLocation(l);
+              setAreaUrl(null);
+            }}
+          />
+        )}
+        {areas.length > 1 && (
+          <Select
+            value={areaUrl}
+            placeholder={t("explore.area")}
+            options={areas.map((a) => ({ value: a.url, label: label(a.name) }))}
+            onChange={setAreaUrl}
+          />
+        )}
+      </div>
+
+      {(regions.failed || regionData.failed || area.failed) && (
+        <div className="text-sm text-red-400">{t("explore.loadFailed")}</div>
+      )}
+      {locationData.value && areas.length === 0 && (
+        <div className="text-sm text-white/60">{t("explore.noWild")}</div>
+      )}
+
+      {area.value && (
+        <div className="rounded-2xl border border-white/8 bg-white/3 p-4 text-sm">
+          {versions.length === 0 ? (
+            <div className="text-white/60">{t("explore.noWild")}</div>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center gap-2">
+                <Select
+                  value={version}
+                  placeholder={t("explore.game")}
+                  options={versions.map((v) => ({ value: v, label: label(v) }))}
+                  onChange={(v) => setChoice({ ...choice, version: v })}
+                />
+                <Select
+                  value={method}
+                  placeholder={t("explore.method")}
+                  options={methods.map((m) => ({
+                    value: m,
+                    label: t(methodLabel(m)),
+                  }))}
+                  onChange={(m) => setChoice({ ...choice, method: m })}
+                />
+                <label className="flex items-center gap-2 text-white/60">
+                  {t("explore.seed")}
+                  <input
+                    type="number"
+                    value={seed}
+                    onChange={(e) => setSeed(Number(e.target.value) || 0)}
+                    className="w-32 rounded-lg bg-white/6 px-2 py-1 text-white outline-none"
+                  />
+                </label>
+                <button
+                  onClick={search}
+                  disabled={searching || table.length === 0}
+                  className="ml-auto flex items-center gap-2 rounded-full bg-red-500/80 px-4 py-2 font-medium disabled:opacity-50"
+                >
+                  <Compass className="h-4 w-4" />
+                  {searching ? t("explore.searching") : t("explore.search")}
+                </button>
+              </div>
+              {error && (
+                <div className="mt-2 text-red-400">
+                  {t("explore.pokemonFailed", { name: error })}
+                </div>
+              )}
+
+              <div className="mt-4 grid gap-2 sm:grid-cols-2">
+                {table.map((slot) => (
+                  <div
+                    key={slot.name}
+                    className="flex items-center gap-3 rounded-xl bg-white/3 p-2"
+                  >
+                    <img
+                      src={artworkUrl(slot.id)}
+                      alt={slot.name}
+                      loading="lazy"
+                      className="h-10 w-10 object-contain"
+                    />
+                    <div className="flex-1">
+                      <div className="capitalize">{slot.name}</div>
+                      <div className="text-xs text-white/60">
+                        {slot.maxLevel === slot.minLevel
+                          ? t("explore.level", { level: slot.minLevel })
+                          : t("explore.levels", {
+                              min: slot.minLevel,
+                              max: slot.maxLevel,
+                            })}
+                      </div>
+                    </div>
+                    <div className="text-white/70">
+                      {Math.round(odds[slot.name] * 100)}%
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {log.length > 0 && (
+                <div className="mt-4">
+                  <div className="text-white/70">{t("explore.recent")}</div>
+                  <div className="mt-1 flex flex-wrap gap-2 text-xs">
+                    {log.map((e, i) => (
+                      <span
+                        key={i}
+                        className="rounded-full bg-white/6 px-2 py-1 capitalize"
+                      >
+                        {t("explore.encounter", {
+                          name: e.name,
+                          level: e.level,
+                        })}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,177 @@
+import { ArrowDownUp } from "lucide-react";
+import useI18n from "../hooks/useI18n";
+import { DEFAULT_FILTERS, SORT_KEYS } from "../lib/filters";
+import { GENERATIONS, STAT_NAMES, TYPES } from "../lib/pokemon";
+
+function Chip({ active, onClick, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={`rounded-full px-3 py-1 text-xs capitalize ${
+        active ? "bg-indigo-600 text-white" : "bg-white/6 text-white/70"
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+function toggle(arr, value) {
+  return arr.includes(value) ? arr.filter((v) => v !== value) : [...arr, value];
+}
+
+export default function FilterPanel({ filters, onChange }) {
+  const { t } = useI18n();
+  const set = (patch) => onChange({ ...filters, ...patch });
+
+  function setStat(name, bound, raw) {
+    const [min, max] = filters.stats[name] ?? [null, null];
+    const value = raw === "" ? null : Number(raw);
+    const next = bound === 0 ? [value, max] : [min, value];
+    const stats = { ...filters.stats };
+    if (next[0] == null && next[1] == null) delete stats[name];
+    else stats[name] = next;
+    set({ stats });
+  }
+
+  return (
+    <div className="rounded-2xl border border-white/8 bg-white/3 p-4 text-sm space-y-4">
+      <div>
+        <div className="flex items-center justify-between">
+          <div className="text-white/70">{t("filters.types")}</div>
+          <div className="flex gap-2">
+            <Chip
+              active={filters.typeMode === "or"}
+              onClick={() => set({ typeMode: "or" })}
+            >
+              {t("filters.anyType")}
+            </Chip>
+            <Chip
+              active={filters.typeMode === "and"}
+              onClick={() => set({ typeMode: "and" })}
+            >
+              {t("filters.allTypes")}
+            </Chip>
+            <select
+              value={filters.typeCount}
+              onChange={(e) => set({ typeCount: e.target.value })}
+              className="rounded-lg bg-white/6 px-2 py-1 text-xs outline-none"
+            >
+              {["any", "single", "dual"].map((c) => (
+                <option key={c} value={c}>
+                  {t(`filters.typeCount.${c}`)}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="mt-2 flex flex-wrap gap-2">
+          {TYPES.map((type) => (
+            <Chip
+              key={type}
+              active={filters.types.includes(type)}
+              onClick={() => set({ types: toggle(filters.types, type) })}
+            >
+              {type}
+            </Chip>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <div className="text-white/70">{t("filters.generation")}</div>
+        <div className="mt-2 flex flex-wrap gap-2">
+          {GENERATIONS.map((g) => (
+            <Chip
+              key={g}
+              active={filters.gens.includes(g)}
+              onClick={() => set({ gens: toggle(filters.gens, g) })}
+            >
+              {t("filters.gen", { gen: g })}
+            </Chip>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <div className="text-white/70">{t("filters.baseStats")}</div>
+        <div className="mt-2 grid gap-2 sm:grid-cols-2 lg:grid-cols-3">
+          {STAT_NAMES.map((name) => {
+            const [min, max] = filters.stats[name] ?? [null, null];
+            return (
+              <label key={name} className="flex items-center gap-2">
+                <span className="w-28 text-white/60">{t(`stats.${name}`)}</span>
+                <input
+                  type="number"
+                  min={0}
+                  max={255}
+                  value={min ?? ""}
+                  onChange={(e) => setStat(name, 0, e.target.value)}
+                  placeholder={t("filters.min")}
+                  className="w-16 rounded-lg bg-white/6 px-2 py-1 outline-none"
+                />
+                <input
+                  type="number"
+                  min={0}
+                  max={255}
+                  value={max ?? ""}
+                  onChange={(e) => setStat(name, 1, e.target.value)}
+                  placeholder={t("filters.max")}
+                  className="w-16 rounded-lg bg-white/6 px-2 py-1 outline-none"
+                />
+              </label>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={filters.caught}
+          onChange={(e) => set({ caught: e.target.value })}
+          className="rounded-lg bg-white/6 px-2 py-1 outline-none"
+        >
+          {["all", "caught", "uncaught"].map((c) => (
+            <option key={c} value={c}>
+              {t(`filters.caught.${c}`)}
+            </option>
+          ))}
+        </select>
+
+        <label className="flex items-center gap-2">
+          <span className="text-white/60">{t("filters.sortBy")}</span>
+          <select
+            value={filters.sort}
+            onChange={(e) => set({ sort: e.target.value })}
+            className="rounded-lg bg-white/6 px-2 py-1 capitalize outline-none"
+          >
+            {SORT_KEYS.map((k) => (
+              <option key={k} value={k}>
+                {STAT_NAMES.includes(k)
+                  ? t(`stats.${k}`)
+                  : t(`filters.sorts.${k}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          onClick={() => set({ dir: filters.dir === "asc" ? "desc" : "asc" })}
+          className="flex items-center gap-1 rounded-full bg-white/6 px-3 py-1"
+        >
+          <ArrowDownUp className="h-3 w-3" />
+          {t(`sort.${filters.dir}`)}
+        </button>
+
+        <button
+          type="button"
+          onClick={() => onChange({ ...DEFAULT_FILTERS, stats: {} })}
+          className="ml-auto rounded-full border border-white/10 px-3 py-1"
+        >
+          {t("filters.reset")}
+        </button>
+      </div>
+    </div>
+  );
+}
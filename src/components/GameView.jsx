@@ -0,0 +1,448 @@
+import { useEffect, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { Timer, Volume2, X } from "lucide-react";
+import api, { getSpecies } from "../api/client";
+import { getSpeciesIndex } from "../api/dexIndex";
+import useI18n from "../hooks/useI18n";
+import useToasts from "../hooks/useToasts";
+import {
+  DEFAULT_ROUNDS,
+  MODES,
+  answerRound,
+  createSession,
+  currentRound,
+  dailySeed,
+  generateRounds,
+  isFinished,
+} from "../lib/game";
+import { generateQuizRounds } from "../lib/quiz";
+import { randomSeed } from "../lib/rng";
+
+const ROUND_OPTIONS = [5, 10, 15];
+
+function cryUrl(id) {
+  return `https://raw.githubusercontent.com/PokeAPI/cries/main/cries/pokemon/latest/${id}.ogg`;
+}
+
+// Draws the sprite at a tiny resolution and scales it back up.
+function PixelatedSprite({ src, size = 176, pixels = 14 }) {
+  const canvas = useRef(null);
+
+  useEffect(() => {
+    const img = new Image();
+    img.onload = () => {
+      const ctx = canvas.current?.getContext("2d");
+      if (!ctx) return;
+      const small = document.createElement("canvas");
+      small.width = pixels;
+      small.height = pixels;
+      small.getContext("2d").drawImage(img, 0, 0, pixels, pixels);
+      ctx.imageSmoothingEnabled = false;
+      ctx.clearRect(0, 0, size, size);
+      ctx.drawImage(small, 0, 0, size, size);
+    };
+    img.src = src;
+  }, [src, size, pixels]);
+
+  return (
+    <canvas ref={canvas} width={size} height={size} className="h-44 w-44" />
+  );
+}
+
+function Clue({ round, revealed }) {
+  const { t } = useI18n();
+  const { answer, clue, question } = round;
+  if (clue === "question") {
+    const message = revealed ? question.reveal : question.prompt;
+    return (
+      <div className="flex flex-col items-center gap-3 text-center">
+        {question.image && (
+          <img
+            src={question.image}
+            alt=""
+            className="h-32 w-32 object-contain"
+          />
+        )}
+        <div className="max-w-md text-lg first-letter:uppercase">
+          {t(message.key, {
+            ...message.params,
+            stat: message.params.stat && t(`stats.${message.params.stat}`),
+          })}
+        </div>
+      </div>
+    );
+  }
+  if (revealed) {
+    return (
+      <img
+        src={answer.sprite}
+        alt={answer.name}
+        className="h-44 w-44 object-contain"
+      />
+    );
+  }
+  if (clue === "pixel") return <PixelatedSprite src={answer.sprite} />;
+  if (clue === "cry") {
+    return (
+      <div className="flex h-44 flex-col items-center justify-center gap-3">
+        <Volume2 className="h-10 w-10 text-white/70" />
+        <audio key={answer.id} src={cryUrl(answer.id)} controls autoPlay />
+      </div>
+    );
+  }
+  // silhouette: darkened image
+  return (
+    <img
+      src={answer.sprite}
+      alt={t("game.silhouette")}
+      className="h-44 w-44 object-contain filter brightness-0 contrast-200"
+    />
+  );
+}
+
+/**
+ * Guessing game sessions: several timed rounds per difficulty, with score,
+ * streaks and a daily challenge. `onSeen(pokemon)` fires whenever a round
+ * reveals its Pokémon, `onCorrect(pokemon)` for each right answer about one
+ * (quiz rounds without a `pokemon` fire neither) and
+ * `onFinish(session)` once all rounds are played. While `online` is false
+ * rounds come from `list`, so the daily challenge (which must be the same
+ * puzzle everywhere) is unavailable.
+ */
+export default function GameView({
+  list,
+  online,
+  stats,
+  onSeen,
+  onCorrect,
+  onFinish,
+  onClose,
+}) {
+  const { t } = useI18n();
+  const { notify } = useToasts();
+  const [mode, setMode] = useState("easy");
+  const [roundCount, setRoundCount] = useState(DEFAULT_ROUNDS);
+  const [session, setSession] = useState(null);
+  const [feedback, setFeedback] = useState(null);
+  const [deadline, setDeadline] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+  const [text, setText] = useState("");
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [previousBest, setPreviousBest] = useState(0);
+
+  const round = session && currentRound(session);
+  const secondsLeft = Math.max(0, (deadline - now) / 1000);
+  const today = new Date().toISOString().slice(0, 10);
+  const playedDaily = stats.daily?.date === today;
+
+  async function start() {
+    setError(null);
+    const config = MODES[mode];
+    let pool = list;
+    // offline, stick to loaded Pokémon so their data and sprites are cached
+    if (config.pool === "dex" && !api.isOffline()) {
+      setLoading(true);
+      try {
+        pool = await getSpeciesIndex();
+      } catch {
+        setLoading(false);
+        setError(t("errors.loadIndex"));
+        return;
+      }
+      setLoading(false);
+    }
+    if (pool.length < 4) {
+      setError(t("errors.notEnoughForGame"));
+      return;
+    }
+    const seed = mode === "daily" ? dailySeed() : randomSeed();
+    const count = config.rounds ?? roundCount;
+    let rounds;
+    if (mode === "quiz") {
+      setLoading(true);
+      rounds = await generateQuizRounds({
+        pool,
+        count,
+        seed,
+        fetchers: { get: api.get, getSpecies },
+      });
+      setLoading(false);
+    } else {
+      rounds = generateRounds({ pool, count, mode, seed });
+    }
+    if (rounds.length === 0) {
+      notify({ tone: "error", message: t("errors.noRounds") });
+      return;
+    }
+    setPreviousBest(stats.bestScore[mode] ?? 0);
+    setSession(createSession({ mode, seed, rounds }));
+    setFeedback(null);
+    setText("");
+    setDeadline(Date.now() + config.seconds * 1000);
+  }
+
+  function answer(guess) {
+    if (feedback) return;
+    const next = answerRound(session, { guess, secondsLeft });
+    const result = next.results[next.results.length - 1];
+    // quiz answers can be types or other non-Pokémon values
+    const pokemon = round.clue === "question" ? round.pokemon : round.answer;
+    if (pokemon) {
+      onSeen(pokemon);
+      if (result.correct) onCorrect(pokemon);
+    }
+    setFeedback(result);
+    setSession(next);
+    if (isFinished(next)) onFinish(next);
+  }
+
+  function nextRound() {
+    setFeedback(null);
+    setText("");
+    if (!isFinished(session)) {
+      setDeadline(Date.now() + MODES[session.mode].seconds * 1000);
+    }
+  }
+
+  // countdown; running out of time counts as a wrong answer
+  useEffect(() => {
+    if (!session || feedback || isFinished(session)) return;
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [session, feedback]);
+
+  useEffect(() => {
+    if (session && !feedback && round && deadline && now >= deadline) {
+      answer(null);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [now]);
+
+  const shown = feedback ? session.rounds[session.index - 1] : round;
+  const done = session && isFinished(session) && !feedback;
+
+  return (
+    <motion.div className="fixed inset-0 z-60 flex items-center justify-center bg-black/60 p-4">
+      <motion.div
+        initial={{ y: 40, opacity: 0 }}
+        animate={{ y: 0, opacity: 1 }}
+        exit={{ y: 40, opacity: 0 }}
+        className="max-h-full w-full max-w-2xl overflow-y-auto rounded-2xl bg-slate-900 p-6 shadow-2xl"
+      >
+        <div className="flex items-center justify-between">
+          <h3 className="text-xl font-semibold">{t("game.title")}</h3>
+          <button onClick={onClose} className="rounded-full bg-white/3 p-2">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        {!session ? (
+          <div className="mt-4 space-y-4">
+            <div className="grid gap-3 sm:grid-cols-2">
+              {Object.entries(MODES).map(([key, m]) => (
+                <button
+                  key={key}
+                  onClick={() => setMode(key)}
+                  disabled={key === "daily" && !online}
+                  className={`rounded-2xl border p-4 text-left disabled:opacity-50 ${
+                    mode === key
+                      ? "border-indigo-500 bg-indigo-600/20"
+                      : "border-white/8 bg-white/3"
+                  }`}
+                >
+                  <div className="font-medium">{t(m.label)}</div>
+                  <div className="text-xs text-white/60">
+                    {t(m.description)}
+                  </div>
+                  {key === "daily" && !online && (
+                    <div className="mt-1 text-xs text-amber-300">
+                      {t("game.dailyOffline")}
+                    </div>
+                  )}
+                  <div className="mt-2 text-xs text-white/60">
+                    {t("game.best", { score: stats.bestScore[key] ?? 0 })}
+                    {key === "daily" &&
+                      playedDaily &&
+                      t("game.today", { score: stats.daily.score })}
+                  </div>
+                </button>
+              ))}
+            </div>
+
+            <div className="flex items-center gap-3 text-sm">
+              {!MODES[mode].rounds && (
+                <label className="flex items-center gap-2 text-white/60">
+                  {t("game.rounds")}
+                  <select
+                    value={roundCount}
+                    onChange={(e) => setRoundCount(Number(e.target.value))}
+                    className="rounded-lg bg-white/6 px-2 py-1 text-white outline-none"
+                  >
+                    {ROUND_OPTIONS.map((n) => (
+                      <option key={n} value={n}>
+                        {n}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <div className="text-white/60">
+                {t("game.bestStreak", { count: stats.bestStreak })}
+              </div>
+              <button
+                onClick={start}
+                disabled={loading || (mode === "daily" && !online)}
+                className="ml-auto rounded-full bg-red-500/80 px-4 py-2 font-medium disabled:opacity-50"
+              >
+                {loading ? t("game.loading") : t("game.start")}
+              </button>
+            </div>
+            {error && <div className="text-sm text-red-400">{error}</div>}
+          </div>
+        ) : done ? (
+          <div className="mt-6 space-y-3 text-center">
+            <div className="text-3xl font-semibold">
+              {t("game.points", { score: session.score })}
+            </div>
+            {session.score > previousBest && (
+              <div className="text-yellow-300">{t("game.newBest")}</div>
+            )}
+            <div className="text-sm text-white/60">
+              {t("game.summary", {
+                correct: session.results.filter((r) => r.correct).length,
+                total: session.results.length,
+                streak: session.bestStreak,
+              })}
+            </div>
+            <div className="flex justify-center gap-3 pt-2">
+              <button
+                onClick={() => setSession(null)}
+                className="rounded-full border border-white/10 px-4 py-2 text-sm"
+              >
+                {t("game.playAgain")}
+              </button>
+              <button
+                onClick={onClose}
+                className="rounded-full bg-white px-4 py-2 text-sm font-medium text-black"
+              >
+                {t("game.done")}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="mt-4 grid gap-4">
+            <div className="flex items-center justify-between text-sm text-white/60">
+              <span>
+                {t("game.round", {
+                  number: Math.min(
+                    session.index + (feedback ? 0 : 1),
+                    session.rounds.length
+                  ),
+                  total: session.rounds.length,
+                })}
+              </span>
+              <span>
+                {t("game.status", {
+                  score: session.score,
+                  streak: session.streak,
+                })}
+              </span>
+              <span className="flex items-center gap-1">
+                <Timer className="h-4 w-4" />
+                {feedback ? "—" : Math.ceil(secondsLeft)}s
+              </span>
+            </div>
+            <div className="h-1 w-full rounded-full bg-white/6">
+              <div
+                style={{
+                  width: `${
+                    feedback
+                      ? 0
+                      : (secondsLeft / MODES[session.mode].seconds) * 100
+                  }%`,
+                }}
+                className="h-full rounded-full bg-indigo-500"
+              />
+            </div>
+
+            <div className="flex items-center justify-center">
+              <Clue round={shown} revealed={Boolean(feedback)} />
+            </div>
+
+            {feedback ? (
+              <div className="flex items-center justify-between rounded-2xl bg-white/5 p-4">
+                <div>
+                  {feedback.correct ? (
+                    <span>
+                      {t("game.correct")}{" "}
+                      <span className="text-white/60">+{feedback.points}</span>
+                    </span>
+                  ) : (
+                    <span>
+                      {feedback.guess == null
+                        ? t("game.timeUp")
+                        : t("game.wrong")}{" "}
+                      <span className="capitalize">{shown.answer.name}</span>
+                    </span>
+                  )}
+                </div>
+                <button
+                  onClick={nextRound}
+                  className="rounded-full bg-white px-4 py-2 text-sm font-medium text-black"
+                >
+                  {isFinished(session) ? t("game.results") : t("game.next")}
+                </button>
+              </div>
+            ) : shown.choices ? (
+              <div className="grid gap-3 sm:grid-cols-2">
+                {shown.choices.map((c) => (
+                  <button
+                    key={c.id}
+                    onClick={() => answer(c.id)}
+                    className="rounded-2xl border border-white/8 bg-white/3 p-4 text-left"
+                  >
+                    <div className="flex items-center gap-4">
+                      {c.sprite && shown.clue !== "pixel" && (
+                        <img
+                          src={c.sprite}
+                          alt={c.name}
+                          className="h-12 w-12 object-contain"
+                        />
+                      )}
+                      <div>
+                        <div className="capitalize font-medium">{c.name}</div>
+                        {typeof c.id === "number" && (
+                          <div className="text-xs text-white/60">#{c.id}</div>
+                        )}
+                      </div>
+                    </div>
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  if (text.trim()) answer(text);
+                }}
+                className="flex gap-2"
+              >
+                <input
+                  autoFocus
+                  value={text}
+                  onChange={(e) => setText(e.target.value)}
+                  placeholder={t("game.placeholder")}
+                  className="w-full rounded-lg bg-white px-3 py-2 text-black outline-none"
+                />
+                <button className="rounded-lg bg-indigo-600 px-4 py-2">
+                  {t("game.guess")}
+                </button>
+              </form>
+            )}
+          </div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,19 @@
+import { useCallback, useEffect, useMemo } from "react";
+import usePersistentState from "../hooks/usePersistentState";
+import { I18nContext } from "../i18n/context";
+import { translate } from "../i18n";
+import { languageStore } from "../lib/stores";
+
+/** Provides the persisted UI language and `t` to `useI18n`. */
+export default function I18nProvider({ children }) {
+  const [lang, setLang] = usePersistentState(languageStore);
+
+  useEffect(() => {
+    document.documentElement.lang = lang;
+  }, [lang]);
+
+  const t = useCallback((key, params) => translate(lang, key, params), [lang]);
+  const value = useMemo(() => ({ lang, setLang, t }), [lang, setLang, t]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
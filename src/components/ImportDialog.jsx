@@ -0,0 +1,143 @@
+import { useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { X } from "lucide-react";
+import useI18n from "../hooks/useI18n";
+import { displayName } from "../lib/collection";
+import { STRATEGIES, diffCollections, mergeImport } from "../lib/transfer";
+
+const PREVIEW_LIMIT = 8;
+
+function NameList({ label, entries, tone }) {
+  const { t } = useI18n();
+  if (entries.length === 0) return null;
+  return (
+    <div>
+      <div className={`text-sm ${tone}`}>
+        {label} ({entries.length})
+      </div>
+      <div className="mt-1 flex flex-wrap gap-1">
+        {entries.slice(0, PREVIEW_LIMIT).map((e) => (
+          <span
+            key={e.uid}
+            className="rounded-full bg-white/6 px-2 py-0.5 text-xs capitalize"
+          >
+            {displayName(e)}
+          </span>
+        ))}
+        {entries.length > PREVIEW_LIMIT && (
+          <span className="text-xs text-white/60">
+            {t("import.more", { count: entries.length - PREVIEW_LIMIT })}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** Preview of an import (from `parseImport`) with a choice of strategy. */
+export default function ImportDialog({ imported, current, onApply, onClose }) {
+  const { t } = useI18n();
+  const [strategy, setStrategy] = useState("merge");
+
+  const next = useMemo(
+    () => mergeImport(current, imported, strategy),
+    [current, imported, strategy]
+  );
+  const diff = useMemo(() => diffCollections(current, next), [current, next]);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-60 flex items-center justify-center bg-black/60 p-4"
+    >
+      <motion.div
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.95, opacity: 0 }}
+        className="max-h-full w-full max-w-lg overflow-y-auto rounded-2xl bg-slate-900 p-6 text-sm shadow-2xl"
+      >
+        <div className="flex items-center justify-between">
+          <h3 className="text-xl font-semibold">{t("import.title")}</h3>
+          <button onClick={onClose} className="rounded-full bg-white/3 p-2">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <p className="mt-2 text-white/60">
+          {t("import.summary", {
+            count: imported.entries.length,
+            format: imported.format.toUpperCase(),
+          })}
+          {imported.invalid.length > 0 &&
+            t("import.skipped", { count: imported.invalid.length })}
+          .
+        </p>
+
+        <div className="mt-4 space-y-2">
+          {Object.entries(STRATEGIES).map(([key, label]) => (
+            <label key={key} className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="strategy"
+                checked={strategy === key}
+                onChange={() => setStrategy(key)}
+              />
+              {t(label)}
+            </label>
+          ))}
+        </div>
+
+        <div className="mt-4 space-y-3 rounded-2xl bg-white/3 p-4">
+          <div className="text-white/70">
+            {t("import.change", {
+              from: current.length,
+              to: next.length,
+              unchanged: diff.unchanged,
+            })}
+          </div>
+          <NameList
+            label={t("import.added")}
+            entries={diff.added}
+            tone="text-green-400"
+          />
+          <NameList
+            label={t("import.updated")}
+            entries={diff.updated}
+            tone="text-yellow-300"
+          />
+          <NameList
+            label={t("import.removed")}
+            entries={diff.removed}
+            tone="text-red-400"
+          />
+          {imported.gameStats && (
+            <div className="text-white/60">
+              {strategy === "replace"
+                ? t("import.statsReplaced")
+                : t("import.statsKept")}
+            </div>
+          )}
+        </div>
+
+        <div className="mt-6 flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            className="rounded-full border border-white/10 px-4 py-2"
+          >
+            {t("import.cancel")}
+          </button>
+          <button
+            onClick={() =>
+              onApply(next, strategy === "replace" ? imported.gameStats : null)
+            }
+            className="rounded-full bg-indigo-600 px-4 py-2 font-medium"
+          >
+            {t("import.apply")}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
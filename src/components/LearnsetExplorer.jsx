@@ -0,0 +1,206 @@
+import { useEffect, useState } from "react";
+import { getMove } from "../api/client";
+import useI18n from "../hooks/useI18n";
+import useLocalNames from "../hooks/useLocalNames";
+import {
+  DAMAGE_CLASSES,
+  LEARN_METHODS,
+  groupLearnset,
+  matchesMoveFilter,
+  moveEffect,
+  versionGroupsOf,
+} from "../lib/learnset";
+import { TYPES, toMove } from "../lib/pokemon";
+
+function MoveInfo({ move, nameOf }) {
+  const { t } = useI18n();
+  if (move === undefined) {
+    return (
+      <div className="text-xs text-white/60">{t("learnset.loadingMove")}</div>
+    );
+  }
+  if (move === null) {
+    return (
+      <div className="text-xs text-red-400">{t("learnset.moveFailed")}</div>
+    );
+  }
+  return (
+    <div className="rounded-xl bg-white/6 p-3 text-xs">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold capitalize">
+          {nameOf("move", move.name, move.name)}
+        </span>
+        <span className="capitalize text-white/60">
+          {nameOf("type", move.type, move.type)} •{" "}
+          {t(`learnset.damageClasses.${move.damageClass}`)}
+        </span>
+      </div>
+      <div className="mt-1 text-white/70">
+        {t("learnset.moveInfo", {
+          power: move.power ?? "—",
+          accuracy: move.accuracy ?? "—",
+          pp: move.pp ?? "—",
+        })}
+      </div>
+      {move.effect && <p className="mt-1 text-white/60">{move.effect}</p>}
+    </div>
+  );
+}
+
+/**
+ * Learnset of a Pokémon, from the raw `moves` array of its /pokemon
+ * response, grouped by learn method for one version group.
+ */
+export default function LearnsetExplorer({ moves }) {
+  const { t } = useI18n();
+  const versionGroups = versionGroupsOf(moves);
+  const [versionGroup, setVersionGroup] = useState(
+    versionGroups.at(-1)?.name ?? ""
+  );
+  const [filter, setFilter] = useState({ type: "", damageClass: "" });
+  const [openMove, setOpenMove] = useState(null);
+  // move name -> move details, or null when the request failed
+  const [details, setDetails] = useState({});
+
+  const groups = groupLearnset(moves, versionGroup);
+  const filtering = Boolean(filter.type || filter.damageClass);
+  const nameOf = useLocalNames({
+    move: Object.values(groups).flatMap((g) => g.map((e) => e.name)),
+    type: TYPES,
+  });
+  const wanted = filtering
+    ? Object.values(groups).flatMap((g) => g.map((e) => e.name))
+    : openMove
+      ? [openMove]
+      : [];
+  const missing = [...new Set(wanted)].filter((n) => !(n in details));
+
+  useEffect(() => {
+    if (missing.length === 0) return;
+    let cancelled = false;
+    Promise.all(
+      missing.map(async (name) => {
+        try {
+          const d = await getMove(name);
+          return [name, { ...toMove(d), effect: moveEffect(d) }];
+        } catch {
+          return [name, null];
+        }
+      })
+    ).then((entries) => {
+      if (!cancelled) {
+        setDetails((prev) => ({ ...prev, ...Object.fromEntries(entries) }));
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [missing.join(",")]);
+
+  if (versionGroups.length === 0) {
+    return <div className="text-sm text-white/60">{t("learnset.noMoves")}</div>;
+  }
+
+  const sections = [
+    ...LEARN_METHODS,
+    { id: "other", label: "learnset.methods.other" },
+  ].filter((m) => groups[m.id].length > 0);
+
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap gap-2">
+        <select
+          value={versionGroup}
+          onChange={(e) => setVersionGroup(e.target.value)}
+          className="rounded-lg bg-white/6 px-2 py-1 text-xs outline-none"
+        >
+          {versionGroups.map((v) => (
+            <option key={v.name} value={v.name}>
+              {v.name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filter.type}
+          onChange={(e) => setFilter({ ...filter, type: e.target.value })}
+          className="rounded-lg bg-white/6 px-2 py-1 text-xs capitalize outline-none"
+        >
+          <option value="">{t("learnset.allTypes")}</option>
+          {TYPES.map((type) => (
+            <option key={type} value={type}>
+              {nameOf("type", type, type)}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filter.damageClass}
+          onChange={(e) =>
+            setFilter({ ...filter, damageClass: e.target.value })
+          }
+          className="rounded-lg bg-white/6 px-2 py-1 text-xs capitalize outline-none"
+        >
+          <option value="">{t("learnset.allCategories")}</option>
+          {DAMAGE_CLASSES.map((c) => (
+            <option key={c} value={c}>
+              {t(`learnset.damageClasses.${c}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {filtering && missing.length > 0 && (
+        <div className="mt-2 text-xs text-white/60">
+          {t("learnset.loadingMoves")}
+        </div>
+      )}
+
+      {openMove && (
+        <div className="mt-3">
+          <MoveInfo move={details[openMove]} nameOf={nameOf} />
+        </div>
+      )}
+
+      <div className="mt-3 space-y-3">
+        {sections.map((section) => {
+          const entries = groups[section.id].filter((e) =>
+            matchesMoveFilter(details[e.name], filter)
+          );
+          return (
+            <div key={section.id}>
+              <div className="text-white/70">{t(section.label)}</div>
+              <div className="mt-1 flex flex-wrap gap-2">
+                {entries.length === 0 ? (
+                  <span className="text-xs text-white/40">
+                    {t("learnset.none")}
+                  </span>
+                ) : (
+                  entries.map((e) => (
+                    <button
+                      key={`${e.name}-${e.level}`}
+                      onClick={() =>
+                        setOpenMove(openMove === e.name ? null : e.name)
+                      }
+                      className={`rounded-full px-2 py-1 text-xs ${
+                        openMove === e.name ? "bg-indigo-600" : "bg-white/6"
+                      }`}
+                    >
+                      {section.id === "level-up" && (
+                        <span className="text-white/50">
+                          {e.level
+                            ? t("learnset.level", { level: e.level })
+                            : t("learnset.evolution")}{" "}
+                        </span>
+                      )}
+                      {nameOf("move", e.name, e.name)}
+                    </button>
+                  ))
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
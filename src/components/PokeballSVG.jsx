@@ -0,0 +1,18 @@
+/* Small presentational Pokeball SVG (inline, avoids external icon deps) */
+export default function PokeballSVG({ className = "h-5 w-5" }) {
+  return (
+    <svg viewBox="0 0 48 48" fill="none" className={className} aria-hidden>
+      <circle cx="24" cy="24" r="22" fill="#fff" opacity="0.06" />
+      <path d="M6 24a18 18 0 0 1 36 0" fill="#ef4444" />
+      <path d="M6 24a18 18 0 0 0 36 0" fill="#fff" />
+      <circle cx="24" cy="24" r="6" fill="#fff" />
+      <circle cx="24" cy="24" r="4" fill="#111827" />
+      <path
+        d="M6 24h36"
+        stroke="#111827"
+        strokeWidth="2.5"
+        strokeLinecap="round"
+      />
+    </svg>
+  );
+}
@@ -0,0 +1,77 @@
+import useI18n from "../hooks/useI18n";
+import { STAT_NAMES } from "../lib/pokemon";
+import { PROFILES, powerBreakdown, profileWeights } from "../lib/power";
+
+/**
+ * Power score for `stats` under the chosen profile, with each stat's share
+ * of it. `settings` is `{ profile, custom }` (see `powerSettingsStore`).
+ */
+export default function PowerScore({ stats, settings, onChange }) {
+  const { t } = useI18n();
+  const weights = profileWeights(settings.profile, settings.custom);
+  const { score, parts } = powerBreakdown(stats, weights);
+  const maxContribution = Math.max(...parts.map((p) => p.contribution), 1);
+
+  function setWeight(name, raw) {
+    const value = Math.max(0, Number(raw) || 0);
+    onChange({ ...settings, custom: { ...settings.custom, [name]: value } });
+  }
+
+  return (
+    <div className="text-sm">
+      <div className="flex items-center justify-between gap-3">
+        <select
+          value={settings.profile}
+          onChange={(e) => onChange({ ...settings, profile: e.target.value })}
+          className="rounded-lg bg-white/6 px-2 py-1 text-xs outline-none"
+        >
+          {Object.entries(PROFILES).map(([key, p]) => (
+            <option key={key} value={key}>
+              {t(p.label)}
+            </option>
+          ))}
+          <option value="custom">{t("power.custom")}</option>
+        </select>
+        <div className="text-lg font-bold">
+          {score}
+          <span className="text-sm font-normal text-white/60">/100</span>
+        </div>
+      </div>
+
+      <div className="mt-3 space-y-1">
+        {parts.map((p) => (
+          <div key={p.stat} className="flex items-center gap-2 text-xs">
+            <div className="w-28 text-white/70">{t(`stats.${p.stat}`)}</div>
+            {settings.profile === "custom" ? (
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={settings.custom[p.stat]}
+                onChange={(e) => setWeight(p.stat, e.target.value)}
+                className="w-14 rounded bg-white/6 px-1 outline-none"
+              />
+            ) : (
+              <div className="w-14 text-white/50">×{p.weight}</div>
+            )}
+            <div className="h-2 flex-1 rounded-full bg-white/6">
+              <div
+                style={{
+                  width: `${(p.contribution / maxContribution) * 100}%`,
+                }}
+                className="h-full rounded-full bg-indigo-500/80"
+              />
+            </div>
+            <div className="w-8 text-right text-white/60">
+              {p.contribution.toFixed(1)}
+            </div>
+          </div>
+        ))}
+      </div>
+      {settings.profile === "custom" &&
+        STAT_NAMES.every((n) => !settings.custom[n]) && (
+          <p className="mt-2 text-xs text-red-400">{t("power.needWeight")}</p>
+        )}
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { Copy, Pencil, Trash2, X } from "lucide-react";
+import useI18n from "../hooks/useI18n";
+import useProfiles from "../hooks/useProfiles";
+import { AVATARS, MAX_NAME_LENGTH } from "../lib/profiles";
+
+function AvatarPicker({ value, onChange }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {AVATARS.map((a) => (
+        <button
+          key={a}
+          type="button"
+          onClick={() => onChange(a)}
+          className={`h-8 w-8 rounded-full text-lg ${
+            value === a ? "bg-indigo-600" : "bg-white/5"
+          }`}
+        >
+          {a}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/** Switches between, creates, edits, duplicates and deletes trainer profiles. */
+export default function ProfileDialog({ onClose }) {
+  const { t } = useI18n();
+  const { profiles, active, create, update, duplicate, remove, switchTo } =
+    useProfiles();
+  // `{ id, name, avatar }` of the profile being edited, or `{ name, avatar }`
+  // for a new one
+  const [form, setForm] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+
+  function submit(e) {
+    e.preventDefault();
+    if (form.id) update(form.id, { name: form.name, avatar: form.avatar });
+    else create({ name: form.name, avatar: form.avatar });
+    setForm(null);
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-60 flex items-center justify-center bg-black/60 p-4"
+    >
+      <motion.div
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.95, opacity: 0 }}
+        className="max-h-full w-full max-w-lg overflow-y-auto rounded-2xl bg-slate-900 p-6 text-sm shadow-2xl"
+      >
+        <div className="flex items-center justify-between">
+          <h3 className="text-xl font-semibold">{t("profiles.title")}</h3>
+          <button onClick={onClose} className="rounded-full bg-white/3 p-2">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+        <p className="mt-2 text-white/60">{t("profiles.hint")}</p>
+
+        <ul className="mt-4 space-y-2">
+          {profiles.map((p) => (
+            <li
+              key={p.id}
+              className={`flex items-center gap-3 rounded-2xl border p-3 ${
+                p.id === active.id
+                  ? "border-indigo-500/60 bg-indigo-500/10"
+                  : "border-white/8 bg-white/3"
+              }`}
+            >
+              <span className="text-2xl">{p.avatar}</span>
+              <div className="flex-1">
+                <div className="font-medium">{p.name}</div>
+                {p.id === active.id && (
+                  <div className="text-xs text-white/60">
+                    {t("profiles.active")}
+                  </div>
+                )}
+              </div>
+
+              {deleting === p.id ? (
+                <>
+                  <span className="text-red-300">{t("profiles.confirm")}</span>
+                  <button
+                    onClick={() => {
+                      remove(p.id);
+                      setDeleting(null);
+                    }}
+                    className="rounded-full bg-red-600 px-3 py-1"
+                  >
+                    {t("profiles.delete")}
+                  </button>
+                  <button
+                    onClick={() => setDeleting(null)}
+                    className="rounded-full border border-white/10 px-3 py-1"
+                  >
+                    {t("profiles.cancel")}
+                  </button>
+                </>
+              ) : (
+                <>
+                  {p.id !== active.id && (
+                    <button
+                      onClick={() => {
+                        switchTo(p.id);
+                        onClose();
+                      }}
+                      className="rounded-full bg-indigo-600 px-3 py-1"
+                    >
+                      {t("profiles.switch")}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setForm({ ...p })}
+                    title={t("profiles.edit")}
+                    className="rounded-full bg-white/5 p-2"
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => duplicate(p.id)}
+                    title={t("profiles.duplicate")}
+                    className="rounded-full bg-white/5 p-2"
+                  >
+                    <Copy className="h-4 w-4" />
+                  </button>
+                  {profiles.length > 1 && (
+                    <button
+                      onClick={() => setDeleting(p.id)}
+                      title={t("profiles.delete")}
+                      className="rounded-full bg-white/5 p-2 text-red-300"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {form ? (
+          <form
+            onSubmit={submit}
+            className="mt-4 space-y-3 rounded-2xl bg-white/3 p-4"
+          >
+            <div className="font-medium">
+              {form.id ? t("profiles.edit") : t("profiles.new")}
+            </div>
+            <input
+              autoFocus
+              value={form.name}
+              maxLength={MAX_NAME_LENGTH}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder={t("profiles.namePlaceholder")}
+              className="w-full rounded-lg bg-white/5 px-3 py-2 outline-none"
+            />
+            <AvatarPicker
+              value={form.avatar}
+              onChange={(avatar) => setForm({ ...form, avatar })}
+            />
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                className="rounded-full border border-white/10 px-4 py-2"
+              >
+                {t("profiles.cancel")}
+              </button>
+              <button
+                type="submit"
+                className="rounded-full bg-indigo-600 px-4 py-2 font-medium"
+              >
+                {form.id ? t("profiles.save") : t("profiles.create")}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button
+            onClick={() => setForm({ name: "", avatar: AVATARS[0] })}
+            className="mt-4 w-full rounded-full border border-white/10 px-4 py-2"
+          >
+            {t("profiles.new")}
+          </button>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
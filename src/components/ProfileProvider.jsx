@@ -0,0 +1,73 @@
+import { Fragment, useMemo, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import usePersistentState from "../hooks/usePersistentState";
+import { ProfileContext } from "../hooks/useProfiles";
+import {
+  activeProfile,
+  addProfile,
+  copyName,
+  createProfile,
+  removeProfile,
+  switchProfile,
+  updateProfile,
+} from "../lib/profiles";
+import {
+  adoptLegacyData,
+  copyProfileData,
+  profileStores,
+  profilesStore,
+  removeProfileData,
+} from "../lib/stores";
+
+/**
+ * Provides trainer profiles to `useProfiles`. Children are remounted when the
+ * active profile changes, so they load that profile's data from scratch.
+ */
+export default function ProfileProvider({ children }) {
+  const { t } = useI18n();
+  // must run before the profile list (and any profile's data) is first read
+  useState(adoptLegacyData);
+  const [state, setState] = usePersistentState(profilesStore);
+  const active = activeProfile(state);
+
+  const value = useMemo(
+    () => ({
+      profiles: state.list,
+      active,
+      stores: profileStores(active.id),
+      create(fields) {
+        const profile = createProfile(state, fields, t);
+        setState((s) => switchProfile(addProfile(s, profile), profile.id));
+      },
+      update(id, patch) {
+        setState((s) => updateProfile(s, id, patch));
+      },
+      duplicate(id) {
+        const source = state.list.find((p) => p.id === id);
+        if (!source) return;
+        const copy = {
+          ...createProfile(state, { avatar: source.avatar }, t),
+          name: copyName(state, source, t),
+        };
+        copyProfileData(id, copy.id);
+        setState((s) => addProfile(s, copy));
+      },
+      remove(id) {
+        // the last profile can't be removed (see `removeProfile`)
+        if (state.list.length < 2) return;
+        removeProfileData(id);
+        setState((s) => removeProfile(s, id));
+      },
+      switchTo(id) {
+        setState((s) => switchProfile(s, id));
+      },
+    }),
+    [state, active, setState, t]
+  );
+
+  return (
+    <ProfileContext.Provider value={value}>
+      <Fragment key={active.id}>{children}</Fragment>
+    </ProfileContext.Provider>
+  );
+}
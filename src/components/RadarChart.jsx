@@ -0,0 +1,59 @@
+import { SERIES_COLORS } from "../lib/compare";
+
+// Six-axis radar chart of base stats, one polygon per series.
+
+const LABELS = ["HP", "Atk", "Def", "SpA", "SpD", "Spe"];
+
+export default function RadarChart({ series, max = 255, size = 260 }) {
+  const c = size / 2;
+  const r = c - 28;
+  const point = (i, value) => {
+    const angle = (Math.PI * 2 * i) / LABELS.length - Math.PI / 2;
+    const d = (Math.min(value, max) / max) * r;
+    return [c + d * Math.cos(angle), c + d * Math.sin(angle)];
+  };
+  const ring = (f) =>
+    LABELS.map((_, i) => point(i, max * f).join(",")).join(" ");
+
+  return (
+    <svg viewBox={`0 0 ${size} ${size}`} className="w-full max-w-xs">
+      {[0.25, 0.5, 0.75, 1].map((f) => (
+        <polygon
+          key={f}
+          points={ring(f)}
+          fill="none"
+          stroke="rgba(255,255,255,0.1)"
+        />
+      ))}
+      {LABELS.map((label, i) => {
+        const [x, y] = point(i, max);
+        const [lx, ly] = point(i, max * 1.18);
+        return (
+          <g key={label}>
+            <line x1={c} y1={c} x2={x} y2={y} stroke="rgba(255,255,255,0.1)" />
+            <text
+              x={lx}
+              y={ly}
+              fill="rgba(255,255,255,0.6)"
+              fontSize="11"
+              textAnchor="middle"
+              dominantBaseline="middle"
+            >
+              {label}
+            </text>
+          </g>
+        );
+      })}
+      {series.map((s, k) => (
+        <polygon
+          key={s.name}
+          points={s.values.map((v, i) => point(i, v).join(",")).join(" ")}
+          fill={SERIES_COLORS[k % SERIES_COLORS.length]}
+          fillOpacity="0.15"
+          stroke={SERIES_COLORS[k % SERIES_COLORS.length]}
+          strokeWidth="2"
+        />
+      ))}
+    </svg>
+  );
+}
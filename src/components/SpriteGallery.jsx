@@ -0,0 +1,140 @@
+import { useEffect, useState } from "react";
+import api from "../api/client";
+import useI18n from "../hooks/useI18n";
+import { spriteGallery, variantLabel, varietiesOf } from "../lib/sprites";
+
+/**
+ * Every sprite variant of the open Pokémon, its alternate forms (species
+ * varieties, which open in the detail view) and cosmetic forms from
+ * /pokemon-form.
+ */
+export default function SpriteGallery({
+  name,
+  sprites,
+  speciesUrl,
+  forms = [],
+  onSelect,
+}) {
+  const { t } = useI18n();
+  const [varieties, setVarieties] = useState(null);
+  const [cosmetic, setCosmetic] = useState([]);
+
+  useEffect(() => {
+    if (!speciesUrl) return;
+    let alive = true;
+    api
+      .get(speciesUrl)
+      .then((s) => alive && setVarieties(varietiesOf(s)))
+      .catch(() => alive && setVarieties([]));
+    return () => {
+      alive = false;
+    };
+  }, [speciesUrl]);
+
+  useEffect(() => {
+    // a single form is the Pokémon itself
+    if (forms.length < 2) return;
+    let alive = true;
+    Promise.all(
+      forms.map((f) =>
+        api
+          .get(`/pokemon-form/${f}`)
+          .then((d) => ({
+            name: d.name,
+            form: d.form_name,
+            sprite: d.sprites?.front_default,
+          }))
+          .catch(() => null)
+      )
+    ).then((list) => alive && setCosmetic(list.filter(Boolean)));
+    return () => {
+      alive = false;
+    };
+  }, [forms]);
+
+  const sets = spriteGallery(sprites);
+  const variant = (s) =>
+    variantLabel(s)
+      .map((key) => t(key))
+      .join(" ");
+
+  return (
+    <div className="space-y-4 text-sm">
+      {sets.map((set) => (
+        <div key={set.id}>
+          <div className="text-white/70">{t(set.label)}</div>
+          <div className="mt-1 flex flex-wrap gap-2">
+            {set.sprites.map((s) => (
+              <figure
+                key={s.url}
+                className="flex w-24 flex-col items-center rounded-xl bg-white/3 p-2"
+              >
+                <img
+                  src={s.url}
+                  alt={`${name} ${variant(s)}`}
+                  loading="lazy"
+                  className="h-16 w-16 object-contain"
+                />
+                <figcaption className="text-center text-[10px] capitalize text-white/60">
+                  {variant(s)}
+                </figcaption>
+              </figure>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {varieties && varieties.length > 1 && (
+        <div>
+          <div className="text-white/70">{t("sprites.varieties")}</div>
+          <div className="mt-1 flex flex-wrap gap-2">
+            {varieties.map((v) => (
+              <button
+                key={v.name}
+                onClick={() => onSelect(v.name)}
+                disabled={v.name === name}
+                className={`rounded-full px-3 py-1 text-xs capitalize ${
+                  v.name === name ? "bg-indigo-600" : "bg-white/6"
+                }`}
+              >
+                {v.form || t("sprites.defaultForm")}
+                {v.kind !== "default" && v.kind !== "other" && (
+                  <span className="text-white/50">
+                    {" "}
+                    • {t(`sprites.kinds.${v.kind}`)}
+                  </span>
+                )}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {cosmetic.length > 1 && (
+        <div>
+          <div className="text-white/70">{t("sprites.cosmetic")}</div>
+          <div className="mt-1 flex flex-wrap gap-2">
+            {cosmetic.map((f) => (
+              <figure
+                key={f.name}
+                className="flex w-20 flex-col items-center rounded-xl bg-white/3 p-2"
+              >
+                {f.sprite && (
+                  <img
+                    src={f.sprite}
+                    alt={f.name}
+                    loading="lazy"
+                    className="h-12 w-12 object-contain"
+                  />
+                )}
+                <figcaption className="text-center text-[10px] capitalize text-white/60">
+                  {f.form || t("sprites.defaultForm")}
+                </figcaption>
+              </figure>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+import { useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { STAT_NAMES } from "../lib/pokemon";
+import {
+  MAX_EV,
+  MAX_IV,
+  MAX_TOTAL_EVS,
+  NATURES,
+  calcStats,
+  validateEvs,
+} from "../lib/statCalc";
+
+function numberIn(raw, max) {
+  const n = Math.floor(Number(raw));
+  return Number.isFinite(n) ? Math.min(Math.max(n, 0), max) : 0;
+}
+
+/** Level-N stats from base stats, IVs, EVs and nature. */
+export default function StatCalculator({ stats }) {
+  const { t } = useI18n();
+  const [level, setLevel] = useState(50);
+  const [nature, setNature] = useState("hardy");
+  const [ivs, setIvs] = useState({});
+  const [evs, setEvs] = useState({});
+
+  const result = calcStats(stats, { level, nature, ivs, evs });
+  const problems = validateEvs(evs);
+  const evTotal = STAT_NAMES.reduce((sum, n) => sum + (evs[n] ?? 0), 0);
+
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 text-white/70">
+          {t("statCalc.level")}
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={level}
+            onChange={(e) =>
+              setLevel(Math.max(1, numberIn(e.target.value, 100)))
+            }
+            className="w-16 rounded-lg bg-white/6 px-2 py-1 outline-none"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-white/70">
+          {t("statCalc.nature")}
+          <select
+            value={nature}
+            onChange={(e) => setNature(e.target.value)}
+            className="rounded-lg bg-white/6 px-2 py-1 capitalize outline-none"
+          >
+            {Object.entries(NATURES).map(([name, n]) => (
+              <option key={name} value={name}>
+                {name}
+                {n.up ? ` (+${n.up}, -${n.down})` : ""}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <table className="mt-3 w-full text-xs">
+        <thead className="text-white/50">
+          <tr>
+            <th className="text-left font-normal">{t("statCalc.stat")}</th>
+            <th className="font-normal">{t("statCalc.iv", { max: MAX_IV })}</th>
+            <th className="font-normal">{t("statCalc.ev", { max: MAX_EV })}</th>
+            <th className="text-right font-normal">{t("statCalc.value")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {STAT_NAMES.map((name) => (
+            <tr key={name}>
+              <td
+                className={
+                  NATURES[nature].up === name
+                    ? "text-red-300"
+                    : NATURES[nature].down === name
+                      ? "text-blue-300"
+                      : "text-white/70"
+                }
+              >
+                {t(`stats.${name}`)}
+              </td>
+              <td className="text-center">
+                <input
+                  type="number"
+                  min="0"
+                  max={MAX_IV}
+                  value={ivs[name] ?? MAX_IV}
+                  onChange={(e) =>
+                    setIvs({ ...ivs, [name]: numberIn(e.target.value, MAX_IV) })
+                  }
+                  className="w-14 rounded bg-white/6 px-1 outline-none"
+                />
+              </td>
+              <td className="text-center">
+                <input
+                  type="number"
+                  min="0"
+                  max={MAX_EV}
+                  step="4"
+                  value={evs[name] ?? 0}
+                  onChange={(e) =>
+                    setEvs({ ...evs, [name]: numberIn(e.target.value, MAX_EV) })
+                  }
+                  className="w-14 rounded bg-white/6 px-1 outline-none"
+                />
+              </td>
+              <td className="text-right font-semibold">{result[name]}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div
+        className={`mt-2 text-xs ${
+          problems.length ? "text-red-400" : "text-white/50"
+        }`}
+      >
+        {problems.length
+          ? problems
+              .map((p) =>
+                t(p.key, {
+                  ...p.params,
+                  stat: p.params.stat && t(`stats.${p.params.stat}`),
+                })
+              )
+              .join("; ")
+          : t("statCalc.evTotal", { total: evTotal, max: MAX_TOTAL_EVS })}
+      </div>
+    </div>
+  );
+}
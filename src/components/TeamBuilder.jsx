@@ -0,0 +1,381 @@
+import { useEffect, useMemo, useState } from "react";
+import { Plus, Trash2, X } from "lucide-react";
+import { getMove, getPokemon } from "../api/client";
+import useI18n from "../hooks/useI18n";
+import { STAT_NAMES, toListItem, toMove } from "../lib/pokemon";
+import {
+  MOVES_PER_MEMBER,
+  TEAM_SIZE,
+  createMember,
+  createTeam,
+  defensiveSummary,
+  offensiveCoverage,
+  statSummary,
+} from "../lib/team";
+import { formatMultiplier } from "../lib/typeChart";
+
+function MemberSlot({ member, onChange, onRemove }) {
+  const { t } = useI18n();
+  const [details, setDetails] = useState(null);
+
+  useEffect(() => {
+    let alive = true;
+    getPokemon(member.id)
+      .then((d) => {
+        if (!alive) return;
+        setDetails({
+          abilities: d.abilities.map((a) => a.ability.name),
+          // the full learnset, not just the handful shown in the detail view
+          learnset: d.moves.map((m) => m.move.name).sort(),
+        });
+      })
+      .catch((e) => console.error(e));
+    return () => {
+      alive = false;
+    };
+  }, [member.id]);
+
+  async function setMove(slot, name) {
+    let move = null;
+    if (name) {
+      try {
+        move = toMove(await getMove(name));
+      } catch {
+        move = { name, type: null, power: null, damageClass: "status" };
+      }
+    }
+    // applied to the member as it is once the move has loaded
+    onChange((m) => {
+      const moves = m.moves.slice();
+      if (move) moves[slot] = move;
+      else moves.splice(slot, 1);
+      return { ...m, moves: moves.filter(Boolean) };
+    });
+  }
+
+  return (
+    <div className="rounded-2xl border border-white/8 bg-white/2 p-3 text-sm">
+      <div className="flex items-center gap-3">
+        <img
+          src={member.sprite}
+          alt={member.name}
+          className="h-12 w-12 object-contain"
+        />
+        <div className="flex-1">
+          <div className="capitalize font-semibold">{member.name}</div>
+          <div className="text-xs capitalize text-white/60">
+            {member.types.join(" / ")}
+          </div>
+        </div>
+        <button onClick={onRemove} className="rounded-full bg-white/3 p-2">
+          <X className="h-3 w-3" />
+        </button>
+      </div>
+
+      {!details ? (
+        <div className="mt-2 text-xs text-white/60">
+          {t("team.loadingLearnset")}
+        </div>
+      ) : (
+        <div className="mt-2 space-y-2">
+          <select
+            value={member.ability ?? ""}
+            onChange={(e) => {
+              const ability = e.target.value || null;
+              onChange((m) => ({ ...m, ability }));
+            }}
+            className="w-full rounded-lg bg-white/6 px-2 py-1 capitalize outline-none"
+          >
+            <option value="">{t("team.ability")}</option>
+            {details.abilities.map((a) => (
+              <option key={a} value={a}>
+                {a}
+              </option>
+            ))}
+          </select>
+          <div className="grid grid-cols-2 gap-2">
+            {Array.from({ length: MOVES_PER_MEMBER }, (_, i) => (
+              <select
+                key={i}
+                value={member.moves[i]?.name ?? ""}
+                disabled={i > member.moves.length}
+                onChange={(e) => setMove(i, e.target.value)}
+                className="rounded-lg bg-white/6 px-2 py-1 outline-none disabled:opacity-40"
+              >
+                <option value="">{t("team.move", { number: i + 1 })}</option>
+                {details.learnset.map((m) => (
+                  <option
+                    key={m}
+                    value={m}
+                    disabled={member.moves.some(
+                      (x, j) => j !== i && x.name === m
+                    )}
+                  >
+                    {m}
+                  </option>
+                ))}
+              </select>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Analysis({ members }) {
+  const { t } = useI18n();
+  const coverage = offensiveCoverage(members);
+  const defense = defensiveSummary(members);
+  const stats = statSummary(members);
+  const gaps = Object.entries(coverage).filter(([, c]) => c.best < 2);
+
+  return (
+    <div className="grid gap-4 md:grid-cols-3 text-sm">
+      <div className="rounded-2xl border border-white/8 bg-white/3 p-4">
+        <h4 className="font-semibold">{t("team.coverage")}</h4>
+        <p className="text-xs text-white/60">
+          {t("team.coverageSummary", { count: 18 - gaps.length })}
+        </p>
+        <div className="mt-2 flex flex-wrap gap-1">
+          {Object.entries(coverage).map(([type, c]) => (
+            <span
+              key={type}
+              title={c.by.join(", ")}
+              className={`rounded-full px-2 py-0.5 text-xs capitalize ${
+                c.best >= 2
+                  ? "bg-green-500/20"
+                  : c.best < 1
+                    ? "bg-red-500/20"
+                    : "bg-white/6"
+              }`}
+            >
+              {type} {formatMultiplier(c.best)}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="rounded-2xl border border-white/8 bg-white/3 p-4">
+        <h4 className="font-semibold">{t("team.sharedWeaknesses")}</h4>
+        {defense.shared.length === 0 ? (
+          <p className="mt-2 text-xs text-white/60">
+            {t("team.noSharedWeaknesses")}
+          </p>
+        ) : (
+          <div className="mt-2 space-y-1">
+            {defense.shared.map((r) => (
+              <div key={r.type} className="flex justify-between capitalize">
+                <span>{r.type}</span>
+                <span className="text-white/60">
+                  {t("team.weakResist", { weak: r.weak, resist: r.resist })}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="rounded-2xl border border-white/8 bg-white/3 p-4">
+        <h4 className="font-semibold">{t("team.stats")}</h4>
+        {stats && (
+          <div className="mt-2 space-y-1">
+            {STAT_NAMES.map((s) => (
+              <div key={s} className="flex justify-between">
+                <span>{t(`stats.${s}`)}</span>
+                <span className="text-white/60">
+                  {t("team.average", { value: stats.average[s] })}
+                </span>
+              </div>
+            ))}
+            <div className="flex justify-between border-t border-white/10 pt-1">
+              <span>{t("team.averageTotal")}</span>
+              <span>{stats.averageTotal}</span>
+            </div>
+            <div className="flex justify-between">
+              <span>{t("team.averagePower")}</span>
+              <span>{stats.averagePower}/100</span>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Plan and save teams of up to six Pokémon from the collection or list.
+ * `onChange` gets updater functions, like a `useState` setter.
+ */
+export default function TeamBuilder({ caught, list, teams, onChange }) {
+  const { t } = useI18n();
+  const [activeUid, setActiveUid] = useState(teams[0]?.uid ?? null);
+  const [query, setQuery] = useState("");
+  const [adding, setAdding] = useState(false);
+
+  const team = teams.find((x) => x.uid === activeUid) ?? null;
+
+  const candidates = useMemo(() => {
+    const seen = new Set();
+    const all = [
+      ...caught.map((c) => ({ ...c, fromCollection: true })),
+      ...list,
+    ].filter((p) => !seen.has(p.id) && seen.add(p.id));
+    const q = query.trim().toLowerCase();
+    return all.filter((p) => !q || p.name.includes(q)).slice(0, 12);
+  }, [caught, list, query]);
+
+  // Updates go through the latest teams, so a change that lands after an
+  // await (a loading move or Pokémon) doesn't undo edits made meanwhile.
+  function updateTeam(uid, update) {
+    onChange((ts) =>
+      ts.map((x) =>
+        x.uid === uid
+          ? { ...update(x), updatedAt: new Date().toISOString() }
+          : x
+      )
+    );
+  }
+
+  function newTeam() {
+    const created = createTeam(
+      t("team.defaultName", { number: teams.length + 1 })
+    );
+    onChange((ts) => [...ts, created]);
+    setActiveUid(created.uid);
+  }
+
+  function deleteTeam(uid) {
+    const rest = teams.filter((x) => x.uid !== uid);
+    onChange((ts) => ts.filter((x) => x.uid !== uid));
+    if (uid === activeUid) setActiveUid(rest[0]?.uid ?? null);
+  }
+
+  async function addMember(p) {
+    if (!team || team.members.length >= TEAM_SIZE) return;
+    setAdding(true);
+    try {
+      const d = await getPokemon(p.id);
+      const member = createMember(toListItem(d));
+      updateTeam(team.uid, (x) =>
+        x.members.length >= TEAM_SIZE
+          ? x
+          : { ...x, members: [...x.members, member] }
+      );
+    } catch (e) {
+      console.error(e);
+    } finally {
+      setAdding(false);
+    }
+  }
+
+  function updateMember(uid, update) {
+    updateTeam(team.uid, (x) => ({
+      ...x,
+      members: x.members.map((m) => (m.uid === uid ? update(m) : m)),
+    }));
+  }
+
+  function removeMember(uid) {
+    updateTeam(team.uid, (x) => ({
+      ...x,
+      members: x.members.filter((m) => m.uid !== uid),
+    }));
+  }
+
+  return (
+    <section className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <h2 className="mr-2 text-xl font-semibold">{t("team.title")}</h2>
+        {teams.map((x) => (
+          <button
+            key={x.uid}
+            onClick={() => setActiveUid(x.uid)}
+            className={`rounded-full px-3 py-1 text-sm ${
+              x.uid === activeUid ? "bg-indigo-600" : "bg-white/6"
+            }`}
+          >
+            {x.name} ({x.members.length})
+          </button>
+        ))}
+        <button
+          onClick={newTeam}
+          className="flex items-center gap-1 rounded-full border border-white/10 px-3 py-1 text-sm"
+        >
+          <Plus className="h-3 w-3" /> {t("team.new")}
+        </button>
+      </div>
+
+      {!team ? (
+        <div className="text-sm text-white/60">{t("team.empty")}</div>
+      ) : (
+        <>
+          <div className="flex items-center gap-2">
+            <input
+              value={team.name}
+              onChange={(e) => {
+                const name = e.target.value;
+                updateTeam(team.uid, (x) => ({ ...x, name }));
+              }}
+              className="rounded-lg bg-white/6 px-3 py-2 font-semibold outline-none"
+            />
+            <button
+              onClick={() => deleteTeam(team.uid)}
+              className="flex items-center gap-1 rounded-full border border-white/10 px-3 py-1 text-sm"
+            >
+              <Trash2 className="h-3 w-3" /> {t("team.delete")}
+            </button>
+          </div>
+
+          <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+            {team.members.map((m) => (
+              <MemberSlot
+                key={m.uid}
+                member={m}
+                onChange={(update) => updateMember(m.uid, update)}
+                onRemove={() => removeMember(m.uid)}
+              />
+            ))}
+          </div>
+
+          {team.members.length < TEAM_SIZE && (
+            <div className="rounded-2xl border border-white/8 bg-white/3 p-4 text-sm">
+              <div className="flex items-center gap-2">
+                <span className="text-white/70">
+                  {t("team.add", {
+                    count: team.members.length,
+                    max: TEAM_SIZE,
+                  })}
+                </span>
+                <input
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder={t("team.filterPlaceholder")}
+                  className="ml-auto rounded-lg bg-white/6 px-2 py-1 outline-none"
+                />
+              </div>
+              <div className="mt-2 flex flex-wrap gap-2">
+                {candidates.map((p) => (
+                  <button
+                    key={p.id}
+                    disabled={adding}
+                    onClick={() => addMember(p)}
+                    className="flex items-center gap-1 rounded-full bg-white/6 py-1 pl-1 pr-3 capitalize disabled:opacity-50"
+                  >
+                    <img src={p.sprite} alt="" className="h-6 w-6" />
+                    {p.name}
+                    {p.fromCollection && (
+                      <span className="text-xs text-white/50">★</span>
+                    )}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {team.members.length > 0 && <Analysis members={team.members} />}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,106 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { CircleCheck, Info, TriangleAlert, X } from "lucide-react";
+import useI18n from "../hooks/useI18n";
+import { ToastContext } from "../hooks/useToasts";
+import {
+  createToast,
+  dismissToast,
+  pushToast,
+  toastStack,
+} from "../lib/toasts";
+
+const TONES = {
+  info: { Icon: Info, className: "border-indigo-400/30 text-indigo-300" },
+  success: {
+    Icon: CircleCheck,
+    className: "border-green-400/30 text-green-300",
+  },
+  error: { Icon: TriangleAlert, className: "border-red-400/30 text-red-300" },
+};
+
+function Toast({ toast, onDismiss }) {
+  const { Icon, className } = TONES[toast.tone] ?? TONES.info;
+
+  useEffect(() => {
+    if (toast.duration === null) return;
+    const timer = setTimeout(() => onDismiss(toast.id), toast.duration);
+    return () => clearTimeout(timer);
+  }, [toast.id, toast.duration, onDismiss]);
+
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, x: 40 }}
+      role={toast.tone === "error" ? "alert" : "status"}
+      className={`pointer-events-auto flex w-80 gap-3 rounded-2xl border bg-slate-800 px-4 py-3 shadow-2xl ${className}`}
+    >
+      <Icon className="mt-0.5 h-5 w-5 shrink-0" />
+      <div className="flex-1 text-sm">
+        {toast.title && <div className="text-xs">{toast.title}</div>}
+        <div className="font-medium text-white">{toast.message}</div>
+        {toast.actions.length > 0 && (
+          <div className="mt-2 flex gap-2">
+            {toast.actions.map((a) => (
+              <button
+                key={a.label}
+                onClick={() => {
+                  onDismiss(toast.id);
+                  a.onClick();
+                }}
+                className="rounded-full bg-white/10 px-3 py-1 text-xs text-white hover:bg-white/20"
+              >
+                {a.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      <button
+        onClick={() => onDismiss(toast.id)}
+        className="self-start rounded-full p-1 text-white/60"
+      >
+        <X className="h-4 w-4" />
+      </button>
+    </motion.div>
+  );
+}
+
+/** Provides `notify` to `useToasts` and renders the toast stack. */
+export default function ToastProvider({ children }) {
+  const { t } = useI18n();
+  const [toasts, setToasts] = useState([]);
+
+  const notify = useCallback((fields) => {
+    const toast = createToast(fields);
+    setToasts((list) => pushToast(list, toast));
+    return toast.id;
+  }, []);
+  const dismiss = useCallback(
+    (id) => setToasts((list) => dismissToast(list, id)),
+    []
+  );
+  const value = useMemo(() => ({ notify, dismiss }), [notify, dismiss]);
+
+  const { visible, waiting } = toastStack(toasts);
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      <div className="pointer-events-none fixed bottom-4 right-4 z-70 flex flex-col items-end gap-2">
+        <AnimatePresence initial={false}>
+          {visible.map((toast) => (
+            <Toast key={toast.id} toast={toast} onDismiss={dismiss} />
+          ))}
+        </AnimatePresence>
+        {waiting > 0 && (
+          <div className="rounded-full bg-slate-800 px-3 py-1 text-xs text-white/70">
+            {t("toasts.more", { count: waiting })}
+          </div>
+        )}
+      </div>
+    </ToastContext.Provider>
+  );
+}
@@ -0,0 +1,62 @@
+import useI18n from "../hooks/useI18n";
+import useLocalNames from "../hooks/useLocalNames";
+import { MULTIPLIERS, formatMultiplier, groupMatchups } from "../lib/typeChart";
+
+const GROUPS = [
+  {
+    label: "matchups.weaknesses",
+    multipliers: [4, 2],
+    tone: "bg-red-500/20",
+  },
+  {
+    label: "matchups.resistances",
+    multipliers: [0.5, 0.25],
+    tone: "bg-green-500/20",
+  },
+  { label: "matchups.immunities", multipliers: [0], tone: "bg-white/10" },
+];
+
+/**
+ * Damage taken by a Pokémon of `types` from each attacking type. Renders
+ * nothing without types.
+ */
+export default function TypeMatchups({ types }) {
+  const { t } = useI18n();
+  const groups = groupMatchups(types);
+  const nameOf = useLocalNames({
+    type: Object.values(groups).flat(),
+  });
+
+  if (types.length === 0) return null;
+
+  return (
+    <div className="grid gap-3 sm:grid-cols-3">
+      {GROUPS.map((g) => {
+        const entries = MULTIPLIERS.filter((m) =>
+          g.multipliers.includes(m)
+        ).flatMap((m) => groups[m].map((type) => ({ type, m })));
+        return (
+          <div key={g.label}>
+            <div className="text-sm text-white/70">{t(g.label)}</div>
+            <div className="mt-1 flex flex-wrap gap-2">
+              {entries.length === 0 ? (
+                <span className="text-xs text-white/40">
+                  {t("matchups.none")}
+                </span>
+              ) : (
+                entries.map(({ type, m }) => (
+                  <span
+                    key={type}
+                    className={`rounded-full px-2 py-1 text-xs capitalize ${g.tone}`}
+                  >
+                    {nameOf("type", type, type)} {formatMultiplier(m)}
+                  </span>
+                ))
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
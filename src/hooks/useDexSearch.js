@@ -0,0 +1,70 @@
+import { useEffect, useMemo, useState } from "react";
+import api from "../api/client";
+import { getDexIndex } from "../api/dexIndex";
+import { searchIndex } from "../lib/nameIndex";
+import { toListItem } from "../lib/pokemon";
+
+/**
+ * Searches the whole National Dex rather than only the loaded pages.
+ * Details for matches that aren't in `list` yet are fetched on demand.
+ * Falls back to filtering `list` if the name index can't be loaded.
+ */
+export default function useDexSearch(search, list) {
+  const [index, setIndex] = useState(null);
+  const [extra, setExtra] = useState({});
+  const [pending, setPending] = useState(0);
+
+  useEffect(() => {
+    let alive = true;
+    getDexIndex()
+      .then((idx) => alive && setIndex(idx))
+      .catch((e) => console.error(e));
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  const matches = useMemo(
+    () => (index && search ? searchIndex(index, search) : []),
+    [index, search]
+  );
+
+  useEffect(() => {
+    const known = new Set(list.map((p) => p.id));
+    const missing = matches.filter((m) => !known.has(m.id) && !(m.id in extra));
+    if (missing.length === 0) return;
+    let alive = true;
+    setPending((n) => n + 1);
+    Promise.all(
+      missing.map((m) =>
+        api
+          .get(m.url)
+          .then(toListItem)
+          .catch(() => null)
+      )
+    ).then((items) => {
+      setPending((n) => n - 1);
+      if (!alive) return;
+      setExtra((prev) => {
+        const next = { ...prev };
+        // failures are stored as null so they aren't retried on every render
+        missing.forEach((m, i) => (next[m.id] = items[i]));
+        return next;
+      });
+    });
+    return () => {
+      alive = false;
+    };
+  }, [matches, list, extra]);
+
+  const results = useMemo(() => {
+    if (!search) return list;
+    if (!index) {
+      return list.filter((p) => p.name.includes(search.toLowerCase()));
+    }
+    const byId = new Map(list.map((p) => [p.id, p]));
+    return matches.map((m) => byId.get(m.id) ?? extra[m.id]).filter(Boolean);
+  }, [search, index, list, matches, extra]);
+
+  return { results, searching: pending > 0 };
+}
@@ -0,0 +1,7 @@
+import { useContext } from "react";
+import { I18nContext } from "../i18n/context";
+
+/** `{ lang, setLang, t }` from the nearest `I18nProvider`. */
+export default function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useState } from "react";
+import { getNames } from "../api/localNames";
+import { localName } from "../i18n";
+import useI18n from "./useI18n";
+
+/**
+ * Localized names for the given `{ pokemon: [ids], type: [...], ability:
+ * [...], move: [...] }`. Returns `nameOf(kind, key, fallback)`, which gives
+ * `fallback` until (or unless) a translation is loaded.
+ */
+export default function useLocalNames(wanted) {
+  const { lang } = useI18n();
+  // "kind/key" -> names array (empty when the lookup failed)
+  const [names, setNames] = useState({});
+
+  const keys = Object.entries(wanted).flatMap(([kind, list]) =>
+    (list ?? []).map((key) => `${kind}/${key}`)
+  );
+  const missing = [...new Set(keys)].filter((k) => !(k in names));
+
+  useEffect(() => {
+    if (missing.length === 0) return;
+    let alive = true;
+    Promise.all(
+      missing.map(async (k) => {
+        const [kind, key] = k.split("/");
+        try {
+          return [k, await getNames(kind, key)];
+        } catch {
+          return [k, []];
+        }
+      })
+    ).then((entries) => {
+      if (alive)
+        setNames((prev) => ({ ...prev, ...Object.fromEntries(entries) }));
+    });
+    return () => {
+      alive = false;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [missing.join(",")]);
+
+  return useCallback(
+    (kind, key, fallback) =>
+      localName(names[`${kind}/${key}`], lang) ?? fallback,
+    [names, lang]
+  );
+}
@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useState } from "react";
+import { stripBase, toHref } from "../lib/routes";
+
+function readLocation() {
+  return {
+    pathname: stripBase(window.location.pathname),
+    search: window.location.search,
+    state: window.history.state,
+  };
+}
+
+/**
+ * Current location (app-relative) plus `navigate(path, { replace, state })`.
+ * Back/forward re-render through `popstate`.
+ */
+export default function useLocation() {
+  const [location, setLocation] = useState(readLocation);
+
+  useEffect(() => {
+    const onPop = () => setLocation(readLocation());
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  const navigate = useCallback(
+    (path, { replace = false, state = null } = {}) => {
+      const method = replace ? "replaceState" : "pushState";
+      window.history[method](state, "", toHref(path));
+      setLocation(readLocation());
+    },
+    []
+  );
+
+  return [location, navigate];
+}
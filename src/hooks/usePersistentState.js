@@ -0,0 +1,17 @@
+import { useEffect, useState } from "react";
+
+/**
+ * `useState` backed by a store from `createStore`: loads (and migrates) once,
+ * saves on change and picks up changes made in other tabs.
+ */
+export default function usePersistentState(store) {
+  const [state, setState] = useState(() => store.load());
+
+  useEffect(() => store.subscribe(setState), [store]);
+
+  useEffect(() => {
+    store.save(state);
+  }, [store, state]);
+
+  return [state, setState];
+}
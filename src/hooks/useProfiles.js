@@ -0,0 +1,12 @@
+import { createContext, useContext } from "react";
+
+export const ProfileContext = createContext(null);
+
+/**
+ * `{ profiles, active, stores, create, update, duplicate, remove, switchTo }`
+ * from the nearest `ProfileProvider`. `stores` are the active profile's
+ * (see `profileStores`).
+ */
+export default function useProfiles() {
+  return useContext(ProfileContext);
+}
@@ -0,0 +1,14 @@
+import { createContext, useContext } from "react";
+
+export const ToastContext = createContext({
+  notify: () => null,
+  dismiss: () => {},
+});
+
+/**
+ * `{ notify, dismiss }` from the nearest `ToastProvider`. `notify(toast)`
+ * takes the fields described in `createToast` and returns the toast's id.
+ */
+export default function useToasts() {
+  return useContext(ToastContext);
+}
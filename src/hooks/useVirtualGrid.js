@@ -0,0 +1,65 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { gridColumns, visibleRange } from "../lib/virtualGrid";
+
+const ESTIMATED_ROW = 150;
+const GAP = 16; // gap-4
+
+/**
+ * Windowing for the page-scrolled dex grid. Attach `ref` to the grid; render
+ * `items.slice(start, end)` inside it with `paddingTop`/`paddingBottom`.
+ * The row height is measured from the first rendered card.
+ */
+export default function useVirtualGrid(count) {
+  const ref = useRef(null);
+  const [viewport, setViewport] = useState(() => ({
+    top: 0,
+    height: window.innerHeight,
+    width: window.innerWidth,
+    rowHeight: ESTIMATED_ROW,
+  }));
+
+  const measure = useCallback(() => {
+    const grid = ref.current;
+    if (!grid) return;
+    const card = grid.firstElementChild;
+    const next = {
+      top: grid.getBoundingClientRect().top,
+      height: window.innerHeight,
+      width: window.innerWidth,
+      rowHeight: card ? card.offsetHeight + GAP : ESTIMATED_ROW,
+    };
+    setViewport((v) =>
+      Object.keys(next).every((k) => v[k] === next[k]) ? v : next
+    );
+  }, []);
+
+  useEffect(() => {
+    let frame = 0;
+    const onChange = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(measure);
+    };
+    window.addEventListener("scroll", onChange, { passive: true });
+    window.addEventListener("resize", onChange);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("scroll", onChange);
+      window.removeEventListener("resize", onChange);
+    };
+  }, [measure]);
+
+  // The grid also moves when the list or anything above it changes; the
+  // equality check in `measure` stops this from looping.
+  useEffect(() => {
+    measure();
+  });
+
+  const range = visibleRange({
+    count,
+    columns: gridColumns(viewport.width),
+    rowHeight: viewport.rowHeight,
+    top: viewport.top,
+    viewportHeight: viewport.height,
+  });
+  return { ref, ...range };
+}
@@ -0,0 +1,8 @@
+import { createContext } from "react";
+import { DEFAULT_LANGUAGE, translate } from "./index";
+
+export const I18nContext = createContext({
+  lang: DEFAULT_LANGUAGE,
+  setLang: () => {},
+  t: (key, params) => translate(DEFAULT_LANGUAGE, key, params),
+});
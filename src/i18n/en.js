@@ -0,0 +1,569 @@
+// English UI strings. Keys are grouped by the part of the app using them;
+// `{name}` placeholders are filled in by `translate`.
+export default {
+  app: {
+    title: "Playing Pokemon",
+    tagline: "Browse, evaluate, play & catch Pokémon",
+    footer: "Built with ❤️ using PokeAPI",
+    language: "Language",
+  },
+  nav: {
+    collection: "Collection ({count})",
+    backToDex: "Back to Pokédex",
+    teams: "Teams",
+    explore: "Explore",
+    playGame: "Play Game",
+    searchPlaceholder: "Search name or #25...",
+  },
+  offline:
+    "Offline — showing cached data. Catching and the game keep working with Pokémon you've already loaded.",
+  dex: {
+    shown: "{count} shown",
+    filtersApplyToLoaded: " • filters apply to loaded Pokémon",
+    filters: "Filters & sort",
+    detail: "Detail",
+    catch: "Catch",
+    compare: "Compare",
+    searching: "Searching...",
+    noMatch: 'No Pokémon match "{search}"',
+    noFilterMatch: "No loaded Pokémon match these filters",
+    loading: "Loading...",
+    loadMore: "Load more",
+    failedTitle: "{count} Pokémon failed to load",
+    retryAll: "Retry all",
+    noMore: "No more Pokémon",
+  },
+  sidebar: {
+    caught: "Caught Pokémon",
+    battle: "Battle",
+    savedLocally: "Saved locally in your browser",
+    restock: "Restock",
+    noneCaught: "You haven't caught any yet.",
+    level: "Lv.{level}",
+    openCollection: "Open collection",
+    dexTitle: "Pokédex",
+    dexSummary: "{caught} caught • {seen} seen / {total}",
+    achievements: "{count} of {total} achievements",
+    dexOpen: "View progress",
+    evalTitle: "Quick Evaluation",
+    evalHint: 'Enter a Pokémon name to compute its "power score"',
+    evalPlaceholder: "e.g. pikachu",
+    eval: "Eval",
+    aboutTitle: "About",
+    about:
+      "Interactive demo using PokeAPI. Catch, evaluate and play a small guessing game.",
+  },
+  profiles: {
+    defaultName: "Trainer {number}",
+    copyName: "{name} (copy)",
+    copyNameN: "{name} (copy {n})",
+    title: "Trainer profiles",
+    hint: "Each profile has its own collection, teams, game stats and settings.",
+    active: "Active",
+    switch: "Switch",
+    edit: "Edit profile",
+    duplicate: "Duplicate",
+    delete: "Delete",
+    confirm: "Delete this profile and its data?",
+    cancel: "Cancel",
+    new: "New profile",
+    namePlaceholder: "Trainer name",
+    save: "Save",
+    create: "Create",
+  },
+  toasts: {
+    retry: "Retry",
+    view: "View",
+    more: "+{count} more",
+    addedToCollection: "{name} was added to your collection",
+  },
+  achievements: {
+    unlocked: "Achievement unlocked",
+    firstCatch: {
+      label: "Gotcha!",
+      description: "Catch your first Pokémon",
+    },
+    catch25: {
+      label: "Collector",
+      description: "Catch 25 different species",
+    },
+    catch100: {
+      label: "Researcher",
+      description: "Catch 100 different species",
+    },
+    seen151: {
+      label: "Sightseer",
+      description: "See 151 different species",
+    },
+    everyType: {
+      label: "Type master",
+      description: "Catch at least one Pokémon of every type",
+    },
+    shiny: {
+      label: "Something sparkly",
+      description: "Catch a shiny Pokémon",
+    },
+    streak10: {
+      label: "On a roll",
+      description: "Answer 10 game rounds in a row correctly",
+    },
+    daily: {
+      label: "Daily trainer",
+      description: "Finish a daily challenge",
+    },
+    completeKanto: {
+      label: "Kanto complete",
+      description: "Catch all 151 Kanto Pokémon",
+    },
+  },
+  dexProgress: {
+    title: "Pokédex",
+    national: "National Dex",
+    allSpecies: "All species",
+    byGeneration: "By generation",
+    generation: "Generation {gen}",
+    byRegion: "By regional dex",
+    byType: "By type",
+    achievements: "Achievements",
+    summary: "{caught} caught • {seen} seen / {total}",
+    unlockedOn: "Unlocked {date}",
+    progress: "{current} / {goal}",
+  },
+  compareTray: {
+    open: "Compare ({count})",
+  },
+  compare: {
+    title: "Compare",
+    addPlaceholder: "Add by name...",
+    copyLink: "Copy link",
+    notFound: 'Pokémon "{name}" not found',
+    loadFailed: 'Couldn\'t load "{name}".',
+    retry: "Retry",
+    pickTwo:
+      'Pick at least two Pokémon — use "Compare" on the cards, the detail view, or add them by name.',
+    loading: "Loading...",
+    matchups: "Type matchups",
+    matchupsHint: "Best same-type hit of each row against each column",
+    abilities: "Abilities",
+    shared: "Shared:",
+    none: "none",
+    only: "Only {name}:",
+    notes: {
+      advantage:
+        "{attacker}'s {attackType} attacks deal {attackMultiplier} to {defender}; {defender}'s {counterType} attacks deal {counterMultiplier} to {attacker}.",
+      neutral:
+        "Neutral: {attacker}'s {attackType} attacks deal {attackMultiplier} to {defender}, and vice versa.",
+    },
+  },
+  matchups: {
+    weaknesses: "Weaknesses",
+    resistances: "Resistances",
+    immunities: "Immunities",
+    none: "None",
+  },
+  detail: {
+    overview: "Overview",
+    learnset: "Learnset",
+    sprites: "Sprites",
+    stats: "Stats",
+    aboutMoves: "About & Moves",
+    size: "Weight: {weight} • Height: {height}",
+    abilities: "Abilities",
+    moves: "Moves",
+    fullLearnset: "Full learnset →",
+    matchups: "Weaknesses / Resistances / Immunities",
+    powerScore: "Power score",
+    statCalculator: "Stat calculator",
+    evolution: "Evolution",
+    compareWith: "Compare with…",
+    catch: "Catch",
+  },
+  sprites: {
+    sets: {
+      game: "Game sprite",
+      officialArtwork: "Official artwork",
+      home: "HOME",
+      showdown: "Showdown",
+    },
+    views: {
+      front: "front",
+      back: "back",
+    },
+    shiny: "shiny",
+    female: "♀",
+    varieties: "Forms & regional variants",
+    cosmetic: "Cosmetic forms",
+    defaultForm: "default",
+    kinds: {
+      regional: "regional",
+      mega: "mega",
+      gmax: "gmax",
+    },
+  },
+  stats: {
+    hp: "HP",
+    attack: "Attack",
+    defense: "Defense",
+    "special-attack": "Sp. Atk",
+    "special-defense": "Sp. Def",
+    speed: "Speed",
+    total: "Total",
+  },
+  sort: {
+    asc: "Ascending",
+    desc: "Descending",
+  },
+  catch: {
+    title: "Catch {name}",
+    level: "Lv. {level}",
+    shakes: "{count} / 3 shakes",
+    caughtShiny: "✨ Gotcha! A shiny {name} was caught!",
+    caught: "Gotcha! {name} was caught!",
+    brokeFree: "Oh no! {name} broke free.",
+    tryAgain: "Try again",
+    done: "Done",
+    ball: "Ball",
+    weaken: "Weaken",
+    status: "Status",
+    checking: "Checking capture rate...",
+    chance: "Capture rate {rate} • ~{percent}% chance",
+    throw: "Throw",
+    balls: {
+      poke: "Poké Ball",
+      great: "Great Ball",
+      ultra: "Ultra Ball",
+      master: "Master Ball",
+    },
+    statuses: {
+      none: "No status",
+      sleep: "Asleep",
+      freeze: "Frozen",
+      paralysis: "Paralyzed",
+      poison: "Poisoned",
+      burn: "Burned",
+    },
+    hp: {
+      full: "Full HP",
+      half: "Half HP",
+      low: "Low HP",
+    },
+  },
+  collection: {
+    title: "My Collection",
+    summary: "{caught} caught • {species} species",
+    sortBy: "Sort: {label}",
+    groupBy: "Group: {label}",
+    import: "Import",
+    empty: "You haven't caught any yet.",
+    shiny: "Shiny",
+    level: "Lv.",
+    notes: "Notes",
+    keep: "Keep",
+    release: "Release",
+    releaseConfirm: "Release {name}?",
+    sources: {
+      wild: "Wild catch",
+      game: "Guessing game",
+    },
+    sorts: {
+      caughtAt: "Catch date",
+      id: "Dex number",
+      name: "Species",
+      nickname: "Nickname",
+      level: "Level",
+    },
+    groups: {
+      none: "No grouping",
+      species: "Species",
+      source: "Source",
+      type: "Type",
+    },
+  },
+  import: {
+    title: "Import collection",
+    summary: "{count} Pokémon in this {format} file",
+    skipped: ", {count} invalid record(s) will be skipped",
+    change: "{from} → {to} Pokémon • {unchanged} unchanged",
+    added: "Added",
+    updated: "Updated",
+    removed: "Removed",
+    more: "+{count} more",
+    statsReplaced: "Game stats will be replaced with the file's.",
+    statsKept: "Game stats are only imported when replacing.",
+    cancel: "Cancel",
+    apply: "Apply",
+    strategies: {
+      replace: "Replace my collection",
+      merge: "Merge by id (update matches, add the rest)",
+      keepBoth: "Keep both (add everything)",
+    },
+  },
+  filters: {
+    types: "Types",
+    anyType: "any",
+    allTypes: "all",
+    typeCount: {
+      any: "single & dual",
+      single: "single type only",
+      dual: "dual type only",
+    },
+    generation: "Generation",
+    gen: "Gen {gen}",
+    baseStats: "Base stats",
+    min: "min",
+    max: "max",
+    caught: {
+      all: "Caught & uncaught",
+      caught: "Caught only",
+      uncaught: "Uncaught only",
+    },
+    sortBy: "Sort by",
+    sorts: {
+      default: "default",
+      id: "id",
+      name: "name",
+      power: "power score",
+    },
+    reset: "Reset",
+  },
+  battle: {
+    title: "Battle",
+    intro:
+      "Pick up to {count} caught Pokémon. The CPU fields the same number from the loaded list.",
+    seed: "Seed",
+    loading: "Loading...",
+    start: "Start battle",
+    loadFailed: "Failed to load battle data",
+    you: "You",
+    cpu: "CPU",
+    level: "Lv.{level}",
+    hp: "{hp} / {max} HP",
+    won: "You win! 🎉",
+    lost: "You lost...",
+    replay: "Replay seed",
+    newBattle: "New battle",
+    typeless: "typeless",
+    moveInfo: "{type} • {power} power • {accuracy} acc",
+    turn: "T{turn}",
+    seedUsed: "Seed {seed}",
+    log: {
+      start: "{player} vs {cpu}!",
+      missed: "{attacker} used {move}, but it missed!",
+      hit: "{attacker} used {move} for {damage} damage.",
+      superEffective:
+        "{attacker} used {move} for {damage} damage. It's super effective!",
+      notVeryEffective:
+        "{attacker} used {move} for {damage} damage. It's not very effective...",
+      noEffect: "{attacker} used {move} for {damage} damage. It had no effect.",
+      fainted: "{name} fainted!",
+      switched: "{name} steps in.",
+    },
+  },
+  team: {
+    title: "Team Builder",
+    new: "New team",
+    defaultName: "Team {number}",
+    empty: "Create a team to start planning.",
+    delete: "Delete",
+    add: "Add Pokémon ({count}/{max})",
+    filterPlaceholder: "Filter caught & loaded...",
+    loadingLearnset: "Loading learnset...",
+    ability: "Ability…",
+    move: "Move {number}…",
+    coverage: "Offensive coverage",
+    coverageSummary: "Super effective against {count} / 18 types",
+    sharedWeaknesses: "Shared weaknesses",
+    noSharedWeaknesses: "No shared weaknesses.",
+    weakResist: "{weak} weak • {resist} resist",
+    stats: "Stats",
+    average: "{value} avg",
+    averageTotal: "Avg. total",
+    averagePower: "Avg. power score",
+  },
+  learnset: {
+    noMoves: "No moves recorded",
+    allTypes: "all types",
+    allCategories: "all categories",
+    loadingMoves: "Loading move data…",
+    loadingMove: "Loading move…",
+    moveFailed: "Could not load move",
+    moveInfo: "Power {power} • Accuracy {accuracy} • PP {pp}",
+    none: "None",
+    level: "Lv {level}",
+    evolution: "Evo",
+    methods: {
+      levelUp: "Level-up",
+      machine: "TM/HM",
+      egg: "Egg",
+      tutor: "Tutor",
+      other: "Other",
+    },
+    damageClasses: {
+      physical: "physical",
+      special: "special",
+      status: "status",
+    },
+  },
+  statCalc: {
+    level: "Level",
+    nature: "Nature",
+    stat: "Stat",
+    iv: "IV (0-{max})",
+    ev: "EV (0-{max})",
+    value: "Value",
+    evTotal: "EVs: {total}/{max}",
+    evRange: "{stat} EVs must be 0-{max}",
+    evTotalTooHigh: "EVs total {total}, more than {max}",
+  },
+  power: {
+    custom: "Custom weights",
+    needWeight: "Give at least one stat a weight.",
+    profiles: {
+      balanced: "Balanced",
+      physicalSweeper: "Physical sweeper",
+      specialSweeper: "Special sweeper",
+      physicalWall: "Physical wall",
+      specialWall: "Special wall",
+    },
+  },
+  evolution: {
+    loading: "Loading...",
+    failed: "No evolution data.",
+    none: "Does not evolve.",
+    level: "Lv. {level}",
+    levelUp: "Level up",
+    useItem: "Use {item}",
+    trade: "Trade",
+    other: "{trigger}",
+    holding: "holding {item}",
+    forSpecies: "for {name}",
+    friendship: "with high friendship",
+    affection: "with high affection",
+    beauty: "with high beauty",
+    knowingMove: "knowing {move}",
+    knowingMoveType: "knowing a {type} move",
+    location: "at {location}",
+    timeOfDay: "at {time}",
+    female: "(female)",
+    male: "(male)",
+    atkAboveDef: "(Atk > Def)",
+    atkBelowDef: "(Atk < Def)",
+    atkEqualsDef: "(Atk = Def)",
+    rain: "while raining",
+    withSpecies: "with {name}",
+    upsideDown: "holding the console upside down",
+  },
+  explore: {
+    title: "Explore",
+    region: "Region",
+    location: "Location",
+    area: "Area",
+    game: "Game",
+    method: "Method",
+    seed: "Seed",
+    search: "Search for Pokémon",
+    searching: "Searching...",
+    loadFailed: "Couldn't load location data",
+    pokemonFailed: "Couldn't load {name}",
+    noWild: "No wild Pokémon live here.",
+    level: "Lv. {level}",
+    levels: "Lv. {min}–{max}",
+    recent: "Recent encounters",
+    encounter: "{name} Lv. {level}",
+    methods: {
+      walk: "Walking in grass",
+      surf: "Surfing",
+      oldRod: "Old Rod",
+      goodRod: "Good Rod",
+      superRod: "Super Rod",
+      rockSmash: "Rock Smash",
+      headbutt: "Headbutt",
+      darkGrass: "Dark grass",
+      grassSpots: "Rustling grass",
+      caveSpots: "Dust clouds",
+      surfSpots: "Rippling water",
+      superRodSpots: "Fishing spots",
+      gift: "Gift",
+    },
+  },
+  game: {
+    title: "Guess the Pokémon",
+    best: "Best: {score}",
+    today: " • today: {score}",
+    rounds: "Rounds",
+    bestStreak: "Best streak: {count}",
+    start: "Start",
+    loading: "Loading...",
+    points: "{score} pts",
+    newBest: "New personal best! 🎉",
+    summary: "{correct} / {total} correct • best streak {streak}",
+    playAgain: "Play again",
+    done: "Done",
+    round: "Round {number} / {total}",
+    status: "{score} pts • streak {streak}",
+    correct: "Correct! 🎉",
+    timeUp: "Time's up — it was",
+    wrong: "Wrong — it was",
+    results: "Results",
+    next: "Next",
+    placeholder: "Who's that Pokémon?",
+    guess: "Guess",
+    silhouette: "Silhouette",
+    dailyOffline:
+      "The daily challenge needs a connection, so everyone gets the same puzzles",
+    modes: {
+      easy: {
+        label: "Easy",
+        description: "Silhouette, 4 choices from loaded Pokémon",
+      },
+      hard: {
+        label: "Hard",
+        description: "Silhouette, type the name — any Pokémon in the dex",
+      },
+      expert: {
+        label: "Expert",
+        description: "Only a cry or a pixelated sprite, 4 choices",
+      },
+      quiz: {
+        label: "Quiz",
+        description: "Types, stats, Pokédex entries and evolutions",
+      },
+      daily: {
+        label: "Daily challenge",
+        description: "Same 5 puzzles for everyone today",
+      },
+    },
+    quiz: {
+      type: {
+        label: "Which type?",
+        prompt: "Which type is {name}?",
+        reveal: "{name} is {types}",
+      },
+      stat: {
+        label: "Higher stat",
+        prompt: "Which has the higher base {stat}?",
+        reveal: "{a} {aValue} vs {b} {bValue}",
+      },
+      flavor: {
+        label: "Pokédex entry",
+        prompt: "{text}",
+        reveal: "That's {name}'s Pokédex entry",
+      },
+      evolution: {
+        label: "Evolutions",
+        prompt: "Who evolves into {name}?",
+        reveal: "{from} evolves into {to}",
+      },
+    },
+  },
+  errors: {
+    loadList: "Couldn't load the Pokémon list",
+    loadDetail: "Couldn't load Pokémon details",
+    loadIndex: "Couldn't load the Pokédex index",
+    enterName: "Enter a name",
+    notFound: "Pokémon not found",
+    notEnoughForGame: "At least 4 Pokémon need to be loaded to play",
+    stillFailing: "{count} Pokémon still couldn't be loaded",
+    noRounds: "None of the rounds could be loaded. Try again.",
+  },
+};
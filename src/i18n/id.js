@@ -0,0 +1,568 @@
+// Indonesian UI strings; same keys as en.js.
+export default {
+  app: {
+    title: "Playing Pokemon",
+    tagline: "Jelajahi, nilai, mainkan & tangkap Pokémon",
+    footer: "Dibuat dengan ❤️ menggunakan PokeAPI",
+    language: "Bahasa",
+  },
+  nav: {
+    collection: "Koleksi ({count})",
+    backToDex: "Kembali ke Pokédex",
+    teams: "Tim",
+    explore: "Jelajah",
+    playGame: "Main Game",
+    searchPlaceholder: "Cari nama atau #25...",
+  },
+  offline:
+    "Offline — menampilkan data tersimpan. Menangkap dan game tetap bisa dipakai dengan Pokémon yang sudah dimuat.",
+  dex: {
+    shown: "{count} ditampilkan",
+    filtersApplyToLoaded: " • filter berlaku untuk Pokémon yang sudah dimuat",
+    filters: "Filter & urutan",
+    detail: "Detail",
+    catch: "Tangkap",
+    compare: "Bandingkan",
+    searching: "Mencari...",
+    noMatch: 'Tidak ada Pokémon yang cocok dengan "{search}"',
+    noFilterMatch: "Tidak ada Pokémon termuat yang cocok dengan filter ini",
+    loading: "Memuat...",
+    loadMore: "Muat lagi",
+    failedTitle: "{count} Pokémon gagal dimuat",
+    retryAll: "Coba semua lagi",
+    noMore: "Tidak ada Pokémon lagi",
+  },
+  sidebar: {
+    caught: "Pokémon Tertangkap",
+    battle: "Bertarung",
+    savedLocally: "Disimpan secara lokal di browser kamu",
+    restock: "Isi ulang",
+    noneCaught: "Kamu belum menangkap satu pun.",
+    level: "Lv.{level}",
+    openCollection: "Buka koleksi",
+    dexTitle: "Pokédex",
+    dexSummary: "{caught} tertangkap • {seen} terlihat / {total}",
+    achievements: "{count} dari {total} pencapaian",
+    dexOpen: "Lihat progres",
+    evalTitle: "Evaluasi Cepat",
+    evalHint: 'Masukkan nama Pokémon untuk menghitung "skor kekuatan"-nya',
+    evalPlaceholder: "mis. pikachu",
+    eval: "Nilai",
+    aboutTitle: "Tentang",
+    about:
+      "Demo interaktif menggunakan PokeAPI. Tangkap, nilai, dan mainkan game tebak-tebakan kecil.",
+  },
+  profiles: {
+    defaultName: "Pelatih {number}",
+    copyName: "{name} (salinan)",
+    copyNameN: "{name} (salinan {n})",
+    title: "Profil pelatih",
+    hint: "Setiap profil punya koleksi, tim, statistik permainan, dan pengaturan sendiri.",
+    active: "Aktif",
+    switch: "Pakai",
+    edit: "Ubah profil",
+    duplicate: "Duplikat",
+    delete: "Hapus",
+    confirm: "Hapus profil ini beserta datanya?",
+    cancel: "Batal",
+    new: "Profil baru",
+    namePlaceholder: "Nama pelatih",
+    save: "Simpan",
+    create: "Buat",
+  },
+  toasts: {
+    retry: "Coba lagi",
+    view: "Lihat",
+    more: "+{count} lainnya",
+    addedToCollection: "{name} ditambahkan ke koleksimu",
+  },
+  achievements: {
+    unlocked: "Pencapaian terbuka",
+    firstCatch: {
+      label: "Tertangkap!",
+      description: "Tangkap Pokémon pertamamu",
+    },
+    catch25: {
+      label: "Kolektor",
+      description: "Tangkap 25 spesies berbeda",
+    },
+    catch100: {
+      label: "Peneliti",
+      description: "Tangkap 100 spesies berbeda",
+    },
+    seen151: {
+      label: "Pengamat",
+      description: "Lihat 151 spesies berbeda",
+    },
+    everyType: {
+      label: "Ahli tipe",
+      description: "Tangkap setidaknya satu Pokémon dari setiap tipe",
+    },
+    shiny: {
+      label: "Sesuatu yang berkilau",
+      description: "Tangkap Pokémon shiny",
+    },
+    streak10: {
+      label: "Lagi di atas angin",
+      description: "Jawab benar 10 ronde game berturut-turut",
+    },
+    daily: {
+      label: "Pelatih harian",
+      description: "Selesaikan tantangan harian",
+    },
+    completeKanto: {
+      label: "Kanto lengkap",
+      description: "Tangkap semua 151 Pokémon Kanto",
+    },
+  },
+  dexProgress: {
+    title: "Pokédex",
+    national: "Dex Nasional",
+    allSpecies: "Semua spesies",
+    byGeneration: "Per generasi",
+    generation: "Generasi {gen}",
+    byRegion: "Per dex regional",
+    byType: "Per tipe",
+    achievements: "Pencapaian",
+    summary: "{caught} tertangkap • {seen} terlihat / {total}",
+    unlockedOn: "Terbuka {date}",
+    progress: "{current} / {goal}",
+  },
+  compareTray: {
+    open: "Bandingkan ({count})",
+  },
+  compare: {
+    title: "Bandingkan",
+    addPlaceholder: "Tambah dengan nama...",
+    copyLink: "Salin tautan",
+    notFound: 'Pokémon "{name}" tidak ditemukan',
+    loadFailed: 'Gagal memuat "{name}".',
+    retry: "Coba lagi",
+    pickTwo:
+      'Pilih setidaknya dua Pokémon — pakai "Bandingkan" di kartu, tampilan detail, atau tambah dengan nama.',
+    loading: "Memuat...",
+    matchups: "Keunggulan tipe",
+    matchupsHint: "Serangan setipe terbaik tiap baris terhadap tiap kolom",
+    abilities: "Kemampuan",
+    shared: "Sama:",
+    none: "tidak ada",
+    only: "Hanya {name}:",
+    notes: {
+      advantage:
+        "Serangan {attackType} milik {attacker} memberi {attackMultiplier} ke {defender}; serangan {counterType} milik {defender} memberi {counterMultiplier} ke {attacker}.",
+      neutral:
+        "Netral: serangan {attackType} milik {attacker} memberi {attackMultiplier} ke {defender}, dan sebaliknya.",
+    },
+  },
+  matchups: {
+    weaknesses: "Kelemahan",
+    resistances: "Ketahanan",
+    immunities: "Kekebalan",
+    none: "Tidak ada",
+  },
+  detail: {
+    overview: "Ringkasan",
+    learnset: "Daftar jurus",
+    sprites: "Sprite",
+    stats: "Statistik",
+    aboutMoves: "Info & Jurus",
+    size: "Berat: {weight} • Tinggi: {height}",
+    abilities: "Kemampuan",
+    moves: "Jurus",
+    fullLearnset: "Semua jurus →",
+    matchups: "Kelemahan / Ketahanan / Kekebalan",
+    powerScore: "Skor kekuatan",
+    statCalculator: "Kalkulator statistik",
+    evolution: "Evolusi",
+    compareWith: "Bandingkan dengan…",
+    catch: "Tangkap",
+  },
+  sprites: {
+    sets: {
+      game: "Sprite game",
+      officialArtwork: "Artwork resmi",
+      home: "HOME",
+      showdown: "Showdown",
+    },
+    views: {
+      front: "depan",
+      back: "belakang",
+    },
+    shiny: "shiny",
+    female: "♀",
+    varieties: "Wujud & varian regional",
+    cosmetic: "Wujud kosmetik",
+    defaultForm: "bawaan",
+    kinds: {
+      regional: "regional",
+      mega: "mega",
+      gmax: "gmax",
+    },
+  },
+  stats: {
+    hp: "HP",
+    attack: "Serangan",
+    defense: "Pertahanan",
+    "special-attack": "Serangan Khusus",
+    "special-defense": "Pertahanan Khusus",
+    speed: "Kecepatan",
+    total: "Total",
+  },
+  sort: {
+    asc: "Naik",
+    desc: "Turun",
+  },
+  catch: {
+    title: "Tangkap {name}",
+    level: "Lv. {level}",
+    shakes: "{count} / 3 goyangan",
+    caughtShiny: "✨ Berhasil! {name} shiny tertangkap!",
+    caught: "Berhasil! {name} tertangkap!",
+    brokeFree: "Yah! {name} lolos.",
+    tryAgain: "Coba lagi",
+    done: "Selesai",
+    ball: "Bola",
+    weaken: "Lemahkan",
+    status: "Status",
+    checking: "Memeriksa tingkat tangkap...",
+    chance: "Tingkat tangkap {rate} • peluang ~{percent}%",
+    throw: "Lempar",
+    balls: {
+      poke: "Poké Ball",
+      great: "Great Ball",
+      ultra: "Ultra Ball",
+      master: "Master Ball",
+    },
+    statuses: {
+      none: "Tanpa status",
+      sleep: "Tertidur",
+      freeze: "Membeku",
+      paralysis: "Lumpuh",
+      poison: "Keracunan",
+      burn: "Terbakar",
+    },
+    hp: {
+      full: "HP penuh",
+      half: "HP setengah",
+      low: "HP rendah",
+    },
+  },
+  collection: {
+    title: "Koleksiku",
+    summary: "{caught} tertangkap • {species} spesies",
+    sortBy: "Urut: {label}",
+    groupBy: "Kelompok: {label}",
+    import: "Impor",
+    empty: "Kamu belum menangkap apa pun.",
+    shiny: "Shiny",
+    level: "Lv.",
+    notes: "Catatan",
+    keep: "Simpan",
+    release: "Lepaskan",
+    releaseConfirm: "Lepaskan {name}?",
+    sources: {
+      wild: "Tangkapan liar",
+      game: "Game tebak-tebakan",
+    },
+    sorts: {
+      caughtAt: "Tanggal tangkap",
+      id: "Nomor Dex",
+      name: "Spesies",
+      nickname: "Nama panggilan",
+      level: "Level",
+    },
+    groups: {
+      none: "Tanpa kelompok",
+      species: "Spesies",
+      source: "Sumber",
+      type: "Tipe",
+    },
+  },
+  import: {
+    title: "Impor koleksi",
+    summary: "{count} Pokémon dalam file {format} ini",
+    skipped: ", {count} data tidak valid akan dilewati",
+    change: "{from} → {to} Pokémon • {unchanged} tidak berubah",
+    added: "Ditambah",
+    updated: "Diperbarui",
+    removed: "Dihapus",
+    more: "+{count} lagi",
+    statsReplaced: "Statistik game akan diganti dengan isi file.",
+    statsKept: "Statistik game hanya diimpor saat mengganti.",
+    cancel: "Batal",
+    apply: "Terapkan",
+    strategies: {
+      replace: "Ganti koleksiku",
+      merge: "Gabung per id (perbarui yang cocok, tambah sisanya)",
+      keepBoth: "Simpan keduanya (tambah semua)",
+    },
+  },
+  filters: {
+    types: "Tipe",
+    anyType: "salah satu",
+    allTypes: "semua",
+    typeCount: {
+      any: "tunggal & ganda",
+      single: "hanya tipe tunggal",
+      dual: "hanya tipe ganda",
+    },
+    generation: "Generasi",
+    gen: "Gen {gen}",
+    baseStats: "Stat dasar",
+    min: "min",
+    max: "maks",
+    caught: {
+      all: "Tertangkap & belum",
+      caught: "Hanya yang tertangkap",
+      uncaught: "Hanya yang belum",
+    },
+    sortBy: "Urutkan",
+    sorts: {
+      default: "bawaan",
+      id: "id",
+      name: "nama",
+      power: "skor kekuatan",
+    },
+    reset: "Atur ulang",
+  },
+  battle: {
+    title: "Pertarungan",
+    intro:
+      "Pilih hingga {count} Pokémon tangkapanmu. CPU menurunkan jumlah yang sama dari daftar yang dimuat.",
+    seed: "Seed",
+    loading: "Memuat...",
+    start: "Mulai bertarung",
+    loadFailed: "Gagal memuat data pertarungan",
+    you: "Kamu",
+    cpu: "CPU",
+    level: "Lv.{level}",
+    hp: "{hp} / {max} HP",
+    won: "Kamu menang! 🎉",
+    lost: "Kamu kalah...",
+    replay: "Ulangi seed",
+    newBattle: "Pertarungan baru",
+    typeless: "tanpa tipe",
+    moveInfo: "{type} • kekuatan {power} • akurasi {accuracy}",
+    turn: "G{turn}",
+    seedUsed: "Seed {seed}",
+    log: {
+      start: "{player} vs {cpu}!",
+      missed: "{attacker} memakai {move}, tapi meleset!",
+      hit: "{attacker} memakai {move}, {damage} damage.",
+      superEffective:
+        "{attacker} memakai {move}, {damage} damage. Sangat efektif!",
+      notVeryEffective:
+        "{attacker} memakai {move}, {damage} damage. Kurang efektif...",
+      noEffect: "{attacker} memakai {move}, {damage} damage. Tidak berefek.",
+      fainted: "{name} pingsan!",
+      switched: "{name} maju.",
+    },
+  },
+  team: {
+    title: "Penyusun Tim",
+    new: "Tim baru",
+    defaultName: "Tim {number}",
+    empty: "Buat tim untuk mulai menyusun.",
+    delete: "Hapus",
+    add: "Tambah Pokémon ({count}/{max})",
+    filterPlaceholder: "Saring tangkapan & yang dimuat...",
+    loadingLearnset: "Memuat daftar jurus...",
+    ability: "Kemampuan…",
+    move: "Jurus {number}…",
+    coverage: "Cakupan serangan",
+    coverageSummary: "Sangat efektif melawan {count} / 18 tipe",
+    sharedWeaknesses: "Kelemahan bersama",
+    noSharedWeaknesses: "Tidak ada kelemahan bersama.",
+    weakResist: "{weak} lemah • {resist} tahan",
+    stats: "Stat",
+    average: "rata-rata {value}",
+    averageTotal: "Rata-rata total",
+    averagePower: "Rata-rata skor kekuatan",
+  },
+  learnset: {
+    noMoves: "Tidak ada jurus tercatat",
+    allTypes: "semua tipe",
+    allCategories: "semua kategori",
+    loadingMoves: "Memuat data jurus…",
+    loadingMove: "Memuat jurus…",
+    moveFailed: "Gagal memuat jurus",
+    moveInfo: "Kekuatan {power} • Akurasi {accuracy} • PP {pp}",
+    none: "Tidak ada",
+    level: "Lv {level}",
+    evolution: "Evo",
+    methods: {
+      levelUp: "Naik level",
+      machine: "TM/HM",
+      egg: "Telur",
+      tutor: "Tutor",
+      other: "Lainnya",
+    },
+    damageClasses: {
+      physical: "fisik",
+      special: "khusus",
+      status: "status",
+    },
+  },
+  statCalc: {
+    level: "Level",
+    nature: "Nature",
+    stat: "Stat",
+    iv: "IV (0-{max})",
+    ev: "EV (0-{max})",
+    value: "Nilai",
+    evTotal: "EV: {total}/{max}",
+    evRange: "EV {stat} harus 0-{max}",
+    evTotalTooHigh: "Total EV {total}, lebih dari {max}",
+  },
+  power: {
+    custom: "Bobot khusus",
+    needWeight: "Beri bobot pada setidaknya satu stat.",
+    profiles: {
+      balanced: "Seimbang",
+      physicalSweeper: "Penyerang fisik",
+      specialSweeper: "Penyerang khusus",
+      physicalWall: "Bertahan fisik",
+      specialWall: "Bertahan khusus",
+    },
+  },
+  evolution: {
+    loading: "Memuat...",
+    failed: "Tidak ada data evolusi.",
+    none: "Tidak berevolusi.",
+    level: "Lv. {level}",
+    levelUp: "Naik level",
+    useItem: "Pakai {item}",
+    trade: "Tukar",
+    other: "{trigger}",
+    holding: "memegang {item}",
+    forSpecies: "dengan {name}",
+    friendship: "dengan keakraban tinggi",
+    affection: "dengan kasih sayang tinggi",
+    beauty: "dengan kecantikan tinggi",
+    knowingMove: "menguasai {move}",
+    knowingMoveType: "menguasai jurus tipe {type}",
+    location: "di {location}",
+    timeOfDay: "saat {time}",
+    female: "(betina)",
+    male: "(jantan)",
+    atkAboveDef: "(Atk > Def)",
+    atkBelowDef: "(Atk < Def)",
+    atkEqualsDef: "(Atk = Def)",
+    rain: "saat hujan",
+    withSpecies: "bersama {name}",
+    upsideDown: "sambil membalik konsol",
+  },
+  explore: {
+    title: "Jelajah",
+    region: "Wilayah",
+    location: "Lokasi",
+    area: "Area",
+    game: "Game",
+    method: "Cara",
+    seed: "Seed",
+    search: "Cari Pokémon",
+    searching: "Mencari...",
+    loadFailed: "Gagal memuat data lokasi",
+    pokemonFailed: "Gagal memuat {name}",
+    noWild: "Tidak ada Pokémon liar di sini.",
+    level: "Lv. {level}",
+    levels: "Lv. {min}–{max}",
+    recent: "Pertemuan terakhir",
+    encounter: "{name} Lv. {level}",
+    methods: {
+      walk: "Berjalan di rumput",
+      surf: "Berselancar",
+      oldRod: "Old Rod",
+      goodRod: "Good Rod",
+      superRod: "Super Rod",
+      rockSmash: "Rock Smash",
+      headbutt: "Headbutt",
+      darkGrass: "Rumput gelap",
+      grassSpots: "Rumput bergoyang",
+      caveSpots: "Kepulan debu",
+      surfSpots: "Air beriak",
+      superRodSpots: "Tempat memancing",
+      gift: "Hadiah",
+    },
+  },
+  game: {
+    title: "Tebak Pokémon",
+    best: "Terbaik: {score}",
+    today: " • hari ini: {score}",
+    rounds: "Ronde",
+    bestStreak: "Beruntun terbaik: {count}",
+    start: "Mulai",
+    loading: "Memuat...",
+    points: "{score} poin",
+    newBest: "Rekor pribadi baru! 🎉",
+    summary: "{correct} / {total} benar • beruntun terbaik {streak}",
+    playAgain: "Main lagi",
+    done: "Selesai",
+    round: "Ronde {number} / {total}",
+    status: "{score} poin • beruntun {streak}",
+    correct: "Benar! 🎉",
+    timeUp: "Waktu habis — jawabannya",
+    wrong: "Salah — jawabannya",
+    results: "Hasil",
+    next: "Lanjut",
+    placeholder: "Siapakah Pokémon itu?",
+    guess: "Tebak",
+    silhouette: "Siluet",
+    dailyOffline:
+      "Tantangan harian butuh koneksi agar semua orang mendapat teka-teki yang sama",
+    modes: {
+      easy: {
+        label: "Mudah",
+        description: "Siluet, 4 pilihan dari Pokémon yang sudah dimuat",
+      },
+      hard: {
+        label: "Sulit",
+        description: "Siluet, ketik namanya — Pokémon apa pun di dex",
+      },
+      expert: {
+        label: "Ahli",
+        description: "Hanya suara atau sprite berpiksel, 4 pilihan",
+      },
+      quiz: {
+        label: "Kuis",
+        description: "Tipe, statistik, entri Pokédex, dan evolusi",
+      },
+      daily: {
+        label: "Tantangan harian",
+        description: "5 teka-teki yang sama untuk semua orang hari ini",
+      },
+    },
+    quiz: {
+      type: {
+        label: "Tipe apa?",
+        prompt: "Apa tipe {name}?",
+        reveal: "{name} bertipe {types}",
+      },
+      stat: {
+        label: "Statistik lebih tinggi",
+        prompt: "Siapa yang punya {stat} dasar lebih tinggi?",
+        reveal: "{a} {aValue} vs {b} {bValue}",
+      },
+      flavor: {
+        label: "Entri Pokédex",
+        prompt: "{text}",
+        reveal: "Itu entri Pokédex milik {name}",
+      },
+      evolution: {
+        label: "Evolusi",
+        prompt: "Siapa yang berevolusi menjadi {name}?",
+        reveal: "{from} berevolusi menjadi {to}",
+      },
+    },
+  },
+  errors: {
+    loadList: "Gagal mengambil daftar Pokemon",
+    loadDetail: "Gagal ambil detail Pokemon",
+    loadIndex: "Gagal memuat indeks Pokédex",
+    enterName: "Masukkan nama",
+    notFound: "Pokemon tidak ditemukan",
+    notEnoughForGame: "Butuh setidaknya 4 Pokémon ter-load untuk game",
+    stillFailing: "{count} Pokémon masih gagal dimuat",
+    noRounds: "Tidak ada ronde yang bisa dimuat. Coba lagi.",
+  },
+};
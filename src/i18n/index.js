@@ -0,0 +1,50 @@
+import en from "./en";
+import id from "./id";
+
+// `names` lists the PokeAPI language codes to try for localized Pokémon,
+// type, ability and move names, in order. PokeAPI has no Indonesian names
+// yet, so Indonesian falls back to English ones.
+export const LANGUAGES = {
+  en: { label: "English", messages: en, names: ["en"] },
+  id: { label: "Bahasa Indonesia", messages: id, names: ["id", "en"] },
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+function lookup(messages, key) {
+  return key.split(".").reduce((node, part) => node?.[part], messages);
+}
+
+/**
+ * The `lang` string for `key` (e.g. "dex.loadMore") with `{param}`
+ * placeholders filled in. Missing strings fall back to English, then to
+ * the key itself.
+ */
+export function translate(lang, key, params = {}) {
+  const message =
+    lookup(LANGUAGES[lang]?.messages, key) ??
+    lookup(LANGUAGES[DEFAULT_LANGUAGE].messages, key);
+  if (typeof message !== "string") return key;
+  return message.replace(/\{(\w+)\}/g, (m, name) =>
+    name in params ? String(params[name]) : m
+  );
+}
+
+/** Picks the best entry of a PokeAPI `names` array for `lang`, or null. */
+export function localName(names = [], lang) {
+  for (const code of LANGUAGES[lang]?.names ?? ["en"]) {
+    const entry = names.find((n) => n.language.name === code);
+    if (entry) return entry.name;
+  }
+  return null;
+}
+
+/** The browser's preferred supported language. */
+export function detectLanguage() {
+  const preferred =
+    typeof navigator === "undefined" ? [] : (navigator.languages ?? []);
+  const match = preferred
+    .map((l) => l.slice(0, 2).toLowerCase())
+    .find((l) => l in LANGUAGES);
+  return match ?? DEFAULT_LANGUAGE;
+}
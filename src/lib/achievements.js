@@ -0,0 +1,89 @@
+import { TYPES, generationRange } from "./pokemon";
+
+// Achievement rules. `progress(ctx)` returns `[current, goal]`; a rule
+// unlocks once current reaches goal, and stays unlocked after that. `label`
+// and `description` are message keys.
+//
+// ctx: { caught, caughtIds: Set, seenIds: Set, gameStats }
+
+function caughtTypes(caught) {
+  return new Set(caught.flatMap((e) => e.types));
+}
+
+function countRange(ids, [first, last]) {
+  let n = 0;
+  for (const id of ids) if (id >= first && id <= last) n++;
+  return n;
+}
+
+const KANTO = generationRange(1);
+
+export const ACHIEVEMENTS = [
+  {
+    id: "first-catch",
+    label: "achievements.firstCatch.label",
+    description: "achievements.firstCatch.description",
+    progress: (ctx) => [Math.min(ctx.caught.length, 1), 1],
+  },
+  {
+    id: "catch-25",
+    label: "achievements.catch25.label",
+    description: "achievements.catch25.description",
+    progress: (ctx) => [ctx.caughtIds.size, 25],
+  },
+  {
+    id: "catch-100",
+    label: "achievements.catch100.label",
+    description: "achievements.catch100.description",
+    progress: (ctx) => [ctx.caughtIds.size, 100],
+  },
+  {
+    id: "seen-151",
+    label: "achievements.seen151.label",
+    description: "achievements.seen151.description",
+    progress: (ctx) => [ctx.seenIds.size, 151],
+  },
+  {
+    id: "every-type",
+    label: "achievements.everyType.label",
+    description: "achievements.everyType.description",
+    progress: (ctx) => [caughtTypes(ctx.caught).size, TYPES.length],
+  },
+  {
+    id: "shiny",
+    label: "achievements.shiny.label",
+    description: "achievements.shiny.description",
+    progress: (ctx) => [ctx.caught.some((e) => e.shiny) ? 1 : 0, 1],
+  },
+  {
+    id: "streak-10",
+    label: "achievements.streak10.label",
+    description: "achievements.streak10.description",
+    progress: (ctx) => [Math.min(ctx.gameStats.bestStreak, 10), 10],
+  },
+  {
+    id: "daily",
+    label: "achievements.daily.label",
+    description: "achievements.daily.description",
+    progress: (ctx) => [ctx.gameStats.daily ? 1 : 0, 1],
+  },
+  {
+    id: "complete-kanto",
+    label: "achievements.completeKanto.label",
+    description: "achievements.completeKanto.description",
+    progress: (ctx) => [countRange(ctx.caughtIds, KANTO), KANTO[1]],
+  },
+];
+
+export function isUnlocked(achievement, ctx) {
+  const [current, goal] = achievement.progress(ctx);
+  return current >= goal;
+}
+
+/**
+ * Achievements newly met by `ctx` that aren't in `unlocked` yet
+ * (`{ id: unlockedAt }`).
+ */
+export function newlyUnlocked(ctx, unlocked) {
+  return ACHIEVEMENTS.filter((a) => !unlocked[a.id] && isUnlocked(a, ctx));
+}
@@ -0,0 +1,241 @@
+import { baseStat } from "./pokemon";
+import { createRng } from "./rng";
+import { calcStat } from "./statCalc";
+import { effectiveness } from "./typeChart";
+
+// Pure, seedable battle engine. Every function returns a new state; the RNG
+// state lives inside the battle, so the same seed and the same player choices
+// always replay the same fight. Log entries hold a message key and params
+// (`{ turn, side, key, params }`) for the UI to translate.
+
+export const BATTLE_LEVEL = 50;
+
+const STRUGGLE = {
+  name: "struggle",
+  type: null,
+  power: 50,
+  accuracy: null,
+  damageClass: "physical",
+};
+
+/**
+ * Builds a battler from a list item (`{ id, name, sprite, types, stats }`)
+ * and move data (`{ name, type, power, accuracy, damageClass }`). Status
+ * moves are dropped; a Pokémon with no damaging moves uses Struggle.
+ */
+export function createBattler(pokemon, moves = [], level = BATTLE_LEVEL) {
+  // max IVs, no EVs, neutral nature
+  const stat = (name) =>
+    calcStat(name, baseStat(pokemon.stats, name), { level });
+  const damaging = moves.filter((m) => m.power > 0).slice(0, 4);
+  return {
+    id: pokemon.id,
+    name: pokemon.name,
+    sprite: pokemon.sprite,
+    types: pokemon.types,
+    level,
+    maxHp: stat("hp"),
+    hp: stat("hp"),
+    stats: {
+      attack: stat("attack"),
+      defense: stat("defense"),
+      "special-attack": stat("special-attack"),
+      "special-defense": stat("special-defense"),
+      speed: stat("speed"),
+    },
+    moves: damaging.length ? damaging : [STRUGGLE],
+  };
+}
+
+/** Picks `size` CPU opponents from `pool` (e.g. the loaded `list`). */
+export function pickCpuTeam(pool, size, seed) {
+  return createRng(seed).shuffle(pool).slice(0, size);
+}
+
+export function createBattle({ player, cpu, seed }) {
+  return {
+    seed,
+    rngState: seed >>> 0,
+    turn: 0,
+    teams: { player, cpu },
+    active: { player: 0, cpu: 0 },
+    log: [
+      {
+        turn: 0,
+        key: "battle.log.start",
+        params: { player: player[0].name, cpu: cpu[0].name },
+      },
+    ],
+    winner: null,
+  };
+}
+
+export function activeBattler(state, side) {
+  return state.teams[side][state.active[side]];
+}
+
+/**
+ * Damage of `move` from `attacker` to `defender`, plus the multipliers that
+ * went into it. `roll` is the 0.85–1.0 random factor.
+ */
+export function computeDamage(attacker, defender, move, roll = 1) {
+  const physical = move.damageClass !== "special";
+  const atk = attacker.stats[physical ? "attack" : "special-attack"];
+  const def = defender.stats[physical ? "defense" : "special-defense"];
+  const stab = move.type && attacker.types.includes(move.type) ? 1.5 : 1;
+  const typeMult = move.type ? effectiveness(move.type, defender.types) : 1;
+  const base =
+    Math.floor(
+      (Math.floor((2 * attacker.level) / 5 + 2) * move.power * atk) / def / 50
+    ) + 2;
+  const damage =
+    typeMult === 0 ? 0 : Math.max(1, Math.floor(base * stab * typeMult * roll));
+  return { damage, stab, typeMult };
+}
+
+/** Picks the CPU move with the highest expected damage. */
+export function chooseCpuMove(state) {
+  const attacker = activeBattler(state, "cpu");
+  const defender = activeBattler(state, "player");
+  let best = 0;
+  let bestScore = -1;
+  attacker.moves.forEach((m, i) => {
+    const accuracy = (m.accuracy ?? 100) / 100;
+    const score = computeDamage(attacker, defender, m).damage * accuracy;
+    if (score > bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+function hitKey(typeMult) {
+  if (typeMult === 0) return "battle.log.noEffect";
+  if (typeMult > 1) return "battle.log.superEffective";
+  if (typeMult < 1) return "battle.log.notVeryEffective";
+  return "battle.log.hit";
+}
+
+function updateBattler(state, side, patch) {
+  const team = state.teams[side].map((b, i) =>
+    i === state.active[side] ? { ...b, ...patch } : b
+  );
+  return { ...state, teams: { ...state.teams, [side]: team } };
+}
+
+function attack(state, side, moveIndex, rng) {
+  const foe = side === "player" ? "cpu" : "player";
+  const attacker = activeBattler(state, side);
+  const defender = activeBattler(state, foe);
+  const move = attacker.moves[moveIndex] ?? attacker.moves[0];
+  const params = { attacker: attacker.name, move: move.name };
+  const log = (key, extra) => ({
+    ...state,
+    log: [
+      ...state.log,
+      { turn: state.turn, side, key, params: { ...params, ...extra } },
+    ],
+  });
+
+  if (move.accuracy != null && rng.next() * 100 >= move.accuracy) {
+    return log("battle.log.missed");
+  }
+
+  const roll = 0.85 + rng.next() * 0.15;
+  const { damage, typeMult } = computeDamage(attacker, defender, move, roll);
+  const hp = Math.max(0, defender.hp - damage);
+  state = log(hitKey(typeMult), { damage });
+  state = updateBattler(state, foe, { hp });
+  if (hp === 0) state = faint(state, foe);
+  return state;
+}
+
+function faint(state, side) {
+  const fainted = activeBattler(state, side);
+  const nextIndex = state.teams[side].findIndex((b) => b.hp > 0);
+  const entries = [
+    {
+      turn: state.turn,
+      side,
+      key: "battle.log.fainted",
+      params: { name: fainted.name },
+    },
+  ];
+  if (nextIndex === -1) {
+    const winner = side === "player" ? "cpu" : "player";
+    return {
+      ...state,
+      winner,
+      log: [...state.log, ...entries],
+    };
+  }
+  const next = state.teams[side][nextIndex];
+  entries.push({
+    turn: state.turn,
+    side,
+    key: "battle.log.switched",
+    params: { name: next.name },
+  });
+  return {
+    ...state,
+    active: { ...state.active, [side]: nextIndex },
+    log: [...state.log, ...entries],
+  };
+}
+
+/**
+ * Plays one turn: the player uses `playerMove`, the CPU answers with its best
+ * move, and the faster Pokémon goes first (speed ties are a coin flip).
+ */
+export function takeTurn(state, playerMove) {
+  if (state.winner) return state;
+  const rng = createRng(state.rngState);
+  let next = { ...state, turn: state.turn + 1 };
+
+  const moves = { player: playerMove, cpu: chooseCpuMove(state) };
+  const speed = (side) => activeBattler(state, side).stats.speed;
+  const playerFirst =
+    speed("player") === speed("cpu")
+      ? rng.next() < 0.5
+      : speed("player") > speed("cpu");
+  const order = playerFirst ? ["player", "cpu"] : ["cpu", "player"];
+
+  for (const side of order) {
+    if (next.winner) break;
+    // a Pokémon knocked out before its turn was replaced and doesn't act
+    if (next.active[side] !== state.active[side]) continue;
+    next = attack(next, side, moves[side], rng);
+  }
+
+  return { ...next, rngState: rng.state };
+}
+
+/**
+ * Runs a whole battle. `choosePlayerMove(state)` returns a move index; by
+ * default the player also picks its best move. Stops after `maxTurns`.
+ */
+export function simulate(state, choosePlayerMove, maxTurns = 200) {
+  let s = state;
+  while (!s.winner && s.turn < maxTurns) {
+    const move = choosePlayerMove
+      ? choosePlayerMove(s)
+      : chooseCpuMove(mirror(s));
+    s = takeTurn(s, move);
+  }
+  return s;
+}
+
+// Same battle seen from the other side, so the CPU logic can pick for the player.
+function mirror(state) {
+  return {
+    ...state,
+    teams: { player: state.teams.cpu, cpu: state.teams.player },
+    active: { player: state.active.cpu, cpu: state.active.player },
+  };
+}
+
+/** Replays a recorded list of player move indexes from a fresh battle. */
+export function replay(initial, playerMoves) {
+  return playerMoves.reduce((s, m) => takeTurn(s, m), initial);
+}
@@ -0,0 +1,145 @@
+import { describe, expect, it } from "vitest";
+import {
+  computeDamage,
+  createBattle,
+  createBattler,
+  replay,
+  simulate,
+  takeTurn,
+} from "./battle";
+
+function pokemon(name, types, [hp, atk, def, spa, spd, spe]) {
+  const values = { hp, attack: atk, defense: def, "special-attack": spa };
+  Object.assign(values, { "special-defense": spd, speed: spe });
+  return {
+    id: name.length,
+    name,
+    sprite: null,
+    types,
+    stats: Object.entries(values).map(([stat, base_stat]) => ({
+      base_stat,
+      stat: { name: stat },
+    })),
+  };
+}
+
+const move = (name, type, power, damageClass = "physical", accuracy = 100) => ({
+  name,
+  type,
+  power,
+  accuracy,
+  damageClass,
+});
+
+const pikachu = pokemon("pikachu", ["electric"], [35, 55, 40, 50, 50, 90]);
+const geodude = pokemon(
+  "geodude",
+  ["rock", "ground"],
+  [40, 80, 100, 30, 30, 20]
+);
+
+const thunderbolt = move("thunderbolt", "electric", 90, "special");
+const quickAttack = move("quick-attack", "normal", 40);
+const rockThrow = move("rock-throw", "rock", 50, "physical", 90);
+
+describe("createBattler", () => {
+  it("computes level 50 stats with max IVs and no EVs", () => {
+    const b = createBattler(pikachu, [thunderbolt]);
+    expect(b.maxHp).toBe(110);
+    expect(b.hp).toBe(110);
+    expect(b.stats.speed).toBe(110);
+    expect(b.stats.attack).toBe(75);
+  });
+
+  it("drops status moves and falls back to Struggle", () => {
+    const growl = move("growl", "normal", null, "status");
+    expect(createBattler(pikachu, [growl, thunderbolt]).moves).toEqual([
+      thunderbolt,
+    ]);
+    expect(createBattler(pikachu, [growl]).moves[0].name).toBe("struggle");
+  });
+});
+
+describe("computeDamage", () => {
+  const a = createBattler(pikachu, [thunderbolt, quickAttack]);
+  const d = createBattler(geodude, [rockThrow]);
+
+  it("applies STAB and type effectiveness", () => {
+    const normal = computeDamage(a, d, quickAttack);
+    expect(normal.stab).toBe(1);
+    expect(normal.typeMult).toBe(0.5);
+    const rock = computeDamage(d, a, rockThrow);
+    expect(rock.stab).toBe(1.5);
+    expect(rock.typeMult).toBe(1);
+  });
+
+  it("does nothing to an immune defender", () => {
+    expect(computeDamage(a, d, thunderbolt)).toEqual({
+      damage: 0,
+      stab: 1.5,
+      typeMult: 0,
+    });
+  });
+
+  it("scales with the random roll but deals at least 1", () => {
+    const high = computeDamage(a, d, quickAttack, 1).damage;
+    const low = computeDamage(a, d, quickAttack, 0.85).damage;
+    expect(low).toBeLessThanOrEqual(high);
+    expect(low).toBeGreaterThanOrEqual(1);
+  });
+});
+
+describe("battles", () => {
+  const start = (seed) =>
+    createBattle({
+      player: [createBattler(pikachu, [thunderbolt, quickAttack])],
+      cpu: [
+        createBattler(geodude, [rockThrow]),
+        createBattler(pikachu, [quickAttack]),
+      ],
+      seed,
+    });
+
+  it("lets the faster Pokémon move first", () => {
+    const s = takeTurn(start(1), 1);
+    expect(s.log[1].side).toBe("player");
+    expect(s.turn).toBe(1);
+  });
+
+  it("replays identically from the same seed and moves", () => {
+    const a = simulate(start(42), () => 1);
+    const b = simulate(start(42), () => 1);
+    expect(a).toEqual(b);
+    expect(a.winner).not.toBeNull();
+    const moves = Array.from({ length: a.turn }, () => 1);
+    expect(replay(start(42), moves)).toEqual(a);
+  });
+
+  it("sends in the next Pokémon after a faint", () => {
+    const magikarp = pokemon("magikarp", ["water"], [20, 10, 55, 15, 20, 80]);
+    const s = takeTurn(
+      createBattle({
+        player: [
+          createBattler(magikarp, [move("tackle", "normal", 40)]),
+          createBattler(pikachu, [quickAttack]),
+        ],
+        cpu: [createBattler(geodude, [rockThrow])],
+        seed: 5,
+      }),
+      0
+    );
+    const later = simulate(s, () => 0);
+    expect(later.log).toContainEqual(
+      expect.objectContaining({
+        key: "battle.log.switched",
+        params: { name: "pikachu" },
+      })
+    );
+    expect(later.teams.player[0].hp).toBe(0);
+  });
+
+  it("stops acting once there is a winner", () => {
+    const done = simulate(start(3), () => 1);
+    expect(takeTurn(done, 0)).toBe(done);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { attemptCatch, catchProbability, modifiedCatchRate } from "./capture";
+import { createRng } from "./rng";
+
+describe("modifiedCatchRate", () => {
+  it("follows the main-series formula", () => {
+    // capture rate 45 (starters) at full HP in a Poké Ball
+    expect(modifiedCatchRate({ captureRate: 45 })).toBe(15);
+    expect(modifiedCatchRate({ captureRate: 45, hpRatio: 0.5 })).toBe(30);
+    expect(modifiedCatchRate({ captureRate: 45, hpRatio: 0.1 })).toBe(42);
+    expect(
+      modifiedCatchRate({ captureRate: 45, ball: "ultra", status: "sleep" })
+    ).toBe(60);
+  });
+
+  it("caps at 255", () => {
+    expect(
+      modifiedCatchRate({ captureRate: 255, hpRatio: 0.1, ball: "ultra" })
+    ).toBe(255);
+  });
+});
+
+describe("catchProbability", () => {
+  it("is certain for a Master Ball or a maxed rate", () => {
+    expect(catchProbability({ captureRate: 3, ball: "master" })).toBe(1);
+    expect(
+      catchProbability({ captureRate: 255, hpRatio: 0.1, ball: "ultra" })
+    ).toBe(1);
+  });
+
+  it("rises with better balls, status and lower HP", () => {
+    const base = catchProbability({ captureRate: 45 });
+    expect(base).toBeGreaterThan(0);
+    expect(base).toBeLessThan(1);
+    expect(
+      catchProbability({ captureRate: 45, ball: "great" })
+    ).toBeGreaterThan(base);
+    expect(
+      catchProbability({ captureRate: 45, status: "paralysis" })
+    ).toBeGreaterThan(base);
+    expect(catchProbability({ captureRate: 45, hpRatio: 0.1 })).toBeGreaterThan(
+      base
+    );
+  });
+});
+
+describe("attemptCatch", () => {
+  const options = { captureRate: 45, hpRatio: 0.5, ball: "great" };
+
+  it("gives the same result for the same seed", () => {
+    const throws = (seed) => {
+      const rng = createRng(seed);
+      return Array.from({ length: 20 }, () => attemptCatch(options, rng));
+    };
+    expect(throws(99)).toEqual(throws(99));
+  });
+
+  it("reports 0-3 shakes and always 3 on a catch", () => {
+    const rng = createRng(1);
+    for (let i = 0; i < 200; i++) {
+      const { caught, shakes } = attemptCatch(options, rng);
+      expect(shakes).toBeGreaterThanOrEqual(0);
+      expect(shakes).toBeLessThanOrEqual(3);
+      if (caught) expect(shakes).toBe(3);
+    }
+  });
+
+  it("succeeds about as often as catchProbability says", () => {
+    const rng = createRng(2024);
+    const n = 4000;
+    let caught = 0;
+    for (let i = 0; i < n; i++) if (attemptCatch(options, rng).caught) caught++;
+    expect(caught / n).toBeCloseTo(catchProbability(options), 1);
+  });
+
+  it("never fails with a Master Ball", () => {
+    expect(
+      attemptCatch({ captureRate: 3, ball: "master" }, createRng(0))
+    ).toEqual({ caught: true, shakes: 3 });
+  });
+});
@@ -0,0 +1,132 @@
+// Caught-Pokémon collection entries. Each catch is its own entry with a
+// unique `uid`, so duplicates of the same species are allowed.
+
+// Message keys for each `source`.
+export const SOURCES = {
+  wild: "collection.sources.wild",
+  game: "collection.sources.game",
+};
+
+export function newUid() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * New collection entry for `pokemon` (`{ id, name, sprite, types }`, plus
+ * `shinySprite` and `form` when known). A shiny catch keeps the shiny sprite.
+ */
+export function createEntry(
+  pokemon,
+  { source = "wild", level = 5, shiny = false } = {}
+) {
+  return {
+    uid: newUid(),
+    id: pokemon.id,
+    name: pokemon.name,
+    sprite: (shiny && pokemon.shinySprite) || pokemon.sprite,
+    types: pokemon.types ?? [],
+    form: pokemon.form ?? "",
+    shiny,
+    nickname: "",
+    caughtAt: new Date().toISOString(),
+    source,
+    level,
+    notes: "",
+  };
+}
+
+/** Fills in fields missing from entries saved before the collection model. */
+export function normalizeEntry(raw) {
+  return {
+    uid: raw.uid ?? newUid(),
+    id: raw.id,
+    name: raw.name,
+    sprite: raw.sprite ?? "",
+    types: raw.types ?? [],
+    form: raw.form ?? "",
+    shiny: raw.shiny ?? false,
+    nickname: raw.nickname ?? "",
+    caughtAt: raw.caughtAt ?? null,
+    source: raw.source ?? "wild",
+    level: raw.level ?? 5,
+    notes: raw.notes ?? "",
+  };
+}
+
+export function isValidEntry(e) {
+  return (
+    e !== null &&
+    typeof e === "object" &&
+    typeof e.uid === "string" &&
+    Number.isInteger(e.id) &&
+    e.id > 0 &&
+    typeof e.name === "string" &&
+    e.name.length > 0 &&
+    typeof e.sprite === "string" &&
+    Array.isArray(e.types) &&
+    typeof e.form === "string" &&
+    typeof e.shiny === "boolean" &&
+    typeof e.nickname === "string" &&
+    (e.caughtAt === null || !isNaN(Date.parse(e.caughtAt))) &&
+    typeof e.source === "string" &&
+    Number.isInteger(e.level) &&
+    e.level >= 1 &&
+    e.level <= 100 &&
+    typeof e.notes === "string"
+  );
+}
+
+export function displayName(entry) {
+  return entry.nickname || entry.name;
+}
+
+export const SORTS = {
+  caughtAt: {
+    label: "collection.sorts.caughtAt",
+    value: (e) => e.caughtAt ?? "",
+  },
+  id: { label: "collection.sorts.id", value: (e) => e.id },
+  name: { label: "collection.sorts.name", value: (e) => e.name },
+  nickname: {
+    label: "collection.sorts.nickname",
+    value: (e) => displayName(e),
+  },
+  level: { label: "collection.sorts.level", value: (e) => e.level },
+};
+
+export function sortEntries(entries, key = "caughtAt", dir = "desc") {
+  const value = SORTS[key].value;
+  const sign = dir === "desc" ? -1 : 1;
+  return entries.slice().sort((a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    const cmp = typeof va === "string" ? va.localeCompare(vb) : va - vb;
+    return sign * cmp;
+  });
+}
+
+export const GROUPS = {
+  none: { label: "collection.groups.none", keys: () => ["all"] },
+  species: { label: "collection.groups.species", keys: (e) => [e.name] },
+  source: { label: "collection.groups.source", keys: (e) => [e.source] },
+  // dual-typed entries show up under both types
+  type: {
+    label: "collection.groups.type",
+    keys: (e) => (e.types?.length ? e.types : ["unknown"]),
+  },
+};
+
+/** `[[groupKey, entries], ...]`, keeping the order of `entries`. */
+export function groupEntries(entries, by = "none") {
+  const groups = new Map();
+  for (const e of entries) {
+    for (const key of GROUPS[by].keys(e)) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(e);
+    }
+  }
+  return [...groups.entries()];
+}
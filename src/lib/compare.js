@@ -0,0 +1,75 @@
+import { STAT_NAMES, baseStat } from "./pokemon";
+import { bestAttack, explainMatchup } from "./typeChart";
+
+// Side-by-side comparison of 2-4 Pokémon (`{ name, types, stats, abilities }`).
+
+export const MAX_COMPARE = 4;
+
+// One color per compared Pokémon, used by the chart and the table headers.
+export const SERIES_COLORS = ["#6366f1", "#ef4444", "#22c55e", "#eab308"];
+
+export function statTotal(p) {
+  return STAT_NAMES.reduce((sum, s) => sum + baseStat(p.stats, s), 0);
+}
+
+/**
+ * Per-stat difference of every Pokémon against the first one:
+ * `[{ stat, values: [80, 95], deltas: [0, 15] }, ...]`, plus a total row.
+ */
+export function statDeltas(list) {
+  const rows = STAT_NAMES.map((stat) => {
+    const values = list.map((p) => baseStat(p.stats, stat));
+    return { stat, values, deltas: values.map((v) => v - values[0]) };
+  });
+  const totals = list.map(statTotal);
+  rows.push({
+    stat: "total",
+    values: totals,
+    deltas: totals.map((v) => v - totals[0]),
+  });
+  return rows;
+}
+
+/** Abilities every Pokémon has, and the ones only some of them have. */
+export function abilityOverlap(list) {
+  const shared = list[0]
+    ? list[0].abilities.filter((a) =>
+        list.every((p) => p.abilities.includes(a))
+      )
+    : [];
+  const unique = Object.fromEntries(
+    list.map((p) => [p.name, p.abilities.filter((a) => !shared.includes(a))])
+  );
+  return { shared, unique };
+}
+
+/**
+ * `rows[i][j]` is attacker i's best same-type hit on defender j
+ * (`{ type, multiplier }`), with null on the diagonal and for Pokémon
+ * without types.
+ */
+export function matchupMatrix(list) {
+  return list.map((a, i) =>
+    list.map((b, j) => (i === j ? null : bestAttack(a.types, b.types)))
+  );
+}
+
+/** Pairwise explanations (see `explainMatchup`) for every pair. */
+export function matchupNotes(list) {
+  const notes = [];
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const note = explainMatchup(list[i], list[j]);
+      if (note) notes.push(note);
+    }
+  }
+  return notes;
+}
+
+export function parseCompareParam(value) {
+  return (value || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean)
+    .slice(0, MAX_COMPARE);
+}
@@ -0,0 +1,70 @@
+import { NATIONAL_DEX_SIZE, generationRange } from "./pokemon";
+
+// Pokédex completion: which species have been seen and caught. Progress is
+// counted in National Dex numbers, so alternate forms (ids above 10000)
+// count towards nothing.
+
+export const DEFAULT_DEX = { seen: {} };
+
+/** Adds `ids` to the seen record (`{ id: firstSeenAt }`), keeping old dates. */
+export function markSeen(dex, ids, date = new Date()) {
+  const fresh = ids.filter(
+    (id) =>
+      Number.isInteger(id) &&
+      id >= 1 &&
+      id <= NATIONAL_DEX_SIZE &&
+      !dex.seen[id]
+  );
+  if (fresh.length === 0) return dex;
+  const at = date.toISOString();
+  return {
+    ...dex,
+    seen: { ...dex.seen, ...Object.fromEntries(fresh.map((id) => [id, at])) },
+  };
+}
+
+/** Species ids in the collection. */
+export function caughtIds(caught) {
+  return new Set(
+    caught.map((e) => e.id).filter((id) => id <= NATIONAL_DEX_SIZE)
+  );
+}
+
+/** Seen ids; anything caught counts as seen too. */
+export function seenIds(dex, caught) {
+  const ids = new Set(Object.keys(dex.seen).map(Number));
+  for (const id of caughtIds(caught)) ids.add(id);
+  return ids;
+}
+
+/** `{ total, seen, caught }` over the species in `members`. */
+export function progressOf(members, seen, caught) {
+  let s = 0;
+  let c = 0;
+  for (const id of members) {
+    if (seen.has(id)) s++;
+    if (caught.has(id)) c++;
+  }
+  return { total: members.length, seen: s, caught: c };
+}
+
+export function range(first, last) {
+  return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+}
+
+export function generationMembers(gen) {
+  return range(...generationRange(gen));
+}
+
+/** Regional Pokédexes shown on the progress page (PokeAPI `/pokedex` names). */
+export const REGIONAL_DEXES = [
+  { name: "kanto", label: "Kanto" },
+  { name: "original-johto", label: "Johto" },
+  { name: "hoenn", label: "Hoenn" },
+  { name: "original-sinnoh", label: "Sinnoh" },
+  { name: "original-unova", label: "Unova" },
+  { name: "kalos-central", label: "Kalos (Central)" },
+  { name: "original-alola", label: "Alola" },
+  { name: "galar", label: "Galar" },
+  { name: "paldea", label: "Paldea" },
+];
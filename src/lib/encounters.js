@@ -0,0 +1,109 @@
+import { idFromUrl } from "./pokemon";
+
+// Wild encounters from a /location-area response. Pure and seedable: pass
+// an rng from `createRng` to make a run of encounters reproducible.
+
+// Message keys for the encounter methods that have one.
+export const METHOD_LABELS = {
+  walk: "explore.methods.walk",
+  surf: "explore.methods.surf",
+  "old-rod": "explore.methods.oldRod",
+  "good-rod": "explore.methods.goodRod",
+  "super-rod": "explore.methods.superRod",
+  "rock-smash": "explore.methods.rockSmash",
+  headbutt: "explore.methods.headbutt",
+  "dark-grass": "explore.methods.darkGrass",
+  "grass-spots": "explore.methods.grassSpots",
+  "cave-spots": "explore.methods.caveSpots",
+  "surf-spots": "explore.methods.surfSpots",
+  "super-rod-spots": "explore.methods.superRodSpots",
+  gift: "explore.methods.gift",
+};
+
+/** Message key for `method`, or its plain name when there's no key. */
+export function methodLabel(method) {
+  return METHOD_LABELS[method] ?? method.replace(/-/g, " ");
+}
+
+function detailsFor(area, version) {
+  return (area?.pokemon_encounters ?? []).flatMap((pe) =>
+    pe.version_details
+      .filter((vd) => !version || vd.version.name === version)
+      .flatMap((vd) =>
+        vd.encounter_details.map((ed) => ({ pokemon: pe.pokemon, ...ed }))
+      )
+  );
+}
+
+/** Game versions with encounter data for this area, in API order. */
+export function versionsOf(area) {
+  const names = (area?.pokemon_encounters ?? []).flatMap((pe) =>
+    pe.version_details.map((vd) => vd.version.name)
+  );
+  return [...new Set(names)];
+}
+
+/** Encounter methods (walk, surf, old-rod, ...) available in `version`. */
+export function methodsOf(area, version) {
+  return [...new Set(detailsFor(area, version).map((d) => d.method.name))];
+}
+
+/**
+ * Weighted slots for one method and version:
+ * `[{ name, id, chance, minLevel, maxLevel, ranges }]`, highest chance
+ * first. A Pokémon listed several times (different levels, time of day)
+ * gets one slot whose chance is the sum; `ranges` keeps each listing's own
+ * `{ chance, minLevel, maxLevel }` so levels roll with the right odds.
+ */
+export function encounterTable(area, { method, version }) {
+  const slots = new Map();
+  for (const d of detailsFor(area, version)) {
+    if (d.method.name !== method) continue;
+    const slot = slots.get(d.pokemon.name) ?? {
+      name: d.pokemon.name,
+      id: idFromUrl(d.pokemon.url),
+      chance: 0,
+      minLevel: d.min_level,
+      maxLevel: d.max_level,
+      ranges: [],
+    };
+    slot.chance += d.chance;
+    slot.ranges.push({
+      chance: d.chance,
+      minLevel: d.min_level,
+      maxLevel: d.max_level,
+    });
+    slot.minLevel = Math.min(slot.minLevel, d.min_level);
+    slot.maxLevel = Math.max(slot.maxLevel, d.max_level);
+    slots.set(d.pokemon.name, slot);
+  }
+  return [...slots.values()].sort((a, b) => b.chance - a.chance);
+}
+
+/** Share of encounters each slot gets, as 0-1 (`{ name: share }`). */
+export function encounterOdds(table) {
+  const total = table.reduce((sum, s) => sum + s.chance, 0);
+  return Object.fromEntries(
+    table.map((s) => [s.name, total ? s.chance / total : 0])
+  );
+}
+
+// One of `items` picked by its `chance`; null when there is nothing to pick.
+function weightedPick(items, rng) {
+  const total = items.reduce((sum, item) => sum + item.chance, 0);
+  if (total <= 0) return null;
+  let roll = rng.next() * total;
+  return items.find((item) => (roll -= item.chance) < 0) ?? items.at(-1);
+}
+
+/**
+ * Picks the next wild Pokémon: a slot weighted by its chance and a level in
+ * its range. Returns `{ name, id, level }`, or null for an empty table.
+ */
+export function rollEncounter(table, rng) {
+  const slot = weightedPick(table, rng);
+  if (!slot) return null;
+  const range = weightedPick(slot.ranges, rng) ?? slot;
+  const level = range.minLevel + rng.int(range.maxLevel - range.minLevel + 1);
+  return { name: slot.name, id: slot.id, level };
+}
@@ -0,0 +1,154 @@
+import { describe, expect, it } from "vitest";
+import {
+  encounterOdds,
+  encounterTable,
+  methodLabel,
+  methodsOf,
+  rollEncounter,
+  versionsOf,
+} from "./encounters";
+import { createRng } from "./rng";
+
+const pokemon = (name, id) => ({
+  name,
+  url: `https://pokeapi.co/api/v2/pokemon/${id}/`,
+});
+const detail = (method, chance, min, max) => ({
+  method: { name: method },
+  chance,
+  min_level: min,
+  max_level: max,
+});
+const version = (name, details) => ({
+  version: { name },
+  encounter_details: details,
+});
+
+// A small /location-area payload: pidgey is listed twice in red (two level
+// ranges), and blue and surfing have their own tables.
+const area = {
+  pokemon_encounters: [
+    {
+      pokemon: pokemon("pidgey", 16),
+      version_details: [
+        version("red", [detail("walk", 20, 2, 3), detail("walk", 15, 4, 5)]),
+        version("blue", [detail("walk", 10, 3, 3)]),
+      ],
+    },
+    {
+      pokemon: pokemon("rattata", 19),
+      version_details: [
+        version("red", [detail("walk", 15, 2, 4)]),
+        version("blue", [detail("walk", 40, 2, 2)]),
+      ],
+    },
+    {
+      pokemon: pokemon("tentacool", 72),
+      version_details: [version("red", [detail("surf", 100, 5, 40)])],
+    },
+  ],
+};
+
+describe("versions and methods", () => {
+  it("lists versions and the methods available in one", () => {
+    expect(versionsOf(area)).toEqual(["red", "blue"]);
+    expect(methodsOf(area, "red")).toEqual(["walk", "surf"]);
+    expect(methodsOf(area, "blue")).toEqual(["walk"]);
+    expect(versionsOf(null)).toEqual([]);
+  });
+
+  it("labels known methods with message keys", () => {
+    expect(methodLabel("old-rod")).toBe("explore.methods.oldRod");
+    expect(methodLabel("sos-encounter")).toBe("sos encounter");
+  });
+});
+
+describe("encounterTable", () => {
+  it("merges duplicate listings into one slot", () => {
+    const table = encounterTable(area, { method: "walk", version: "red" });
+    expect(table).toEqual([
+      {
+        name: "pidgey",
+        id: 16,
+        chance: 35,
+        minLevel: 2,
+        maxLevel: 5,
+        ranges: [
+          { chance: 20, minLevel: 2, maxLevel: 3 },
+          { chance: 15, minLevel: 4, maxLevel: 5 },
+        ],
+      },
+      {
+        name: "rattata",
+        id: 19,
+        chance: 15,
+        minLevel: 2,
+        maxLevel: 4,
+        ranges: [{ chance: 15, minLevel: 2, maxLevel: 4 }],
+      },
+    ]);
+  });
+
+  it("only uses the chosen version and method", () => {
+    const blue = encounterTable(area, { method: "walk", version: "blue" });
+    expect(blue.map((s) => [s.name, s.chance])).toEqual([
+      ["rattata", 40],
+      ["pidgey", 10],
+    ]);
+    const surf = encounterTable(area, { method: "surf", version: "red" });
+    expect(surf.map((s) => s.name)).toEqual(["tentacool"]);
+    expect(encounterTable(area, { method: "surf", version: "blue" })).toEqual(
+      []
+    );
+  });
+});
+
+describe("encounterOdds", () => {
+  it("gives each slot its share, summing to 1", () => {
+    const odds = encounterOdds(
+      encounterTable(area, { method: "walk", version: "red" })
+    );
+    expect(odds).toEqual({ pidgey: 0.7, rattata: 0.3 });
+    expect(encounterOdds([])).toEqual({});
+  });
+});
+
+describe("rollEncounter", () => {
+  const table = encounterTable(area, { method: "walk", version: "red" });
+  const run = (seed, n) => {
+    const rng = createRng(seed);
+    return Array.from({ length: n }, () => rollEncounter(table, rng));
+  };
+
+  it("replays the same encounters for the same seed", () => {
+    expect(run(7, 5)).toEqual([
+      { name: "pidgey", id: 16, level: 3 },
+      { name: "pidgey", id: 16, level: 2 },
+      { name: "pidgey", id: 16, level: 3 },
+      { name: "rattata", id: 19, level: 2 },
+      { name: "rattata", id: 19, level: 2 },
+    ]);
+    expect(run(7, 20)).toEqual(run(7, 20));
+    expect(run(8, 20)).not.toEqual(run(7, 20));
+  });
+
+  it("rolls levels within the listing's range", () => {
+    for (const e of run(3, 200)) {
+      const slot = table.find((s) => s.name === e.name);
+      expect(e.id).toBe(slot.id);
+      expect(Number.isInteger(e.level)).toBe(true);
+      expect(e.level).toBeGreaterThanOrEqual(slot.minLevel);
+      expect(e.level).toBeLessThanOrEqual(slot.maxLevel);
+    }
+  });
+
+  it("follows the slot odds over many rolls", () => {
+    const rolls = run(1, 1000);
+    const pidgeys = rolls.filter((e) => e.name === "pidgey").length;
+    expect(pidgeys / rolls.length).toBeCloseTo(0.7, 1);
+  });
+
+  it("returns null for an empty table", () => {
+    expect(rollEncounter([], createRng(1))).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+import { idFromUrl } from "./pokemon";
+
+function pretty(name) {
+  return name.replace(/-/g, " ");
+}
+
+function uniqueBy(list, keyOf) {
+  return [...new Map(list.map((x) => [keyOf(x), x])).values()];
+}
+
+/**
+ * Condition for one `evolution_details` entry, as `{ key, params }` message
+ * parts for the UI to translate and join with spaces.
+ */
+export function describeTrigger(d) {
+  const parts = [];
+  const add = (key, params = {}) =>
+    parts.push({ key: `evolution.${key}`, params });
+  const trigger = d.trigger?.name;
+
+  if (trigger === "level-up") {
+    if (d.min_level) add("level", { level: d.min_level });
+    else add("levelUp");
+  } else if (trigger === "use-item") {
+    add("useItem", { item: pretty(d.item?.name ?? "item") });
+  } else if (trigger === "trade") {
+    add("trade");
+  } else if (trigger) {
+    add("other", { trigger: pretty(trigger) });
+  }
+
+  if (d.held_item) add("holding", { item: pretty(d.held_item.name) });
+  if (d.trade_species) {
+    add("forSpecies", { name: pretty(d.trade_species.name) });
+  }
+  if (d.min_happiness) add("friendship");
+  if (d.min_affection) add("affection");
+  if (d.min_beauty) add("beauty");
+  if (d.known_move) add("knowingMove", { move: pretty(d.known_move.name) });
+  if (d.known_move_type) {
+    add("knowingMoveType", { type: d.known_move_type.name });
+  }
+  if (d.location) add("location", { location: pretty(d.location.name) });
+  if (d.time_of_day) add("timeOfDay", { time: d.time_of_day });
+  if (d.gender === 1) add("female");
+  if (d.gender === 2) add("male");
+  if (d.relative_physical_stats === 1) add("atkAboveDef");
+  if (d.relative_physical_stats === -1) add("atkBelowDef");
+  if (d.relative_physical_stats === 0) add("atkEqualsDef");
+  if (d.needs_overworld_rain) add("rain");
+  if (d.party_species) {
+    add("withSpecies", { name: pretty(d.party_species.name) });
+  }
+  if (d.turn_upside_down) add("upsideDown");
+
+  return parts;
+}
+
+/**
+ * Turns an `/evolution-chain` payload's `chain` into a tree of
+ * `{ id, name, triggers: [parts], evolvesTo: [node] }` (see
+ * `describeTrigger`). A stage can be reached in more than one way (e.g.
+ * different games), hence `triggers`.
+ */
+export function parseChain(node) {
+  return {
+    id: idFromUrl(node.species.url),
+    name: node.species.name,
+    triggers: uniqueBy(node.evolution_details.map(describeTrigger), (t) =>
+      JSON.stringify(t)
+    ),
+    evolvesTo: node.evolves_to.map(parseChain),
+  };
+}
@@ -0,0 +1,120 @@
+import {
+  GENERATIONS,
+  STAT_NAMES,
+  TYPES,
+  baseStat,
+  generationOf,
+} from "./pokemon";
+import { computePowerScore } from "./power";
+
+export const SORT_KEYS = ["default", "id", "name", "power", ...STAT_NAMES];
+
+export const DEFAULT_FILTERS = {
+  types: [],
+  typeMode: "or", // "or": any selected type, "and": every selected type
+  typeCount: "any", // "any" | "single" | "dual"
+  gens: [],
+  stats: {}, // { attack: [min, max] }, either bound may be null
+  caught: "all", // "all" | "caught" | "uncaught"
+  sort: "default",
+  dir: "asc",
+};
+
+export function isDefaultFilters(f) {
+  return filtersToQuery(f) === "";
+}
+
+function matches(p, f, caughtIds) {
+  if (f.types.length) {
+    const has = (t) => p.types.includes(t);
+    const ok = f.typeMode === "and" ? f.types.every(has) : f.types.some(has);
+    if (!ok) return false;
+  }
+  if (f.typeCount === "single" && p.types.length !== 1) return false;
+  if (f.typeCount === "dual" && p.types.length !== 2) return false;
+  if (f.gens.length && !f.gens.includes(generationOf(p.id))) return false;
+  for (const [name, [min, max]] of Object.entries(f.stats)) {
+    const v = baseStat(p.stats, name);
+    if (min != null && v < min) return false;
+    if (max != null && v > max) return false;
+  }
+  if (f.caught === "caught" && !caughtIds.has(p.id)) return false;
+  if (f.caught === "uncaught" && caughtIds.has(p.id)) return false;
+  return true;
+}
+
+function sortValue(p, key) {
+  if (key === "id") return p.id;
+  if (key === "name") return p.name;
+  if (key === "power") return computePowerScore(p.stats);
+  return baseStat(p.stats, key);
+}
+
+/** Filters and sorts list items. "default" sort keeps the incoming order. */
+export function applyFilters(list, f, caughtIds = new Set()) {
+  const out = list.filter((p) => matches(p, f, caughtIds));
+  if (f.sort === "default") return f.dir === "desc" ? out.reverse() : out;
+  const sign = f.dir === "desc" ? -1 : 1;
+  return out.sort((a, b) => {
+    const va = sortValue(a, f.sort);
+    const vb = sortValue(b, f.sort);
+    const cmp = typeof va === "string" ? va.localeCompare(vb) : va - vb;
+    return sign * cmp || a.id - b.id;
+  });
+}
+
+function toRange(raw) {
+  const [lo, hi] = raw.split("-");
+  const num = (s) =>
+    s === "" || s == null || isNaN(Number(s)) ? null : Number(s);
+  return [num(lo), num(hi)];
+}
+
+/**
+ * Reads filters (plus the search text as `q`) from a query string such as
+ * `?types=fire,flying&typeMode=and&gen=1&attack=100-&sort=speed&dir=desc`.
+ */
+export function filtersFromQuery(query) {
+  const params = new URLSearchParams(query);
+  const f = { ...DEFAULT_FILTERS, stats: {} };
+  const list = (key) => (params.get(key) || "").split(",").filter(Boolean);
+
+  f.types = list("types").filter((t) => TYPES.includes(t));
+  if (params.get("typeMode") === "and") f.typeMode = "and";
+  if (["single", "dual"].includes(params.get("typeCount"))) {
+    f.typeCount = params.get("typeCount");
+  }
+  f.gens = list("gen")
+    .map(Number)
+    .filter((g) => GENERATIONS.includes(g));
+  for (const name of STAT_NAMES) {
+    if (params.has(name)) f.stats[name] = toRange(params.get(name));
+  }
+  if (["caught", "uncaught"].includes(params.get("caught"))) {
+    f.caught = params.get("caught");
+  }
+  if (SORT_KEYS.includes(params.get("sort"))) f.sort = params.get("sort");
+  if (params.get("dir") === "desc") f.dir = "desc";
+
+  return { filters: f, search: params.get("q") || "" };
+}
+
+/** Inverse of `filtersFromQuery`; defaults are left out to keep URLs short. */
+export function filtersToQuery(f, search = "") {
+  const params = new URLSearchParams();
+  if (search) params.set("q", search);
+  if (f.types.length) params.set("types", f.types.join(","));
+  if (f.typeMode !== "or") params.set("typeMode", f.typeMode);
+  if (f.typeCount !== "any") params.set("typeCount", f.typeCount);
+  if (f.gens.length) params.set("gen", f.gens.join(","));
+  for (const name of STAT_NAMES) {
+    const [min, max] = f.stats[name] ?? [null, null];
+    if (min != null || max != null) {
+      params.set(name, `${min ?? ""}-${max ?? ""}`);
+    }
+  }
+  if (f.caught !== "all") params.set("caught", f.caught);
+  if (f.sort !== "default") params.set("sort", f.sort);
+  if (f.dir !== "asc") params.set("dir", f.dir);
+  return params.toString().replace(/%2C/g, ",");
+}
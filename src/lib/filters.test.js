@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_FILTERS,
+  applyFilters,
+  filtersFromQuery,
+  filtersToQuery,
+  isDefaultFilters,
+} from "./filters";
+import { STAT_NAMES } from "./pokemon";
+
+const stats = (values) =>
+  STAT_NAMES.map((name, i) => ({ base_stat: values[i], stat: { name } }));
+
+const bulbasaur = {
+  id: 1,
+  name: "bulbasaur",
+  types: ["grass", "poison"],
+  stats: stats([45, 49, 49, 65, 65, 45]),
+};
+const charmander = {
+  id: 4,
+  name: "charmander",
+  types: ["fire"],
+  stats: stats([39, 52, 43, 60, 50, 65]),
+};
+const chikorita = {
+  id: 152,
+  name: "chikorita",
+  types: ["grass"],
+  stats: stats([45, 49, 65, 49, 65, 45]),
+};
+const list = [bulbasaur, charmander, chikorita];
+
+const filters = (patch) => ({ ...DEFAULT_FILTERS, stats: {}, ...patch });
+
+describe("applyFilters", () => {
+  it("filters by type, type count, generation and stat range", () => {
+    const names = (f) => applyFilters(list, filters(f)).map((p) => p.name);
+    expect(names({ types: ["grass"] })).toEqual(["bulbasaur", "chikorita"]);
+    expect(names({ types: ["grass", "poison"], typeMode: "and" })).toEqual([
+      "bulbasaur",
+    ]);
+    expect(names({ typeCount: "single" })).toEqual(["charmander", "chikorita"]);
+    expect(names({ gens: [2] })).toEqual(["chikorita"]);
+    expect(names({ stats: { speed: [60, null] } })).toEqual(["charmander"]);
+  });
+
+  it("filters by caught state and sorts", () => {
+    const caught = new Set([4]);
+    const f = filters({ caught: "uncaught", sort: "name", dir: "desc" });
+    expect(applyFilters(list, f, caught).map((p) => p.id)).toEqual([152, 1]);
+  });
+});
+
+describe("filtersFromQuery / filtersToQuery", () => {
+  it("round-trips filters and the search text through the URL", () => {
+    const f = filters({
+      types: ["fire", "flying"],
+      typeMode: "and",
+      typeCount: "dual",
+      gens: [1, 3],
+      stats: { attack: [100, null], speed: [null, 80] },
+      caught: "uncaught",
+      sort: "speed",
+      dir: "desc",
+    });
+    const query = filtersToQuery(f, "char");
+    expect(query).toBe(
+      "q=char&types=fire,flying&typeMode=and&typeCount=dual&gen=1,3&attack=100-&speed=-80&caught=uncaught&sort=speed&dir=desc"
+    );
+    expect(filtersFromQuery(`?${query}`)).toEqual({
+      filters: f,
+      search: "char",
+    });
+  });
+
+  it("leaves defaults out of the URL", () => {
+    expect(filtersToQuery(filters())).toBe("");
+    expect(isDefaultFilters(filters())).toBe(true);
+    expect(isDefaultFilters(filters({ gens: [1] }))).toBe(false);
+  });
+
+  it("drops invalid values", () => {
+    const { filters: f } = filtersFromQuery(
+      "?types=fire,plasma&typeMode=xor&typeCount=triple&gen=1,0,10,500,x&caught=maybe&sort=weight&dir=up"
+    );
+    expect(f).toEqual(filters({ types: ["fire"], gens: [1] }));
+  });
+});
@@ -0,0 +1,185 @@
+import { artworkUrl } from "./pokemon";
+import { createRng, hashSeed } from "./rng";
+
+// Guessing game sessions. Round generation and scoring are pure, so a seed
+// fully determines a session (the daily challenge relies on this).
+
+// `label` and `description` are message keys.
+export const MODES = {
+  easy: {
+    label: "game.modes.easy.label",
+    description: "game.modes.easy.description",
+    pool: "loaded",
+    answer: "choice",
+    clues: ["silhouette"],
+    seconds: 20,
+  },
+  hard: {
+    label: "game.modes.hard.label",
+    description: "game.modes.hard.description",
+    pool: "dex",
+    answer: "text",
+    clues: ["silhouette"],
+    seconds: 30,
+  },
+  expert: {
+    label: "game.modes.expert.label",
+    description: "game.modes.expert.description",
+    pool: "dex",
+    answer: "choice",
+    clues: ["cry", "pixel"],
+    seconds: 30,
+  },
+  quiz: {
+    label: "game.modes.quiz.label",
+    description: "game.modes.quiz.description",
+    pool: "loaded",
+    answer: "choice",
+    clues: ["question"],
+    seconds: 25,
+  },
+  daily: {
+    label: "game.modes.daily.label",
+    description: "game.modes.daily.description",
+    pool: "dex",
+    answer: "choice",
+    clues: ["silhouette"],
+    seconds: 20,
+    rounds: 5,
+  },
+};
+
+export const DEFAULT_ROUNDS = 10;
+
+export function dailySeed(date = new Date()) {
+  return hashSeed(`daily-${date.toISOString().slice(0, 10)}`);
+}
+
+function toAnswer(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    species: p.species ?? p.name,
+    sprite: p.sprite || artworkUrl(p.id),
+    types: p.types ?? [],
+  };
+}
+
+/**
+ * Builds `count` rounds from `pool` (`[{ id, name, sprite? }]`). Answers
+ * don't repeat within a session unless the pool is too small.
+ */
+export function generateRounds({ pool, count, mode, seed }) {
+  const rng = createRng(seed);
+  const config = MODES[mode];
+  const used = new Set();
+  const rounds = [];
+
+  for (let i = 0; i < count; i++) {
+    let answer = rng.pick(pool);
+    for (let tries = 0; used.has(answer.id) && tries < 50; tries++) {
+      answer = rng.pick(pool);
+    }
+    used.add(answer.id);
+
+    const round = { answer: toAnswer(answer), clue: rng.pick(config.clues) };
+    if (config.answer === "choice") {
+      const choices = [round.answer];
+      while (choices.length < Math.min(4, pool.length)) {
+        const c = rng.pick(pool);
+        if (!choices.find((x) => x.id === c.id)) choices.push(toAnswer(c));
+      }
+      round.choices = rng.shuffle(choices);
+    }
+    rounds.push(round);
+  }
+  return rounds;
+}
+
+function normalizeName(s) {
+  return s
+    .trim()
+    .toLowerCase()
+    .replace(/[.'’:]/g, "")
+    .replace(/♀/g, "-f")
+    .replace(/♂/g, "-m")
+    .replace(/[\s_]+/g, "-");
+}
+
+/** Whether `guess` (a choice id, or text for typed answers) is right. */
+export function isCorrect(round, guess) {
+  if (guess == null) return false;
+  if (round.choices) return guess === round.answer.id;
+  const g = normalizeName(guess);
+  // forms like "giratina-altered" also accept their species name
+  return g === round.answer.name || g === round.answer.species;
+}
+
+/** Points for one answer: base + time bonus, boosted by the running streak. */
+export function scoreAnswer({ correct, secondsLeft, streak }) {
+  if (!correct) return 0;
+  const base = 100 + Math.max(0, Math.round(secondsLeft)) * 5;
+  return Math.round(base * (1 + Math.min(streak, 10) * 0.1));
+}
+
+export function createSession({ mode, rounds, seed }) {
+  return {
+    mode,
+    seed,
+    rounds,
+    index: 0,
+    score: 0,
+    streak: 0,
+    bestStreak: 0,
+    results: [],
+  };
+}
+
+export function currentRound(session) {
+  return session.rounds[session.index] ?? null;
+}
+
+export function isFinished(session) {
+  return session.index >= session.rounds.length;
+}
+
+/** Records an answer (`guess` null = ran out of time) and moves on. */
+export function answerRound(session, { guess, secondsLeft }) {
+  const round = currentRound(session);
+  if (!round) return session;
+  const correct = isCorrect(round, guess);
+  const points = scoreAnswer({ correct, secondsLeft, streak: session.streak });
+  const streak = correct ? session.streak + 1 : 0;
+  return {
+    ...session,
+    index: session.index + 1,
+    score: session.score + points,
+    streak,
+    bestStreak: Math.max(session.bestStreak, streak),
+    results: [...session.results, { guess, correct, points }],
+  };
+}
+
+/** Folds a finished session into the persisted game stats. */
+export function recordSession(stats, session, date = new Date()) {
+  const correct = session.results.filter((r) => r.correct).length;
+  const best = stats.bestScore[session.mode] ?? 0;
+  const next = {
+    ...stats,
+    played: stats.played + session.results.length,
+    correct: stats.correct + correct,
+    sessions: stats.sessions + 1,
+    bestStreak: Math.max(stats.bestStreak, session.bestStreak),
+    bestScore: {
+      ...stats.bestScore,
+      [session.mode]: Math.max(best, session.score),
+    },
+  };
+  if (session.mode === "daily") {
+    next.daily = {
+      date: date.toISOString().slice(0, 10),
+      score: session.score,
+    };
+  }
+  return next;
+}
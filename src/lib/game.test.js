@@ -0,0 +1,130 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_GAME_STATS } from "./stores";
+import {
+  answerRound,
+  createSession,
+  dailySeed,
+  generateRounds,
+  isCorrect,
+  isFinished,
+  recordSession,
+  scoreAnswer,
+} from "./game";
+
+const pool = Array.from({ length: 12 }, (_, i) => ({
+  id: i + 1,
+  name: `mon-${i + 1}`,
+  sprite: `s${i + 1}.png`,
+}));
+
+describe("generateRounds", () => {
+  it("is determined by the seed", () => {
+    const a = generateRounds({ pool, count: 5, mode: "easy", seed: 11 });
+    const b = generateRounds({ pool, count: 5, mode: "easy", seed: 11 });
+    const c = generateRounds({ pool, count: 5, mode: "easy", seed: 12 });
+    expect(a).toEqual(b);
+    expect(a).not.toEqual(c);
+  });
+
+  it("doesn't repeat answers and offers four choices including the answer", () => {
+    const rounds = generateRounds({ pool, count: 8, mode: "easy", seed: 3 });
+    expect(new Set(rounds.map((r) => r.answer.id)).size).toBe(8);
+    for (const r of rounds) {
+      expect(r.choices).toHaveLength(4);
+      expect(r.choices.map((c) => c.id)).toContain(r.answer.id);
+      expect(new Set(r.choices.map((c) => c.id)).size).toBe(4);
+    }
+  });
+
+  it("has no choices when the answer is typed", () => {
+    const [round] = generateRounds({ pool, count: 1, mode: "hard", seed: 1 });
+    expect(round.choices).toBeUndefined();
+  });
+
+  it("gives everyone the same daily seed on a given day", () => {
+    const day = new Date("2026-10-19T08:00:00Z");
+    expect(dailySeed(day)).toBe(dailySeed(new Date("2026-10-19T20:00:00Z")));
+    expect(dailySeed(day)).not.toBe(
+      dailySeed(new Date("2026-10-20T08:00:00Z"))
+    );
+  });
+});
+
+describe("isCorrect", () => {
+  const typed = {
+    answer: { id: 487, name: "giratina-altered", species: "giratina" },
+  };
+  const typedAs = (name, species = name) => ({ answer: { name, species } });
+
+  it("accepts loosely typed names and bare species names of forms", () => {
+    expect(isCorrect(typed, " Giratina-Altered ")).toBe(true);
+    expect(isCorrect(typed, "giratina")).toBe(true);
+    expect(isCorrect(typed, "gi")).toBe(false);
+    expect(isCorrect({ answer: { name: "nidoran-f" } }, "Nidoran♀")).toBe(true);
+    expect(isCorrect({ answer: { name: "mr-mime" } }, "Mr. Mime")).toBe(true);
+  });
+
+  it("doesn't accept the first word of a longer species name", () => {
+    expect(isCorrect(typedAs("porygon-z"), "porygon")).toBe(false);
+    expect(isCorrect(typedAs("tapu-koko"), "tapu")).toBe(false);
+    expect(isCorrect(typedAs("iron-valiant"), "iron")).toBe(false);
+    expect(isCorrect(typedAs("great-tusk"), "great")).toBe(false);
+    expect(isCorrect(typedAs("great-tusk"), "Great Tusk")).toBe(true);
+    // without a known species, only the exact name counts
+    expect(
+      isCorrect({ answer: { name: "giratina-altered" } }, "giratina")
+    ).toBe(false);
+  });
+
+  it("compares ids for multiple choice and treats a timeout as wrong", () => {
+    const round = { answer: { id: 4 }, choices: [{ id: 4 }, { id: 5 }] };
+    expect(isCorrect(round, 4)).toBe(true);
+    expect(isCorrect(round, 5)).toBe(false);
+    expect(isCorrect(round, null)).toBe(false);
+  });
+});
+
+describe("sessions", () => {
+  it("scores time left and streaks", () => {
+    expect(scoreAnswer({ correct: false, secondsLeft: 10, streak: 3 })).toBe(0);
+    expect(scoreAnswer({ correct: true, secondsLeft: 10, streak: 0 })).toBe(
+      150
+    );
+    expect(scoreAnswer({ correct: true, secondsLeft: 10, streak: 2 })).toBe(
+      180
+    );
+    expect(scoreAnswer({ correct: true, secondsLeft: 0, streak: 50 })).toBe(
+      200
+    );
+  });
+
+  it("tracks score, streaks and the end of the session", () => {
+    const rounds = generateRounds({ pool, count: 3, mode: "easy", seed: 8 });
+    let s = createSession({ mode: "easy", rounds, seed: 8 });
+    s = answerRound(s, { guess: rounds[0].answer.id, secondsLeft: 10 });
+    s = answerRound(s, { guess: rounds[1].answer.id, secondsLeft: 0 });
+    s = answerRound(s, { guess: null, secondsLeft: 0 });
+    expect(s.score).toBe(150 + 110);
+    expect(s.bestStreak).toBe(2);
+    expect(s.streak).toBe(0);
+    expect(isFinished(s)).toBe(true);
+    expect(answerRound(s, { guess: 1, secondsLeft: 5 })).toBe(s);
+  });
+
+  it("folds a finished session into the stats", () => {
+    const rounds = generateRounds({ pool, count: 2, mode: "daily", seed: 1 });
+    let s = createSession({ mode: "daily", rounds, seed: 1 });
+    s = answerRound(s, { guess: rounds[0].answer.id, secondsLeft: 0 });
+    s = answerRound(s, { guess: -1, secondsLeft: 0 });
+    const date = new Date("2026-10-19T12:00:00Z");
+    const stats = recordSession(DEFAULT_GAME_STATS, s, date);
+    expect(stats).toMatchObject({
+      played: 2,
+      correct: 1,
+      sessions: 1,
+      bestStreak: 1,
+      bestScore: { daily: 100 },
+      daily: { date: "2026-10-19", score: 100 },
+    });
+  });
+});
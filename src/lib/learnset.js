@@ -0,0 +1,83 @@
+import { idFromUrl } from "./pokemon";
+
+// Learnsets come straight from the `moves` array of a /pokemon response:
+// each move lists the version groups it is learnable in and how.
+
+export const LEARN_METHODS = [
+  { id: "level-up", label: "learnset.methods.levelUp" },
+  { id: "machine", label: "learnset.methods.machine" },
+  { id: "egg", label: "learnset.methods.egg" },
+  { id: "tutor", label: "learnset.methods.tutor" },
+];
+
+export const DAMAGE_CLASSES = ["physical", "special", "status"];
+
+/** Version groups present in `moves`, oldest first (`{ name, id }`). */
+export function versionGroupsOf(moves = []) {
+  const seen = new Map();
+  for (const m of moves) {
+    for (const v of m.version_group_details) {
+      const { name, url } = v.version_group;
+      if (!seen.has(name)) seen.set(name, { name, id: idFromUrl(url) });
+    }
+  }
+  return [...seen.values()].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Moves learnable in `versionGroup`, grouped by learn method:
+ * `{ "level-up": [{ name, level }], machine: [...], ... }`. Level-up moves
+ * are ordered by level; other methods alphabetically. Methods outside
+ * `LEARN_METHODS` (e.g. "form-change") go under "other".
+ */
+export function groupLearnset(moves = [], versionGroup) {
+  const groups = Object.fromEntries(LEARN_METHODS.map((m) => [m.id, []]));
+  groups.other = [];
+  for (const m of moves) {
+    for (const v of m.version_group_details) {
+      if (v.version_group.name !== versionGroup) continue;
+      const method = v.move_learn_method.name;
+      const bucket = groups[method] ?? groups.other;
+      // a move can be learned at several levels in the same game
+      if (
+        !bucket.some(
+          (e) => e.name === m.move.name && e.level === v.level_learned_at
+        )
+      ) {
+        bucket.push({ name: m.move.name, level: v.level_learned_at });
+      }
+    }
+  }
+  groups["level-up"].sort(
+    (a, b) => a.level - b.level || a.name.localeCompare(b.name)
+  );
+  for (const key of Object.keys(groups)) {
+    if (key !== "level-up")
+      groups[key].sort((a, b) => a.name.localeCompare(b.name));
+  }
+  return groups;
+}
+
+/**
+ * Whether a move passes the type/category filter. `details` is the move's
+ * `toMove` shape, or undefined while it is loading (which only passes when
+ * no filter is set).
+ */
+export function matchesMoveFilter(details, { type, damageClass }) {
+  if (!type && !damageClass) return true;
+  if (!details) return false;
+  return (
+    (!type || details.type === type) &&
+    (!damageClass || details.damageClass === damageClass)
+  );
+}
+
+/** English short effect of a /move response, with the effect chance filled in. */
+export function moveEffect(d) {
+  const entry = d.effect_entries?.find((e) => e.language.name === "en");
+  if (!entry) return "";
+  return entry.short_effect
+    .replace(/\$effect_chance/g, d.effect_chance ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
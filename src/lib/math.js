@@ -0,0 +1,3 @@
+export function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
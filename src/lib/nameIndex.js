@@ -0,0 +1,79 @@
+import { idFromUrl } from "./pokemon";
+
+// Search over the full `/pokemon?limit=100000` listing, so names can be found
+// before their page has been loaded.
+
+export function buildNameIndex(results = []) {
+  return results.map((r) => ({
+    name: r.name,
+    id: idFromUrl(r.url),
+    url: r.url,
+  }));
+}
+
+// Levenshtein distance, bailing out once it exceeds `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function isSubsequence(q, name) {
+  let i = 0;
+  for (const ch of name) if (ch === q[i]) i++;
+  return i === q.length;
+}
+
+// Lower score = better match; null = no match.
+function scoreName(q, name) {
+  if (name === q) return 0;
+  if (name.startsWith(q)) return 1 + (name.length - q.length) / 100;
+  const at = name.indexOf(q);
+  if (at !== -1) return 2 + at / 100;
+  // compare against a same-length prefix so "pikahcu" still finds "pikachu"
+  const budget = q.length >= 6 ? 2 : 1;
+  if (q.length >= 3) {
+    const d = editDistance(q, name.slice(0, q.length + 1), budget);
+    if (d <= budget) return 3 + d / 10;
+  }
+  if (q.length >= 3 && isSubsequence(q, name)) return 4;
+  return null;
+}
+
+/**
+ * Matches `query` against the index. "#25" or "25" looks up a dex number;
+ * anything else is matched by name (exact, prefix, substring, then fuzzy).
+ */
+export function searchIndex(index, query, limit = 30) {
+  const q = query.trim().toLowerCase().replace(/\s+/g, "-");
+  if (!q) return [];
+
+  const num = q.match(/^#?(\d+)$/);
+  if (num) {
+    const id = Number(num[1]);
+    const exact = index.filter((e) => e.id === id);
+    const prefix = index.filter(
+      (e) => e.id !== id && e.id <= 10000 && String(e.id).startsWith(num[1])
+    );
+    return [...exact, ...prefix].slice(0, limit);
+  }
+
+  const scored = [];
+  for (const entry of index) {
+    const score = scoreName(q, entry.name);
+    if (score !== null) scored.push({ entry, score });
+  }
+  scored.sort((a, b) => a.score - b.score || a.entry.id - b.entry.id);
+  return scored.slice(0, limit).map((s) => s.entry);
+}
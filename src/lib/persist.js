@@ -0,0 +1,205 @@
+// Versioned localStorage records. Values are stored as
+// `{ schema: <version>, data }`; anything without that envelope is treated as
+// version 1 (the format used before this module existed).
+
+const QUARANTINE_SUFFIX = ":quarantine";
+const MAX_QUARANTINE = 20;
+
+function isEnvelope(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    "schema" in value &&
+    "data" in value
+  );
+}
+
+/** Entries set aside by `quarantine`, newest last. */
+export function readQuarantine(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key + QUARANTINE_SUFFIX)) ?? [];
+  } catch {
+    return [];
+  }
+}
+
+// Keeps data we couldn't use instead of silently dropping it, so it can be
+// inspected or recovered later.
+function quarantine(key, reason, raw) {
+  try {
+    const existing = readQuarantine(key);
+    if (existing.some((q) => q.raw === raw)) return;
+    const entries = [
+      ...existing,
+      { at: new Date().toISOString(), reason, raw },
+    ].slice(-MAX_QUARANTINE);
+    localStorage.setItem(key + QUARANTINE_SUFFIX, JSON.stringify(entries));
+  } catch (err) {
+    console.log(err);
+  }
+}
+
+function readRaw(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+function writeRaw(key, raw) {
+  try {
+    if (raw === null) localStorage.removeItem(key);
+    else localStorage.setItem(key, raw);
+  } catch (err) {
+    console.log(err);
+  }
+}
+
+/** Copies a stored value and its quarantine to another key, as is. */
+export function copyRecord(from, to) {
+  for (const suffix of ["", QUARANTINE_SUFFIX]) {
+    writeRaw(to + suffix, readRaw(from + suffix));
+  }
+}
+
+/** Deletes a stored value and its quarantine. */
+export function removeRecord(key) {
+  writeRaw(key, null);
+  writeRaw(key + QUARANTINE_SUFFIX, null);
+}
+
+/**
+ * Describes one persisted value.
+ *
+ * - `version`: current schema version.
+ * - `migrations`: `{ 1: (v1Data) => v2Data, 2: ... }`, applied in order.
+ * - `validate`: for arrays, called per record and invalid records are
+ *   quarantined; otherwise called on the whole value, which falls back to
+ *   `initial` if invalid.
+ */
+export function createStore({
+  key,
+  version,
+  initial,
+  migrations = {},
+  validate = () => true,
+}) {
+  const scopes = new Map();
+
+  /**
+   * Migrates and validates an already-parsed value (enveloped or legacy).
+   * Returns `{ data, invalid }`, or `{ error }` if it can't be used at all.
+   * Has no side effects, so it also serves file imports.
+   */
+  function upgrade(parsed) {
+    let from = 1;
+    let data = parsed;
+    if (isEnvelope(parsed)) {
+      from = parsed.schema;
+      data = parsed.data;
+    }
+    if (from > version) return { error: `written by newer schema v${from}` };
+
+    try {
+      for (let v = from; v < version; v++) {
+        if (!migrations[v]) throw new Error(`no migration from v${v}`);
+        data = migrations[v](data);
+      }
+    } catch (err) {
+      return { error: `migration failed: ${err.message}` };
+    }
+
+    if (Array.isArray(initial)) {
+      if (!Array.isArray(data)) return { error: "expected a list" };
+      return {
+        data: data.filter((r) => validate(r)),
+        invalid: data.filter((r) => !validate(r)),
+      };
+    }
+    if (!validate(data)) return { error: "invalid value" };
+    return { data, invalid: [] };
+  }
+
+  function fromRaw(raw) {
+    if (raw == null) return initial;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      quarantine(key, "unparseable", raw);
+      return initial;
+    }
+
+    const { data, invalid, error } = upgrade(parsed);
+    if (error) {
+      quarantine(key, error, raw);
+      return initial;
+    }
+    if (invalid.length) {
+      quarantine(key, "invalid records", JSON.stringify(invalid));
+    }
+    return data;
+  }
+
+  return {
+    key,
+    load() {
+      try {
+        return fromRaw(localStorage.getItem(key));
+      } catch {
+        return initial;
+      }
+    },
+    version,
+    upgrade,
+    /** Parses a raw stored string (e.g. from a `storage` event). */
+    parse: fromRaw,
+    serialize(data) {
+      return JSON.stringify({ schema: version, data });
+    },
+    save(data) {
+      try {
+        const raw = this.serialize(data);
+        if (localStorage.getItem(key) !== raw) localStorage.setItem(key, raw);
+      } catch (err) {
+        console.log(err);
+      }
+    },
+    /** Whether anything is stored under this key yet. */
+    exists() {
+      return readRaw(key) !== null;
+    },
+    /**
+     * The same value kept under `<scope>:<key>`, e.g. per trainer profile.
+     * Returns the same store for the same scope.
+     */
+    scoped(scope) {
+      if (!scopes.has(scope)) {
+        scopes.set(
+          scope,
+          createStore({
+            key: `${scope}:${key}`,
+            version,
+            initial,
+            migrations,
+            validate,
+          })
+        );
+      }
+      return scopes.get(scope);
+    },
+    /** Calls `cb(value)` when another tab changes this key. */
+    subscribe(cb) {
+      function onStorage(e) {
+        if (e.key === key && e.storageArea === localStorage) {
+          cb(fromRaw(e.newValue));
+        }
+      }
+      window.addEventListener("storage", onStorage);
+      return () => window.removeEventListener("storage", onStorage);
+    },
+  };
+}
@@ -0,0 +1,134 @@
+import { formOf, shinySpriteOf } from "./sprites";
+
+// Helpers for shaping raw PokeAPI payloads into the objects the UI keeps.
+
+export const TYPES = [
+  "normal",
+  "fire",
+  "water",
+  "electric",
+  "grass",
+  "ice",
+  "fighting",
+  "poison",
+  "ground",
+  "flying",
+  "psychic",
+  "bug",
+  "rock",
+  "ghost",
+  "dragon",
+  "dark",
+  "steel",
+  "fairy",
+];
+
+export const STAT_NAMES = [
+  "hp",
+  "attack",
+  "defense",
+  "special-attack",
+  "special-defense",
+  "speed",
+];
+
+// Last National Dex number of each generation, in order.
+const GENERATION_ENDS = [151, 251, 386, 493, 649, 721, 809, 905, 1025];
+
+export const GENERATIONS = GENERATION_ENDS.map((_, i) => i + 1);
+
+// Species in the National Dex; higher ids are alternate forms.
+export const NATIONAL_DEX_SIZE = GENERATION_ENDS.at(-1);
+
+/** `[firstId, lastId]` of a generation's National Dex numbers. */
+export function generationRange(gen) {
+  return [
+    gen === 1 ? 1 : GENERATION_ENDS[gen - 2] + 1,
+    GENERATION_ENDS[gen - 1],
+  ];
+}
+
+// The handful of moves shown in the detail modal.
+export function featuredMoves(d) {
+  return d.moves.slice(0, 12).map((m) => m.move.name);
+}
+
+export function toMove(d) {
+  return {
+    name: d.name,
+    type: d.type?.name ?? null,
+    power: d.power,
+    accuracy: d.accuracy,
+    pp: d.pp,
+    damageClass: d.damage_class?.name ?? "status",
+  };
+}
+
+// Alternate forms (ids above 10000) have no generation of their own.
+export function generationOf(id) {
+  const i = GENERATION_ENDS.findIndex((end) => id <= end);
+  return i === -1 ? null : i + 1;
+}
+
+export function baseStat(stats = [], name) {
+  return stats.find((s) => s.stat.name === name)?.base_stat ?? 0;
+}
+
+export function idFromUrl(url = "") {
+  const m = url.match(/\/(\d+)\/?$/);
+  return m ? Number(m[1]) : null;
+}
+
+export function artworkUrl(id) {
+  return `https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/other/official-artwork/${id}.png`;
+}
+
+export function spriteOf(d) {
+  return (
+    d.sprites?.other?.["official-artwork"]?.front_default ||
+    d.sprites?.front_default ||
+    ""
+  );
+}
+
+// Shape stored in `list` and used by the grid cards.
+export function toListItem(d) {
+  return {
+    id: d.id,
+    name: d.name,
+    species: d.species?.name ?? d.name,
+    sprite: spriteOf(d),
+    types: d.types.map((t) => t.type.name),
+    stats: d.stats,
+  };
+}
+
+/** List items for the fulfilled results of `Promise.allSettled` detail requests. */
+export function loadedItems(settled) {
+  return settled
+    .filter((r) => r.status === "fulfilled")
+    .map((r) => toListItem(r.value));
+}
+
+/** `list` plus `items` it doesn't have yet, in dex order. */
+export function mergeById(list, items) {
+  const known = new Set(list.map((p) => p.id));
+  const added = [];
+  for (const p of items) {
+    if (known.has(p.id)) continue;
+    known.add(p.id);
+    added.push(p);
+  }
+  if (added.length === 0) return list;
+  return [...list, ...added].sort((a, b) => a.id - b.id);
+}
+
+/** A list item plus what catching it needs: species, form and shiny sprite. */
+export function toCatchTarget(d) {
+  return {
+    ...toListItem(d),
+    shinySprite: shinySpriteOf(d),
+    speciesUrl: d.species?.url,
+    form: formOf(d.name, d.species?.name),
+  };
+}
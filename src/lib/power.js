@@ -0,0 +1,100 @@
+import { clamp } from "./math";
+import { STAT_NAMES, baseStat } from "./pokemon";
+
+// Power score: a weighted average of base stats on a rough 0-100 scale.
+// Profiles weight the stats that matter for a given role.
+
+export const PROFILES = {
+  balanced: {
+    label: "power.profiles.balanced",
+    weights: {
+      hp: 0.9,
+      attack: 1.2,
+      defense: 0.9,
+      "special-attack": 1.0,
+      "special-defense": 0.9,
+      speed: 1.1,
+    },
+  },
+  physicalSweeper: {
+    label: "power.profiles.physicalSweeper",
+    weights: {
+      hp: 0.5,
+      attack: 2,
+      defense: 0.4,
+      "special-attack": 0.1,
+      "special-defense": 0.4,
+      speed: 1.8,
+    },
+  },
+  specialSweeper: {
+    label: "power.profiles.specialSweeper",
+    weights: {
+      hp: 0.5,
+      attack: 0.1,
+      defense: 0.4,
+      "special-attack": 2,
+      "special-defense": 0.4,
+      speed: 1.8,
+    },
+  },
+  physicalWall: {
+    label: "power.profiles.physicalWall",
+    weights: {
+      hp: 1.6,
+      attack: 0.3,
+      defense: 2,
+      "special-attack": 0.3,
+      "special-defense": 1,
+      speed: 0.2,
+    },
+  },
+  specialWall: {
+    label: "power.profiles.specialWall",
+    weights: {
+      hp: 1.6,
+      attack: 0.3,
+      defense: 1,
+      "special-attack": 0.3,
+      "special-defense": 2,
+      speed: 0.2,
+    },
+  },
+};
+
+export const DEFAULT_CUSTOM_WEIGHTS = PROFILES.balanced.weights;
+
+/** Weights for a profile key, or `customWeights` for "custom". */
+export function profileWeights(
+  profile,
+  customWeights = DEFAULT_CUSTOM_WEIGHTS
+) {
+  return profile === "custom"
+    ? customWeights
+    : (PROFILES[profile] ?? PROFILES.balanced).weights;
+}
+
+/**
+ * Score plus how much each stat contributed to it. Contributions are in
+ * score points, so they add up to the (unrounded) score.
+ */
+export function powerBreakdown(
+  stats = [],
+  weights = PROFILES.balanced.weights
+) {
+  const totalWeight = STAT_NAMES.reduce((sum, s) => sum + (weights[s] ?? 0), 0);
+  // Same scale as the original formula: with weights summing to 6, a flat
+  // 800 weighted points maps to 100.
+  const scale = totalWeight > 0 ? (6 / totalWeight) * (100 / 800) : 0;
+  const parts = STAT_NAMES.map((name) => {
+    const base = baseStat(stats, name);
+    const weight = weights[name] ?? 0;
+    return { stat: name, base, weight, contribution: base * weight * scale };
+  });
+  const raw = parts.reduce((sum, p) => sum + p.contribution, 0);
+  return { score: clamp(Math.round(raw), 1, 100), parts };
+}
+
+export function computePowerScore(stats = [], weights) {
+  return powerBreakdown(stats, weights).score;
+}
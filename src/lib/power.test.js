@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { clamp } from "./math";
+import { STAT_NAMES } from "./pokemon";
+import {
+  PROFILES,
+  computePowerScore,
+  powerBreakdown,
+  profileWeights,
+} from "./power";
+
+const stats = (values) =>
+  STAT_NAMES.map((name, i) => ({ base_stat: values[i], stat: { name } }));
+
+const SPECIES = {
+  garchomp: stats([108, 130, 95, 80, 85, 102]),
+  pikachu: stats([35, 55, 40, 50, 50, 90]),
+  blissey: stats([255, 10, 10, 75, 135, 55]),
+  shuckle: stats([20, 10, 230, 10, 230, 5]),
+  eternatus: stats([140, 85, 95, 145, 95, 130]),
+};
+
+// The score before profiles existed: balanced weights over a flat 800.
+function legacyScore(list) {
+  const w = PROFILES.balanced.weights;
+  const score = list.reduce((sum, s) => sum + s.base_stat * w[s.stat.name], 0);
+  return clamp(Math.round((score / 800) * 100), 1, 100);
+}
+
+describe("powerBreakdown", () => {
+  it("matches the old /800 scale with balanced weights", () => {
+    for (const list of Object.values(SPECIES)) {
+      expect(computePowerScore(list)).toBe(legacyScore(list));
+    }
+    expect(computePowerScore(SPECIES.garchomp)).toBe(76);
+  });
+
+  it("has contributions that add up to the score", () => {
+    for (const profile of Object.keys(PROFILES)) {
+      const { score, parts } = powerBreakdown(
+        SPECIES.garchomp,
+        profileWeights(profile)
+      );
+      const sum = parts.reduce((s, p) => s + p.contribution, 0);
+      expect(Math.round(sum)).toBe(score);
+      expect(parts.map((p) => p.stat)).toEqual(STAT_NAMES);
+    }
+  });
+
+  it("keeps the same scale whatever the weights add up to", () => {
+    const doubled = Object.fromEntries(
+      STAT_NAMES.map((s) => [s, PROFILES.balanced.weights[s] * 2])
+    );
+    expect(computePowerScore(SPECIES.pikachu, doubled)).toBe(
+      computePowerScore(SPECIES.pikachu)
+    );
+  });
+
+  it("favours the stats a profile weights", () => {
+    const wall = profileWeights("physicalWall");
+    const sweeper = profileWeights("physicalSweeper");
+    expect(computePowerScore(SPECIES.shuckle, wall)).toBeGreaterThan(
+      computePowerScore(SPECIES.shuckle, sweeper)
+    );
+  });
+
+  it("stays within 1-100", () => {
+    expect(computePowerScore([])).toBe(1);
+    const zero = Object.fromEntries(STAT_NAMES.map((s) => [s, 0]));
+    expect(computePowerScore(SPECIES.garchomp, zero)).toBe(1);
+    expect(computePowerScore(stats([255, 255, 255, 255, 255, 255]))).toBe(100);
+  });
+});
+
+describe("profileWeights", () => {
+  it("uses custom weights only for the custom profile", () => {
+    const custom = { hp: 1 };
+    expect(profileWeights("custom", custom)).toBe(custom);
+    expect(profileWeights("specialWall", custom)).toBe(
+      PROFILES.specialWall.weights
+    );
+    expect(profileWeights("unknown")).toBe(PROFILES.balanced.weights);
+  });
+});
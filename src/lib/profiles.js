@@ -0,0 +1,118 @@
+import { newUid } from "./collection";
+
+// Trainer profiles. Each profile keeps its own collection, game stats and
+// settings (see `profileStores`); this module only manages the list of
+// profiles: `{ active: <id>, list: [{ id, name, avatar }] }`.
+
+export const AVATARS = ["⚡", "🔥", "💧", "🍃", "🌙", "⭐", "❄️", "👻"];
+
+export const MAX_NAME_LENGTH = 24;
+
+// Data saved before profiles existed is moved into this one.
+export const DEFAULT_PROFILE_ID = "default";
+
+export const DEFAULT_PROFILES = {
+  active: DEFAULT_PROFILE_ID,
+  list: [{ id: DEFAULT_PROFILE_ID, name: "Trainer", avatar: AVATARS[0] }],
+};
+
+/** Trimmed, length-limited profile name, or `null` if it is blank. */
+export function cleanName(name) {
+  const trimmed = String(name ?? "").trim();
+  return trimmed ? trimmed.slice(0, MAX_NAME_LENGTH) : null;
+}
+
+export function isValidProfile(p) {
+  return (
+    p !== null &&
+    typeof p === "object" &&
+    typeof p.id === "string" &&
+    p.id !== "" &&
+    cleanName(p.name) === p.name &&
+    typeof p.avatar === "string"
+  );
+}
+
+export function isValidProfiles(state) {
+  return (
+    state !== null &&
+    typeof state === "object" &&
+    Array.isArray(state.list) &&
+    state.list.length > 0 &&
+    state.list.every(isValidProfile) &&
+    new Set(state.list.map((p) => p.id)).size === state.list.length &&
+    state.list.some((p) => p.id === state.active)
+  );
+}
+
+export function activeProfile(state) {
+  return state.list.find((p) => p.id === state.active) ?? state.list[0];
+}
+
+/**
+ * New profile (not yet added); the name falls back to "Trainer N" in the
+ * language of `t` (the i18n `t` function).
+ */
+export function createProfile(state, { name, avatar } = {}, t) {
+  return {
+    id: newUid(),
+    name:
+      cleanName(name) ??
+      t("profiles.defaultName", { number: state.list.length + 1 }),
+    avatar: AVATARS.includes(avatar)
+      ? avatar
+      : AVATARS[state.list.length % AVATARS.length],
+  };
+}
+
+export function addProfile(state, profile) {
+  return { ...state, list: [...state.list, profile] };
+}
+
+/** A name for a copy of `profile` that isn't taken yet, translated by `t`. */
+export function copyName(state, profile, t) {
+  const taken = new Set(state.list.map((p) => p.name));
+  for (let n = 1; ; n++) {
+    const format = (name) =>
+      n === 1
+        ? t("profiles.copyName", { name })
+        : t("profiles.copyNameN", { name, n });
+    // shorten the original so the whole name fits
+    const extra = format("").length;
+    const name = format(profile.name.slice(0, MAX_NAME_LENGTH - extra));
+    if (!taken.has(name)) return name;
+  }
+}
+
+/** Applies `patch` (`name` and/or `avatar`); blank names are ignored. */
+export function updateProfile(state, id, patch) {
+  return {
+    ...state,
+    list: state.list.map((p) => {
+      if (p.id !== id) return p;
+      const name = patch.name === undefined ? p.name : cleanName(patch.name);
+      return {
+        ...p,
+        name: name ?? p.name,
+        avatar: AVATARS.includes(patch.avatar) ? patch.avatar : p.avatar,
+      };
+    }),
+  };
+}
+
+/**
+ * Drops profile `id`. The last profile can't be removed; removing the active
+ * one switches to the first that's left.
+ */
+export function removeProfile(state, id) {
+  const list = state.list.filter((p) => p.id !== id);
+  if (list.length === 0 || list.length === state.list.length) return state;
+  return {
+    list,
+    active: state.active === id ? list[0].id : state.active,
+  };
+}
+
+export function switchProfile(state, id) {
+  return state.list.some((p) => p.id === id) ? { ...state, active: id } : state;
+}
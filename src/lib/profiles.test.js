@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { translate } from "../i18n";
+import {
+  DEFAULT_PROFILES,
+  MAX_NAME_LENGTH,
+  addProfile,
+  copyName,
+  createProfile,
+} from "./profiles";
+
+const en = (key, params) => translate("en", key, params);
+const id = (key, params) => translate("id", key, params);
+
+describe("createProfile", () => {
+  it("numbers unnamed profiles in the given language", () => {
+    expect(createProfile(DEFAULT_PROFILES, {}, en).name).toBe("Trainer 2");
+    expect(createProfile(DEFAULT_PROFILES, {}, id).name).toBe("Pelatih 2");
+  });
+
+  it("keeps a given name", () => {
+    const p = createProfile(DEFAULT_PROFILES, { name: "  Ash " }, en);
+    expect(p.name).toBe("Ash");
+  });
+});
+
+describe("copyName", () => {
+  it("picks the first free copy name", () => {
+    const [source] = DEFAULT_PROFILES.list;
+    expect(copyName(DEFAULT_PROFILES, source, en)).toBe("Trainer (copy)");
+    const state = addProfile(DEFAULT_PROFILES, {
+      ...source,
+      id: "x",
+      name: "Trainer (copy)",
+    });
+    expect(copyName(state, source, en)).toBe("Trainer (copy 2)");
+  });
+
+  it("shortens long names to fit", () => {
+    const source = { name: "x".repeat(MAX_NAME_LENGTH) };
+    const name = copyName(DEFAULT_PROFILES, source, id);
+    expect(name).toHaveLength(MAX_NAME_LENGTH);
+    expect(name.endsWith(" (salinan)")).toBe(true);
+  });
+});
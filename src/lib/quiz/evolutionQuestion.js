@@ -0,0 +1,53 @@
+import { parseChain } from "../evolution";
+import { artworkUrl } from "../pokemon";
+
+/** "Who evolves into X?" using the subject's evolution chain. */
+
+// Every (parent, child) pair in a parsed chain.
+function evolutionPairs(node, out = []) {
+  for (const child of node.evolvesTo) {
+    out.push({ from: node, to: child });
+    evolutionPairs(child, out);
+  }
+  return out;
+}
+
+function stages(node, out = []) {
+  out.push(node);
+  node.evolvesTo.forEach((c) => stages(c, out));
+  return out;
+}
+
+export default {
+  id: "evolution",
+  label: "game.quiz.evolution.label",
+  pick: (rng, pool) => rng.pick(pool),
+  async load(p, fetchers) {
+    const species = await fetchers.getSpecies(p.id);
+    const chain = await fetchers.get(species.evolution_chain.url);
+    return parseChain(chain.chain);
+  },
+  create(rng, pool, p, chain) {
+    const pairs = chain ? evolutionPairs(chain) : [];
+    if (pairs.length === 0) return null;
+    const { from, to } = rng.pick(pairs);
+    const inChain = new Set(stages(chain).map((s) => s.id));
+    const others = rng
+      .shuffle(pool.filter((x) => !inChain.has(x.id)))
+      .slice(0, 3)
+      .map((x) => ({ id: x.id, name: x.name }));
+    const choices = rng.shuffle([{ id: from.id, name: from.name }, ...others]);
+    return {
+      prompt: { key: "game.quiz.evolution.prompt", params: { name: to.name } },
+      image: artworkUrl(to.id),
+      choices: choices.map((c) => ({ ...c, sprite: artworkUrl(c.id) })),
+      answer: { id: from.id, name: from.name },
+      // only catchable when the answer is one of the loaded Pokémon
+      pokemon: pool.find((x) => x.id === from.id) ?? null,
+      reveal: {
+        key: "game.quiz.evolution.reveal",
+        params: { from: from.name, to: to.name },
+      },
+    };
+  },
+};
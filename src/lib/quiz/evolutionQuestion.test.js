@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { createRng } from "../rng";
+import evolutionQuestion from "./evolutionQuestion";
+import { POOL } from "./testPool";
+
+const node = (id, name, evolvesTo = []) => ({
+  id,
+  name,
+  triggers: [],
+  evolvesTo,
+});
+
+const bulbasaurLine = node(1, "bulbasaur", [
+  node(2, "ivysaur", [node(3, "venusaur")]),
+]);
+
+describe("evolutionQuestion", () => {
+  it("asks for the pre-evolution of a stage in the chain", () => {
+    const rng = createRng(4);
+    const q = evolutionQuestion.create(rng, POOL, POOL[0], bulbasaurLine);
+    expect(["bulbasaur", "ivysaur"]).toContain(q.answer.name);
+    expect(q.choices).toHaveLength(4);
+    // wrong choices come from outside the chain
+    const others = q.choices.filter((c) => c.id !== q.answer.id);
+    expect(others.every((c) => ![1, 2, 3].includes(c.id))).toBe(true);
+  });
+
+  it("is about the answer when it is in the pool, and nothing otherwise", () => {
+    const onlyFirst = node(1, "bulbasaur", [node(2, "ivysaur")]);
+    const q = evolutionQuestion.create(createRng(1), POOL, POOL[0], onlyFirst);
+    expect(q.pokemon).toBe(POOL[0]);
+
+    const lastStage = node(2, "ivysaur", [node(3, "venusaur")]);
+    const pool = POOL.filter((p) => p.id !== 2);
+    const r = evolutionQuestion.create(createRng(1), pool, POOL[0], lastStage);
+    expect(r.answer).toEqual({ id: 2, name: "ivysaur" });
+    expect(r.pokemon).toBeNull();
+  });
+
+  it("skips Pokémon that don't evolve", () => {
+    const q = evolutionQuestion.create(
+      createRng(1),
+      POOL,
+      POOL[4],
+      node(25, "pikachu")
+    );
+    expect(q).toBeNull();
+    expect(
+      evolutionQuestion.create(createRng(1), POOL, POOL[4], null)
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+/** "Guess the Pokémon from its Pokédex entry." */
+
+export function englishFlavorText(species) {
+  const entries = (species.flavor_text_entries ?? []).filter(
+    (e) => e.language.name === "en"
+  );
+  const text = entries[entries.length - 1]?.flavor_text ?? "";
+  return text
+    .replace(/[\f\n\r\u00ad]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Hides the species name so the entry doesn't give the answer away.
+export function redact(text, name) {
+  const base = name.split("-")[0];
+  return text.replace(new RegExp(base, "gi"), "???");
+}
+
+export default {
+  id: "flavor",
+  label: "game.quiz.flavor.label",
+  pick: (rng, pool) => rng.pick(pool),
+  load: (p, fetchers) => fetchers.getSpecies(p.id),
+  create(rng, pool, p, species) {
+    const text = species && englishFlavorText(species);
+    if (!text) return null;
+    const others = rng.shuffle(pool.filter((x) => x.id !== p.id)).slice(0, 3);
+    return {
+      prompt: {
+        key: "game.quiz.flavor.prompt",
+        params: { text: redact(text, p.name) },
+      },
+      choices: rng
+        .shuffle([p, ...others])
+        .map((x) => ({ id: x.id, name: x.name, sprite: x.sprite })),
+      answer: { id: p.id, name: p.name },
+      pokemon: p,
+      reveal: { key: "game.quiz.flavor.reveal", params: { name: p.name } },
+    };
+  },
+};
@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { createRng } from "../rng";
+import flavorQuestion, { englishFlavorText, redact } from "./flavorQuestion";
+import { POOL } from "./testPool";
+
+const entry = (flavor_text, language) => ({
+  flavor_text,
+  language: { name: language },
+});
+
+const species = {
+  flavor_text_entries: [
+    entry("Old text.", "en"),
+    entry("Quand plusieurs PIKACHU se réunissent…", "fr"),
+    entry(
+      "When several of\nthese POKéMON gather,\fPIKACHU's electricity",
+      "en"
+    ),
+  ],
+};
+
+describe("flavorQuestion", () => {
+  it("uses the latest English entry, cleaned up", () => {
+    expect(englishFlavorText(species)).toBe(
+      "When several of these POKéMON gather, PIKACHU's electricity"
+    );
+  });
+
+  it("redacts the species name", () => {
+    expect(redact("PIKACHU and pikachu", "pikachu-gmax")).toBe("??? and ???");
+  });
+
+  it("asks which Pokémon the entry belongs to", () => {
+    const pikachu = POOL[4];
+    const q = flavorQuestion.create(createRng(2), POOL, pikachu, species);
+    expect(q.prompt.params.text).toContain("???'s electricity");
+    expect(q.prompt.params.text).not.toMatch(/pikachu/i);
+    expect(q.answer).toEqual({ id: 25, name: "pikachu" });
+    expect(q.pokemon).toBe(pikachu);
+    expect(q.choices).toHaveLength(4);
+    expect(q.choices.map((c) => c.id)).toContain(25);
+  });
+
+  it("skips species without English flavor text", () => {
+    const french = { flavor_text_entries: [species.flavor_text_entries[1]] };
+    const pikachu = POOL[4];
+    expect(
+      flavorQuestion.create(createRng(1), POOL, pikachu, french)
+    ).toBeNull();
+    expect(flavorQuestion.create(createRng(1), POOL, pikachu, {})).toBeNull();
+    expect(flavorQuestion.create(createRng(1), POOL, pikachu, null)).toBeNull();
+  });
+});
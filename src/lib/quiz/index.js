@@ -0,0 +1,77 @@
+import { createRng } from "../rng";
+import evolutionQuestion from "./evolutionQuestion";
+import flavorQuestion from "./flavorQuestion";
+import statQuestion from "./statQuestion";
+import typeQuestion from "./typeQuestion";
+
+// Quiz question generators. Each one is an object with:
+//
+//   id, label (message key)
+//   pick(rng, pool)                       -> subject, or null
+//   load(subject, fetchers)   (optional)  -> extra data, e.g. species
+//   create(rng, pool, subject, data)      -> question, or null to skip
+//
+// and a question is `{ prompt, image?, choices: [{ id, name, sprite? }],
+// answer: { id, name }, pokemon, reveal }`, where `prompt` and `reveal` are
+// messages (`{ key, params }`). The answer may be a type or some
+// other non-Pokémon value; `pokemon` is the list item from `pool` the
+// question is about (or null), and is what counts as seen and gets caught.
+// `pick` and `create` must be pure so a seed replays the same quiz; all
+// fetching goes through `load`.
+export const GENERATORS = [
+  typeQuestion,
+  statQuestion,
+  flavorQuestion,
+  evolutionQuestion,
+];
+
+const MAX_ATTEMPTS = 8;
+
+/** Turns a question into a game round (see `lib/game`). */
+export function toRound(kind, question) {
+  return {
+    clue: "question",
+    kind,
+    question,
+    answer: question.answer,
+    choices: question.choices,
+    pokemon: question.pokemon ?? null,
+  };
+}
+
+/**
+ * Builds `count` quiz rounds, cycling through `kinds` in a seeded order.
+ * `fetchers` supplies `get(url)` and `getSpecies(id)` for generators that
+ * need more than the list items in `pool`.
+ */
+export async function generateQuizRounds({
+  pool,
+  count,
+  seed,
+  fetchers,
+  kinds = GENERATORS.map((g) => g.id),
+}) {
+  const rng = createRng(seed);
+  const generators = GENERATORS.filter((g) => kinds.includes(g.id));
+  const rounds = [];
+
+  for (let i = 0; i < count; i++) {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const gen = rng.pick(generators);
+      const subject = gen.pick(rng, pool);
+      if (!subject) continue;
+      let data;
+      try {
+        data = gen.load ? await gen.load(subject, fetchers) : undefined;
+      } catch {
+        continue;
+      }
+      const question = gen.create(rng, pool, subject, data);
+      if (question) {
+        rounds.push(toRound(gen.id, question));
+        break;
+      }
+    }
+  }
+  return rounds;
+}
@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { generateQuizRounds } from "./index";
+import { POOL } from "./testPool";
+
+const fetchers = {
+  getSpecies: async (id) => ({
+    flavor_text_entries: [
+      { flavor_text: `Entry for number ${id}.`, language: { name: "en" } },
+    ],
+    evolution_chain: { url: `/evolution-chain/${id}` },
+  }),
+  // no Pokémon in these chains evolves
+  get: async (url) => ({
+    chain: {
+      species: { name: "x", url: `/pokemon-species/${url.split("/").pop()}/` },
+      evolution_details: [],
+      evolves_to: [],
+    },
+  }),
+};
+
+describe("generateQuizRounds", () => {
+  it("replays the same rounds from the same seed", async () => {
+    const make = () =>
+      generateQuizRounds({ pool: POOL, count: 6, seed: 77, fetchers });
+    expect(await make()).toEqual(await make());
+  });
+
+  it("only uses the requested kinds and skips questions it can't ask", async () => {
+    const rounds = await generateQuizRounds({
+      pool: POOL,
+      count: 4,
+      seed: 1,
+      fetchers,
+      kinds: ["flavor", "evolution"],
+    });
+    expect(rounds).toHaveLength(4);
+    expect(rounds.every((r) => r.kind === "flavor")).toBe(true);
+    expect(rounds.every((r) => r.clue === "question" && r.pokemon)).toBe(true);
+  });
+
+  it("skips subjects whose data fails to load", async () => {
+    const failing = {
+      ...fetchers,
+      getSpecies: () => Promise.reject(new Error()),
+    };
+    const rounds = await generateQuizRounds({
+      pool: POOL,
+      count: 3,
+      seed: 2,
+      fetchers: failing,
+      kinds: ["flavor"],
+    });
+    expect(rounds).toEqual([]);
+  });
+});
@@ -0,0 +1,32 @@
+import { STAT_NAMES, baseStat } from "../pokemon";
+
+/** "Which has the higher base <stat>?" between two Pokémon. */
+export default {
+  id: "stat",
+  label: "game.quiz.stat.label",
+  pick(rng, pool) {
+    const a = rng.pick(pool);
+    const b = rng.pick(pool.filter((p) => p.id !== a.id));
+    return b ? { a, b, stat: rng.pick(STAT_NAMES) } : null;
+  },
+  create(rng, pool, { a, b, stat }) {
+    const va = baseStat(a.stats, stat);
+    const vb = baseStat(b.stats, stat);
+    if (va === vb) return null;
+    const winner = va > vb ? a : b;
+    return {
+      prompt: { key: "game.quiz.stat.prompt", params: { stat } },
+      choices: [a, b].map((p) => ({
+        id: p.id,
+        name: p.name,
+        sprite: p.sprite,
+      })),
+      answer: { id: winner.id, name: winner.name },
+      pokemon: winner,
+      reveal: {
+        key: "game.quiz.stat.reveal",
+        params: { a: a.name, aValue: va, b: b.name, bValue: vb },
+      },
+    };
+  },
+};
@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { createRng } from "../rng";
+import statQuestion from "./statQuestion";
+import { POOL } from "./testPool";
+
+describe("statQuestion", () => {
+  it("picks two different Pokémon and a stat", () => {
+    const rng = createRng(3);
+    for (let i = 0; i < 20; i++) {
+      const { a, b, stat } = statQuestion.pick(rng, POOL);
+      expect(a.id).not.toBe(b.id);
+      expect(stat).toBeTypeOf("string");
+    }
+  });
+
+  it("can't pick a pair from a single Pokémon", () => {
+    expect(statQuestion.pick(createRng(1), POOL.slice(0, 1))).toBeNull();
+  });
+
+  it("answers with the higher stat", () => {
+    const [charmander, pikachu] = [POOL[2], POOL[4]];
+    const q = statQuestion.create(createRng(1), POOL, {
+      a: charmander,
+      b: pikachu,
+      stat: "speed",
+    });
+    expect(q.answer).toEqual({ id: 25, name: "pikachu" });
+    expect(q.pokemon).toBe(pikachu);
+    expect(q.choices.map((c) => c.id)).toEqual([4, 25]);
+    expect(q.reveal).toEqual({
+      key: "game.quiz.stat.reveal",
+      params: { a: "charmander", aValue: 65, b: "pikachu", bValue: 90 },
+    });
+  });
+
+  it("skips equal stats", () => {
+    const q = statQuestion.create(createRng(1), POOL, {
+      a: POOL[0],
+      b: POOL[2],
+      stat: "defense",
+    });
+    expect(q).toBeNull();
+  });
+});
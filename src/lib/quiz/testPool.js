@@ -0,0 +1,31 @@
+// List items shared by the quiz generator tests.
+
+function stats(hp, attack, speed) {
+  return [
+    ["hp", hp],
+    ["attack", attack],
+    ["defense", 50],
+    ["special-attack", 50],
+    ["special-defense", 50],
+    ["speed", speed],
+  ].map(([name, base_stat]) => ({ base_stat, stat: { name } }));
+}
+
+export const POOL = [
+  {
+    id: 1,
+    name: "bulbasaur",
+    types: ["grass", "poison"],
+    stats: stats(45, 49, 45),
+  },
+  {
+    id: 2,
+    name: "ivysaur",
+    types: ["grass", "poison"],
+    stats: stats(60, 62, 60),
+  },
+  { id: 4, name: "charmander", types: ["fire"], stats: stats(39, 52, 65) },
+  { id: 7, name: "squirtle", types: ["water"], stats: stats(44, 48, 43) },
+  { id: 25, name: "pikachu", types: ["electric"], stats: stats(35, 55, 90) },
+  { id: 133, name: "eevee", types: ["normal"], stats: stats(55, 55, 55) },
+].map((p) => ({ ...p, sprite: `${p.name}.png` }));
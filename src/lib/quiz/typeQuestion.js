@@ -0,0 +1,24 @@
+import { TYPES } from "../pokemon";
+
+/** "Which type is this Pokémon?" */
+export default {
+  id: "type",
+  label: "game.quiz.type.label",
+  pick: (rng, pool) => rng.pick(pool),
+  create(rng, pool, p) {
+    const correct = rng.pick(p.types);
+    const others = rng.shuffle(TYPES.filter((t) => !p.types.includes(t)));
+    const choices = rng.shuffle([correct, ...others.slice(0, 3)]);
+    return {
+      prompt: { key: "game.quiz.type.prompt", params: { name: p.name } },
+      image: p.sprite,
+      choices: choices.map((t) => ({ id: t, name: t })),
+      answer: { id: correct, name: correct },
+      pokemon: p,
+      reveal: {
+        key: "game.quiz.type.reveal",
+        params: { name: p.name, types: p.types.join(" / ") },
+      },
+    };
+  },
+};
@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { createRng } from "../rng";
+import typeQuestion from "./typeQuestion";
+import { POOL } from "./testPool";
+
+describe("typeQuestion", () => {
+  it("asks for one of the subject's types among three wrong ones", () => {
+    const rng = createRng(1);
+    const p = typeQuestion.pick(rng, POOL);
+    const q = typeQuestion.create(rng, POOL, p);
+    expect(POOL).toContain(p);
+    expect(p.types).toContain(q.answer.id);
+    expect(q.choices).toHaveLength(4);
+    expect(q.choices.filter((c) => p.types.includes(c.id))).toEqual([q.answer]);
+  });
+
+  it("answers with a type but is about the subject Pokémon", () => {
+    const p = POOL[2];
+    const q = typeQuestion.create(createRng(5), POOL, p);
+    expect(q.answer).toEqual({ id: "fire", name: "fire" });
+    expect(q.pokemon).toBe(p);
+  });
+
+  it("replays the same question from the same seed", () => {
+    const make = () => {
+      const rng = createRng(9);
+      return typeQuestion.create(rng, POOL, typeQuestion.pick(rng, POOL));
+    };
+    expect(make()).toEqual(make());
+  });
+});
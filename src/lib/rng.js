@@ -0,0 +1,53 @@
+// Small seedable PRNG (mulberry32) so game logic can be replayed exactly.
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 32);
+}
+
+/** Turns any string (e.g. a date for daily puzzles) into a 32-bit seed. */
+export function hashSeed(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Returns a generator whose whole state is the 32-bit number in `rng.state`,
+ * so it can be stored and resumed with `createRng(rng.state)`.
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+    next,
+    /** Integer in [0, n). */
+    int(n) {
+      return Math.floor(next() * n);
+    },
+    pick(arr) {
+      return arr[Math.floor(next() * arr.length)];
+    },
+    shuffle(arr) {
+      const out = arr.slice();
+      for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+      }
+      return out;
+    },
+  };
+}
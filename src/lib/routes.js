@@ -0,0 +1,49 @@
+// Path <-> route mapping for the client-side router. Paths are relative to
+// the app's base URL; `toHref` adds it back for links.
+
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, "");
+
+const PAGES = {
+  "/": "dex",
+  "/collection": "collection",
+  "/teams": "teams",
+  "/compare": "compare",
+  "/explore": "explore",
+  "/pokedex": "pokedex",
+  "/game": "game",
+};
+
+// Routes drawn as a modal on top of the page they were opened from.
+const MODALS = new Set(["pokemon", "game"]);
+
+export function stripBase(pathname) {
+  return BASE && pathname.startsWith(BASE)
+    ? pathname.slice(BASE.length) || "/"
+    : pathname;
+}
+
+export function toHref(path) {
+  return `${BASE}${path}`;
+}
+
+/** `{ name, param }` for an app-relative pathname; unknown paths are "dex". */
+export function matchRoute(pathname) {
+  const path = pathname.replace(/\/+$/, "") || "/";
+  const detail = path.match(/^\/pokemon\/([^/]+)$/);
+  if (detail) {
+    return { name: "pokemon", param: decodeURIComponent(detail[1]) };
+  }
+  return { name: PAGES[path] ?? "dex", param: null };
+}
+
+export function isModalRoute(route) {
+  return MODALS.has(route.name);
+}
+
+export function pokemonPath(nameOrId) {
+  return `/pokemon/${encodeURIComponent(String(nameOrId).toLowerCase())}`;
+}
+
+export function comparePath(names = []) {
+  return names.length ? `/compare?pokemon=${names.join(",")}` : "/compare";
+}
@@ -0,0 +1,111 @@
+// Sprite variants, alternate forms and shiny odds.
+
+// Full-odds shiny rate since Gen VI.
+export const SHINY_CHANCE = 1 / 4096;
+
+const POSES = [
+  ["front_default", { view: "front" }],
+  ["back_default", { view: "back" }],
+  ["front_shiny", { view: "front", shiny: true }],
+  ["back_shiny", { view: "back", shiny: true }],
+  ["front_female", { view: "front", female: true }],
+  ["back_female", { view: "back", female: true }],
+  ["front_shiny_female", { view: "front", shiny: true, female: true }],
+  ["back_shiny_female", { view: "back", shiny: true, female: true }],
+];
+
+// `label` is a message key.
+const SETS = [
+  { id: "game", label: "sprites.sets.game", pick: (s) => s },
+  {
+    id: "official-artwork",
+    label: "sprites.sets.officialArtwork",
+    pick: (s) => s.other?.["official-artwork"],
+  },
+  { id: "home", label: "sprites.sets.home", pick: (s) => s.other?.home },
+  {
+    id: "showdown",
+    label: "sprites.sets.showdown",
+    pick: (s) => s.other?.showdown,
+  },
+];
+
+/** Message keys describing a sprite, e.g. "front shiny ♀". */
+export function variantLabel({ view, shiny, female }) {
+  return [
+    `sprites.views.${view}`,
+    shiny && "sprites.shiny",
+    female && "sprites.female",
+  ].filter(Boolean);
+}
+
+/**
+ * Every sprite in a /pokemon `sprites` object, grouped by set:
+ * `[{ id, label, sprites: [{ url, view, shiny, female }] }]`. Empty sets are
+ * left out.
+ */
+export function spriteGallery(sprites = {}) {
+  return SETS.map((set) => {
+    const source = set.pick(sprites) ?? {};
+    const list = POSES.filter(([key]) => source[key]).map(([key, pose]) => ({
+      url: source[key],
+      view: pose.view,
+      shiny: Boolean(pose.shiny),
+      female: Boolean(pose.female),
+    }));
+    return { id: set.id, label: set.label, sprites: list };
+  }).filter((set) => set.sprites.length > 0);
+}
+
+/** Shiny counterpart of `spriteOf`, or "" if there is none. */
+export function shinySpriteOf(d) {
+  return (
+    d.sprites?.other?.["official-artwork"]?.front_shiny ||
+    d.sprites?.front_shiny ||
+    ""
+  );
+}
+
+export function rollShiny(rng) {
+  return rng.next() < SHINY_CHANCE;
+}
+
+/**
+ * The form part of a Pokémon's name relative to its species ("alola" for
+ * "vulpix-alola"), or "" for the default form.
+ */
+export function formOf(name, speciesName) {
+  return speciesName && name.startsWith(`${speciesName}-`)
+    ? name.slice(speciesName.length + 1)
+    : "";
+}
+
+const REGIONS = ["alola", "galar", "hisui", "paldea"];
+
+/** "regional" for Alolan/Galarian/... forms, "mega", "gmax" or "other". */
+export function formKind(form) {
+  if (REGIONS.some((r) => form === r || form.startsWith(`${r}-`))) {
+    return "regional";
+  }
+  if (form.startsWith("mega")) return "mega";
+  if (form === "gmax") return "gmax";
+  return "other";
+}
+
+/**
+ * Alternate forms from a /pokemon-species response (`varieties`), default
+ * first: `[{ name, form, kind, isDefault }]`.
+ */
+export function varietiesOf(species) {
+  return (species?.varieties ?? [])
+    .map((v) => {
+      const form = formOf(v.pokemon.name, species.name);
+      return {
+        name: v.pokemon.name,
+        form,
+        kind: v.is_default ? "default" : formKind(form),
+        isDefault: v.is_default,
+      };
+    })
+    .sort((a, b) => b.isDefault - a.isDefault);
+}
@@ -0,0 +1,109 @@
+import { STAT_NAMES, baseStat } from "./pokemon";
+
+// Main-series (Gen III+) stat formulas.
+
+export const MAX_IV = 31;
+export const MAX_EV = 252;
+export const MAX_TOTAL_EVS = 510;
+
+const NATURE_TABLE = [
+  ["hardy", null, null],
+  ["lonely", "attack", "defense"],
+  ["brave", "attack", "speed"],
+  ["adamant", "attack", "special-attack"],
+  ["naughty", "attack", "special-defense"],
+  ["bold", "defense", "attack"],
+  ["docile", null, null],
+  ["relaxed", "defense", "speed"],
+  ["impish", "defense", "special-attack"],
+  ["lax", "defense", "special-defense"],
+  ["timid", "speed", "attack"],
+  ["hasty", "speed", "defense"],
+  ["serious", null, null],
+  ["jolly", "speed", "special-attack"],
+  ["naive", "speed", "special-defense"],
+  ["modest", "special-attack", "attack"],
+  ["mild", "special-attack", "defense"],
+  ["quiet", "special-attack", "speed"],
+  ["bashful", null, null],
+  ["rash", "special-attack", "special-defense"],
+  ["calm", "special-defense", "attack"],
+  ["gentle", "special-defense", "defense"],
+  ["sassy", "special-defense", "speed"],
+  ["careful", "special-defense", "special-attack"],
+  ["quirky", null, null],
+];
+
+/** `{ adamant: { up: "attack", down: "special-attack" }, ... }` */
+export const NATURES = Object.fromEntries(
+  NATURE_TABLE.map(([name, up, down]) => [name, { up, down }])
+);
+
+export function natureMultiplier(nature, stat) {
+  const n = NATURES[nature];
+  if (!n || stat === "hp") return 1;
+  if (n.up === stat) return 1.1;
+  if (n.down === stat) return 0.9;
+  return 1;
+}
+
+/** One stat at `level` from its base value, IV (0-31) and EV (0-252). */
+export function calcStat(
+  stat,
+  base,
+  { level = 50, iv = MAX_IV, ev = 0, nature }
+) {
+  const core = Math.floor(((2 * base + iv + Math.floor(ev / 4)) * level) / 100);
+  if (stat === "hp") return base === 1 ? 1 : core + level + 10; // Shedinja
+  return Math.floor((core + 5) * natureMultiplier(nature, stat));
+}
+
+/**
+ * All six stats for a PokeAPI `stats` array. `ivs`/`evs` are keyed by stat
+ * name; missing entries default to 31 IVs and 0 EVs.
+ */
+export function calcStats(
+  stats,
+  { level = 50, ivs = {}, evs = {}, nature } = {}
+) {
+  return Object.fromEntries(
+    STAT_NAMES.map((name) => {
+      const base = baseStat(stats, name);
+      return [
+        name,
+        calcStat(name, base, {
+          level,
+          nature,
+          iv: ivs[name] ?? MAX_IV,
+          ev: evs[name] ?? 0,
+        }),
+      ];
+    })
+  );
+}
+
+/**
+ * Problems with an EV spread, as `{ key, params }` messages (empty when
+ * valid).
+ */
+export function validateEvs(evs) {
+  const problems = [];
+  let total = 0;
+  for (const name of STAT_NAMES) {
+    const ev = evs[name] ?? 0;
+    total += ev;
+    if (ev < 0 || ev > MAX_EV) {
+      problems.push({
+        key: "statCalc.evRange",
+        params: { stat: name, max: MAX_EV },
+      });
+    }
+  }
+  if (total > MAX_TOTAL_EVS) {
+    problems.push({
+      key: "statCalc.evTotalTooHigh",
+      params: { total, max: MAX_TOTAL_EVS },
+    });
+  }
+  return problems;
+}
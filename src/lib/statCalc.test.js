@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import { STAT_NAMES } from "./pokemon";
+import { calcStat, calcStats, natureMultiplier, validateEvs } from "./statCalc";
+
+const stats = (values) =>
+  STAT_NAMES.map((name, i) => ({ base_stat: values[i], stat: { name } }));
+
+const garchomp = stats([108, 130, 95, 80, 85, 102]);
+const sweeperEvs = { hp: 4, attack: 252, speed: 252 };
+
+describe("calcStats", () => {
+  it("matches known values for Adamant Garchomp at level 50", () => {
+    expect(
+      calcStats(garchomp, { level: 50, nature: "adamant", evs: sweeperEvs })
+    ).toEqual({
+      hp: 184,
+      attack: 200,
+      defense: 115,
+      "special-attack": 90,
+      "special-defense": 105,
+      speed: 154,
+    });
+  });
+
+  it("matches known values for Jolly Garchomp at level 100", () => {
+    expect(
+      calcStats(garchomp, { level: 100, nature: "jolly", evs: sweeperEvs })
+    ).toMatchObject({
+      hp: 358,
+      attack: 359,
+      "special-attack": 176,
+      speed: 333,
+    });
+  });
+
+  it("uses the given IVs", () => {
+    const trickRoom = calcStats(garchomp, { ivs: { speed: 0 } });
+    expect(trickRoom.speed).toBe(107);
+    expect(trickRoom.attack).toBe(150);
+  });
+});
+
+describe("calcStat", () => {
+  it("always gives Shedinja 1 HP", () => {
+    expect(calcStat("hp", 1, { level: 100, ev: 252 })).toBe(1);
+    expect(calcStat("hp", 1, { level: 1 })).toBe(1);
+    // other stats with a base of 1 are not special
+    expect(calcStat("speed", 1, { level: 50 })).toBe(21);
+  });
+
+  it("ignores the nature for HP", () => {
+    expect(calcStat("hp", 108, { nature: "adamant" })).toBe(
+      calcStat("hp", 108, { nature: "hardy" })
+    );
+  });
+});
+
+describe("natureMultiplier", () => {
+  it("raises one stat and lowers another, except for neutral natures", () => {
+    expect(natureMultiplier("modest", "special-attack")).toBe(1.1);
+    expect(natureMultiplier("modest", "attack")).toBe(0.9);
+    expect(natureMultiplier("modest", "speed")).toBe(1);
+    expect(natureMultiplier("serious", "attack")).toBe(1);
+    expect(natureMultiplier(undefined, "attack")).toBe(1);
+  });
+});
+
+describe("validateEvs", () => {
+  it("accepts a legal spread", () => {
+    expect(validateEvs(sweeperEvs)).toEqual([]);
+    expect(validateEvs({})).toEqual([]);
+  });
+
+  it("rejects stats outside 0-252", () => {
+    expect(validateEvs({ attack: 253 })).toEqual([
+      { key: "statCalc.evRange", params: { stat: "attack", max: 252 } },
+    ]);
+    expect(validateEvs({ speed: -4 })).toEqual([
+      { key: "statCalc.evRange", params: { stat: "speed", max: 252 } },
+    ]);
+  });
+
+  it("rejects spreads over 510 in total", () => {
+    expect(validateEvs({ hp: 252, attack: 252, speed: 8 })).toEqual([
+      { key: "statCalc.evTotalTooHigh", params: { total: 512, max: 510 } },
+    ]);
+  });
+});
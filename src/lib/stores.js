@@ -0,0 +1,188 @@
+import { LANGUAGES, detectLanguage } from "../i18n";
+import { BALLS, DEFAULT_INVENTORY } from "./capture";
+import { isValidEntry, normalizeEntry } from "./collection";
+import { DEFAULT_DEX } from "./dex";
+import { copyRecord, createStore, removeRecord } from "./persist";
+import { STAT_NAMES } from "./pokemon";
+import { DEFAULT_CUSTOM_WEIGHTS, PROFILES } from "./power";
+import {
+  DEFAULT_PROFILES,
+  DEFAULT_PROFILE_ID,
+  isValidProfiles,
+} from "./profiles";
+import { addMemberUids, isValidTeam } from "./team";
+
+// Schema history of the caught collection:
+//   v1: bare array of `{ id, name, sprite }`
+//   v2: collection entries (see `createEntry`)
+//   v3: entries remember their `form` and whether they are `shiny`
+const normalizeAll = (list) =>
+  list.map((r) => (r && typeof r === "object" ? normalizeEntry(r) : r));
+
+export const caughtStore = createStore({
+  key: "caught_pokemon_v1",
+  version: 3,
+  initial: [],
+  migrations: {
+    1: normalizeAll,
+    2: normalizeAll,
+  },
+  validate: isValidEntry,
+});
+
+export const inventoryStore = createStore({
+  key: "ball_inventory_v1",
+  version: 1,
+  initial: DEFAULT_INVENTORY,
+  validate: (inv) =>
+    inv !== null &&
+    typeof inv === "object" &&
+    Object.keys(BALLS).every(
+      (b) => inv[b] === undefined || (Number.isInteger(inv[b]) && inv[b] >= 0)
+    ),
+});
+
+export const DEFAULT_GAME_STATS = {
+  played: 0,
+  correct: 0,
+  sessions: 0,
+  bestStreak: 0,
+  bestScore: {},
+  daily: null,
+};
+
+// v1: `{ played, correct }`; v2 adds sessions, streaks and personal bests.
+export const gameStatsStore = createStore({
+  key: "game_stats_v1",
+  version: 2,
+  initial: DEFAULT_GAME_STATS,
+  migrations: {
+    1: (s) => ({ ...DEFAULT_GAME_STATS, ...s }),
+  },
+  validate: (s) =>
+    s !== null &&
+    typeof s === "object" &&
+    Number.isInteger(s.played) &&
+    Number.isInteger(s.correct) &&
+    Number.isInteger(s.sessions) &&
+    Number.isInteger(s.bestStreak) &&
+    s.bestScore !== null &&
+    typeof s.bestScore === "object",
+});
+
+// v1: members without uids; v2 gives each member a `uid`.
+export const teamsStore = createStore({
+  key: "teams_v1",
+  version: 2,
+  initial: [],
+  migrations: {
+    1: (teams) => teams.map(addMemberUids),
+  },
+  validate: isValidTeam,
+});
+
+export const DEFAULT_POWER_SETTINGS = {
+  profile: "balanced",
+  custom: DEFAULT_CUSTOM_WEIGHTS,
+};
+
+export const powerSettingsStore = createStore({
+  key: "power_profile_v1",
+  version: 1,
+  initial: DEFAULT_POWER_SETTINGS,
+  validate: (s) =>
+    s !== null &&
+    typeof s === "object" &&
+    (s.profile === "custom" || s.profile in PROFILES) &&
+    STAT_NAMES.every(
+      (n) => typeof s.custom?.[n] === "number" && s.custom[n] >= 0
+    ),
+});
+
+export const languageStore = createStore({
+  key: "language_v1",
+  version: 1,
+  initial: detectLanguage(),
+  validate: (lang) => typeof lang === "string" && lang in LANGUAGES,
+});
+
+const isDateMap = (m) =>
+  m !== null &&
+  typeof m === "object" &&
+  !Array.isArray(m) &&
+  Object.values(m).every((d) => typeof d === "string" && !isNaN(Date.parse(d)));
+
+// `seen` maps National Dex numbers to when they were first seen.
+export const dexStore = createStore({
+  key: "pokedex_v1",
+  version: 1,
+  initial: DEFAULT_DEX,
+  validate: (d) => d !== null && typeof d === "object" && isDateMap(d.seen),
+});
+
+// achievement id -> unlock date
+export const achievementsStore = createStore({
+  key: "achievements_v1",
+  version: 1,
+  initial: {},
+  validate: isDateMap,
+});
+
+export const profilesStore = createStore({
+  key: "profiles_v1",
+  version: 1,
+  initial: DEFAULT_PROFILES,
+  validate: isValidProfiles,
+});
+
+// One trainer's progress and settings; every profile has its own copy of
+// these, stored under `profile:<id>:<key>`. The UI language stays per device.
+const PROFILE_STORES = {
+  caught: caughtStore,
+  inventory: inventoryStore,
+  gameStats: gameStatsStore,
+  dex: dexStore,
+  achievements: achievementsStore,
+  teams: teamsStore,
+  powerSettings: powerSettingsStore,
+};
+
+/** The stores of profile `id`, keyed like `PROFILE_STORES`. */
+export function profileStores(id) {
+  return Object.fromEntries(
+    Object.entries(PROFILE_STORES).map(([name, store]) => [
+      name,
+      store.scoped(`profile:${id}`),
+    ])
+  );
+}
+
+/**
+ * Moves data saved before profiles existed into the default profile. Only
+ * runs while no profile list has been saved yet, so it happens once.
+ */
+export function adoptLegacyData() {
+  if (profilesStore.exists()) return;
+  const target = profileStores(DEFAULT_PROFILE_ID);
+  for (const [name, store] of Object.entries(PROFILE_STORES)) {
+    if (!store.exists() || target[name].exists()) continue;
+    copyRecord(store.key, target[name].key);
+    removeRecord(store.key);
+  }
+  profilesStore.save(DEFAULT_PROFILES);
+}
+
+/** Copies everything profile `from` has saved over to profile `to`. */
+export function copyProfileData(from, to) {
+  const source = profileStores(from);
+  const target = profileStores(to);
+  for (const name of Object.keys(PROFILE_STORES)) {
+    copyRecord(source[name].key, target[name].key);
+  }
+}
+
+export function removeProfileData(id) {
+  for (const store of Object.values(profileStores(id))) {
+    removeRecord(store.key);
+  }
+}
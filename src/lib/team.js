@@ -0,0 +1,146 @@
+import { newUid } from "./collection";
+import { STAT_NAMES, TYPES, baseStat } from "./pokemon";
+import { computePowerScore } from "./power";
+import { effectiveness } from "./typeChart";
+
+// Team builder model and analysis. A member keeps a snapshot of what the
+// analysis needs (types, stats, chosen moves with their types), so saved
+// teams can be analysed without refetching.
+
+export const TEAM_SIZE = 6;
+export const MOVES_PER_MEMBER = 4;
+
+export function createTeam(name = "New team") {
+  return {
+    uid: newUid(),
+    name,
+    members: [],
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * `pokemon` is a list item (`{ id, name, sprite, types, stats }`). The `uid`
+ * tells members apart, including two of the same species.
+ */
+export function createMember(pokemon, ability = null) {
+  return {
+    uid: newUid(),
+    id: pokemon.id,
+    name: pokemon.name,
+    sprite: pokemon.sprite,
+    types: pokemon.types,
+    stats: pokemon.stats,
+    ability,
+    moves: [], // [{ name, type, power, damageClass }]
+  };
+}
+
+/** Gives members saved before they had uids one. */
+export function addMemberUids(team) {
+  if (!Array.isArray(team?.members)) return team;
+  return {
+    ...team,
+    members: team.members.map((m) => ({ uid: newUid(), ...m })),
+  };
+}
+
+export function isValidTeam(t) {
+  return (
+    t !== null &&
+    typeof t === "object" &&
+    typeof t.uid === "string" &&
+    typeof t.name === "string" &&
+    Array.isArray(t.members) &&
+    t.members.length <= TEAM_SIZE &&
+    t.members.every(
+      (m) =>
+        typeof m.uid === "string" &&
+        Number.isInteger(m.id) &&
+        Array.isArray(m.types) &&
+        Array.isArray(m.stats) &&
+        Array.isArray(m.moves) &&
+        m.moves.length <= MOVES_PER_MEMBER
+    )
+  );
+}
+
+// Attacking types a member can use: its damaging moves, or its own types
+// (assumed STAB moves) until moves are picked.
+function attackTypes(member) {
+  const fromMoves = member.moves
+    .filter((m) => m.power > 0 && m.type)
+    .map((m) => m.type);
+  return fromMoves.length ? [...new Set(fromMoves)] : member.types;
+}
+
+/**
+ * For each defending type, the best multiplier the team can hit it with and
+ * which members manage it: `{ fire: { best: 2, by: ["blastoise"] }, ... }`.
+ */
+export function offensiveCoverage(members) {
+  return Object.fromEntries(
+    TYPES.map((def) => {
+      let best = 0;
+      let by = [];
+      for (const m of members) {
+        const mult = Math.max(
+          ...attackTypes(m).map((a) => effectiveness(a, [def]))
+        );
+        if (mult > best) {
+          best = mult;
+          by = [m.name];
+        } else if (mult === best) {
+          by.push(m.name);
+        }
+      }
+      return [def, { best, by }];
+    })
+  );
+}
+
+/**
+ * How many members are weak to / resist each attacking type. `shared` lists
+ * types at least `threshold` members are weak to and nobody resists well
+ * enough to cover.
+ */
+export function defensiveSummary(members, threshold = 2) {
+  const rows = TYPES.map((attack) => {
+    const mults = members.map((m) => effectiveness(attack, m.types));
+    return {
+      type: attack,
+      weak: mults.filter((x) => x > 1).length,
+      resist: mults.filter((x) => x < 1).length,
+      immune: mults.filter((x) => x === 0).length,
+    };
+  });
+  return {
+    rows,
+    shared: rows.filter((r) => r.weak >= threshold && r.weak > r.resist),
+  };
+}
+
+export function statSummary(members) {
+  if (members.length === 0) return null;
+  const average = Object.fromEntries(
+    STAT_NAMES.map((s) => [
+      s,
+      Math.round(
+        members.reduce((sum, m) => sum + baseStat(m.stats, s), 0) /
+          members.length
+      ),
+    ])
+  );
+  const scores = members.map((m) => ({
+    name: m.name,
+    score: computePowerScore(m.stats),
+  }));
+  return {
+    average,
+    averageTotal: Object.values(average).reduce((a, b) => a + b, 0),
+    powerScores: scores,
+    averagePower: Math.round(
+      scores.reduce((sum, s) => sum + s.score, 0) / scores.length
+    ),
+  };
+}
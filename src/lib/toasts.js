@@ -0,0 +1,62 @@
+import { newUid } from "./collection";
+
+// Toast notifications. Up to `MAX_VISIBLE` are shown stacked; the rest wait
+// in order until one is dismissed.
+
+export const MAX_VISIBLE = 3;
+
+// ms on screen; toasts with actions stay longer so there's time to click
+export const DURATION = 5000;
+export const ACTION_DURATION = 10000;
+
+/**
+ * Normalizes `{ tone, title, message, actions, duration, key }`:
+ *
+ * - `tone`: "info" | "success" | "error"
+ * - `actions`: `[{ label, onClick }]`; clicking one also dismisses the toast
+ * - `duration`: ms, or `null` to stay until dismissed
+ * - `key`: a toast with the same key replaces the earlier one instead of
+ *   stacking up (e.g. the same request failing repeatedly)
+ */
+export function createToast({
+  tone = "info",
+  title = null,
+  message,
+  actions = [],
+  duration,
+  key = null,
+}) {
+  return {
+    id: newUid(),
+    key,
+    tone,
+    title,
+    message,
+    actions,
+    duration:
+      duration !== undefined
+        ? duration
+        : actions.length
+          ? ACTION_DURATION
+          : DURATION,
+  };
+}
+
+export function pushToast(toasts, toast) {
+  if (toast.key === null) return [...toasts, toast];
+  const index = toasts.findIndex((t) => t.key === toast.key);
+  if (index === -1) return [...toasts, toast];
+  return toasts.map((t, i) => (i === index ? toast : t));
+}
+
+export function dismissToast(toasts, id) {
+  return toasts.filter((t) => t.id !== id);
+}
+
+/** `{ visible, waiting }`: the toasts on screen and how many are queued. */
+export function toastStack(toasts) {
+  return {
+    visible: toasts.slice(0, MAX_VISIBLE),
+    waiting: Math.max(0, toasts.length - MAX_VISIBLE),
+  };
+}
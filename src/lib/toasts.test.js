@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import {
+  ACTION_DURATION,
+  DURATION,
+  MAX_VISIBLE,
+  createToast,
+  dismissToast,
+  pushToast,
+  toastStack,
+} from "./toasts";
+
+describe("createToast", () => {
+  it("fills in defaults and stays longer with actions", () => {
+    const plain = createToast({ message: "Saved" });
+    expect(plain).toMatchObject({ tone: "info", key: null, actions: [] });
+    expect(plain.duration).toBe(DURATION);
+    const withAction = createToast({
+      message: "Failed",
+      actions: [{ label: "Retry", onClick: () => {} }],
+    });
+    expect(withAction.duration).toBe(ACTION_DURATION);
+    expect(createToast({ message: "Sticky", duration: null }).duration).toBe(
+      null
+    );
+  });
+});
+
+describe("pushToast", () => {
+  it("stacks toasts without a key", () => {
+    const a = createToast({ message: "a" });
+    const b = createToast({ message: "b" });
+    expect(pushToast(pushToast([], a), b)).toEqual([a, b]);
+  });
+
+  it("replaces a toast with the same key in place", () => {
+    const first = createToast({ message: "1 failed", key: "load" });
+    const other = createToast({ message: "other" });
+    const again = createToast({ message: "2 failed", key: "load" });
+    const list = pushToast(pushToast(pushToast([], first), other), again);
+    expect(list).toEqual([again, other]);
+  });
+
+  it("dismisses by id", () => {
+    const a = createToast({ message: "a" });
+    const b = createToast({ message: "b" });
+    expect(dismissToast([a, b], a.id)).toEqual([b]);
+  });
+});
+
+describe("toastStack", () => {
+  it("shows up to MAX_VISIBLE and queues the rest in order", () => {
+    const toasts = Array.from({ length: MAX_VISIBLE + 2 }, (_, i) =>
+      createToast({ message: `t${i}` })
+    );
+    const { visible, waiting } = toastStack(toasts);
+    expect(visible).toEqual(toasts.slice(0, MAX_VISIBLE));
+    expect(waiting).toBe(2);
+
+    // dismissing a visible toast brings the next one up
+    const next = toastStack(dismissToast(toasts, toasts[0].id));
+    expect(next.visible.at(-1)).toBe(toasts[MAX_VISIBLE]);
+    expect(next.waiting).toBe(1);
+    expect(toastStack([]).waiting).toBe(0);
+  });
+});
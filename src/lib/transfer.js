@@ -0,0 +1,225 @@
+import { newUid, normalizeEntry } from "./collection";
+import { caughtStore, gameStatsStore } from "./stores";
+
+// Export/import of the caught collection as JSON or CSV.
+
+export const EXPORT_APP = "pokemon-play";
+
+const CSV_COLUMNS = [
+  "uid",
+  "id",
+  "name",
+  "nickname",
+  "level",
+  "source",
+  "caughtAt",
+  "types",
+  "form",
+  "shiny",
+  "sprite",
+  "notes",
+];
+
+export function exportJson(caught, gameStats) {
+  return JSON.stringify(
+    {
+      app: EXPORT_APP,
+      exportedAt: new Date().toISOString(),
+      schema: caughtStore.version,
+      caught,
+      gameStats,
+    },
+    null,
+    2
+  );
+}
+
+function csvCell(value) {
+  const s = value == null ? "" : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function exportCsv(caught) {
+  const rows = caught.map((e) =>
+    CSV_COLUMNS.map((col) =>
+      csvCell(col === "types" ? e.types.join("|") : e[col])
+    ).join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+/** Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF. */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c !== ""));
+}
+
+function fromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header?.includes("id") || !header.includes("name")) {
+    throw new Error("CSV needs at least `id` and `name` columns");
+  }
+  const records = rows.map((cells) => {
+    const r = Object.fromEntries(header.map((h, i) => [h, cells[i] ?? ""]));
+    return {
+      ...r,
+      uid: r.uid || undefined,
+      id: Number(r.id),
+      level: r.level ? Number(r.level) : undefined,
+      types: r.types ? r.types.split("|") : [],
+      shiny: r.shiny === "true",
+      caughtAt: r.caughtAt || null,
+    };
+  });
+  return {
+    hasUids: header.includes("uid"),
+    // CSV rows always map onto the current schema
+    parsed: { schema: caughtStore.version, data: records.map(normalizeEntry) },
+  };
+}
+
+function fromJson(text) {
+  const json = JSON.parse(text);
+  // our export file
+  if (json && json.app === EXPORT_APP) {
+    return {
+      hasUids: json.schema >= 2,
+      parsed: { schema: json.schema ?? 1, data: json.caught ?? [] },
+      gameStats: json.gameStats,
+    };
+  }
+  // a raw copy of the localStorage value: enveloped, or a bare v1 array
+  const enveloped = json && !Array.isArray(json) && "schema" in json;
+  return { hasUids: enveloped && json.schema >= 2, parsed: json };
+}
+
+// A hand-edited file can repeat a uid; later copies get a fresh one so every
+// entry stays addressable.
+function uniqueUids(entries) {
+  const seen = new Set();
+  return entries.map((e) => {
+    const entry = seen.has(e.uid) ? { ...e, uid: newUid() } : e;
+    seen.add(entry.uid);
+    return entry;
+  });
+}
+
+/**
+ * Reads an exported file. Returns `{ format, entries, invalid, hasUids,
+ * gameStats }` or throws with a message suitable for the UI.
+ */
+export function parseImport(text, filename = "") {
+  const isCsv = /\.csv$/i.test(filename) || !/^\s*[[{]/.test(text);
+  let source;
+  try {
+    source = isCsv ? fromCsv(text) : fromJson(text);
+  } catch (e) {
+    throw new Error(`Could not read file: ${e.message}`);
+  }
+
+  const { data, invalid, error } = caughtStore.upgrade(source.parsed);
+  if (error) throw new Error(`Unsupported collection data: ${error}`);
+
+  let gameStats = null;
+  if (source.gameStats) {
+    const stats = gameStatsStore.upgrade(source.gameStats);
+    if (!stats.error) gameStats = stats.data;
+  }
+
+  return {
+    format: isCsv ? "csv" : "json",
+    entries: uniqueUids(data),
+    invalid,
+    hasUids: source.hasUids,
+    gameStats,
+  };
+}
+
+// Message keys for each import strategy.
+export const STRATEGIES = {
+  replace: "import.strategies.replace",
+  merge: "import.strategies.merge",
+  keepBoth: "import.strategies.keepBoth",
+};
+
+/**
+ * Combines `current` with an import. `merge` matches entries by uid, or by
+ * species id for old files that have no uids.
+ */
+export function mergeImport(current, imported, strategy) {
+  const { entries, hasUids } = imported;
+  if (strategy === "replace") return entries;
+
+  if (strategy === "keepBoth") {
+    const taken = new Set(current.map((e) => e.uid));
+    return [
+      ...current,
+      ...entries.map((e) => (taken.has(e.uid) ? { ...e, uid: newUid() } : e)),
+    ];
+  }
+
+  const next = current.slice();
+  const matched = new Set();
+  for (const incoming of entries) {
+    const i = next.findIndex((e, idx) =>
+      hasUids
+        ? e.uid === incoming.uid
+        : e.id === incoming.id && !matched.has(idx)
+    );
+    if (i === -1) {
+      next.push(incoming);
+    } else {
+      matched.add(i);
+      next[i] = { ...incoming, uid: next[i].uid };
+    }
+  }
+  return next;
+}
+
+/** What applying an import would change, compared by uid. */
+export function diffCollections(before, after) {
+  const prev = new Map(before.map((e) => [e.uid, e]));
+  const next = new Map(after.map((e) => [e.uid, e]));
+  const diff = { added: [], removed: [], updated: [], unchanged: 0 };
+  for (const [uid, e] of next) {
+    if (!prev.has(uid)) diff.added.push(e);
+    else if (JSON.stringify(prev.get(uid)) !== JSON.stringify(e)) {
+      diff.updated.push(e);
+    } else diff.unchanged++;
+  }
+  for (const [uid, e] of prev) if (!next.has(uid)) diff.removed.push(e);
+  return diff;
+}
@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { normalizeEntry } from "./collection";
+import { EXPORT_APP, exportJson, parseImport } from "./transfer";
+
+const entry = (uid, id, name) =>
+  normalizeEntry({ uid, id, name, sprite: "", types: ["normal"] });
+
+describe("parseImport", () => {
+  it("reads back an export", () => {
+    const caught = [entry("a", 19, "rattata"), entry("b", 16, "pidgey")];
+    const { entries, hasUids } = parseImport(exportJson(caught), "x.json");
+    expect(hasUids).toBe(true);
+    expect(entries).toEqual(caught);
+  });
+
+  it("gives repeated uids a fresh one", () => {
+    const text = JSON.stringify({
+      app: EXPORT_APP,
+      schema: 3,
+      caught: [entry("a", 19, "rattata"), entry("a", 16, "pidgey")],
+    });
+    const { entries } = parseImport(text, "x.json");
+    expect(entries.map((e) => e.name)).toEqual(["rattata", "pidgey"]);
+    expect(entries[0].uid).toBe("a");
+    expect(entries[1].uid).not.toBe("a");
+  });
+});
@@ -0,0 +1,195 @@
+import { TYPES } from "./pokemon";
+
+// Attacking type -> defending types that take other than 1x damage
+// (current generation chart).
+const CHART = {
+  normal: { rock: 0.5, ghost: 0, steel: 0.5 },
+  fire: {
+    fire: 0.5,
+    water: 0.5,
+    grass: 2,
+    ice: 2,
+    bug: 2,
+    rock: 0.5,
+    dragon: 0.5,
+    steel: 2,
+  },
+  water: { fire: 2, water: 0.5, grass: 0.5, ground: 2, rock: 2, dragon: 0.5 },
+  electric: {
+    water: 2,
+    electric: 0.5,
+    grass: 0.5,
+    ground: 0,
+    flying: 2,
+    dragon: 0.5,
+  },
+  grass: {
+    fire: 0.5,
+    water: 2,
+    grass: 0.5,
+    poison: 0.5,
+    ground: 2,
+    flying: 0.5,
+    bug: 0.5,
+    rock: 2,
+    dragon: 0.5,
+    steel: 0.5,
+  },
+  ice: {
+    fire: 0.5,
+    water: 0.5,
+    grass: 2,
+    ice: 0.5,
+    ground: 2,
+    flying: 2,
+    dragon: 2,
+    steel: 0.5,
+  },
+  fighting: {
+    normal: 2,
+    ice: 2,
+    poison: 0.5,
+    flying: 0.5,
+    psychic: 0.5,
+    bug: 0.5,
+    rock: 2,
+    ghost: 0,
+    dark: 2,
+    steel: 2,
+    fairy: 0.5,
+  },
+  poison: {
+    grass: 2,
+    poison: 0.5,
+    ground: 0.5,
+    rock: 0.5,
+    ghost: 0.5,
+    steel: 0,
+    fairy: 2,
+  },
+  ground: {
+    fire: 2,
+    electric: 2,
+    grass: 0.5,
+    poison: 2,
+    flying: 0,
+    bug: 0.5,
+    rock: 2,
+    steel: 2,
+  },
+  flying: {
+    electric: 0.5,
+    grass: 2,
+    fighting: 2,
+    bug: 2,
+    rock: 0.5,
+    steel: 0.5,
+  },
+  psychic: { fighting: 2, poison: 2, psychic: 0.5, dark: 0, steel: 0.5 },
+  bug: {
+    fire: 0.5,
+    grass: 2,
+    fighting: 0.5,
+    poison: 0.5,
+    flying: 0.5,
+    psychic: 2,
+    ghost: 0.5,
+    dark: 2,
+    steel: 0.5,
+    fairy: 0.5,
+  },
+  rock: {
+    fire: 2,
+    ice: 2,
+    fighting: 0.5,
+    ground: 0.5,
+    flying: 2,
+    bug: 2,
+    steel: 0.5,
+  },
+  ghost: { normal: 0, psychic: 2, ghost: 2, dark: 0.5 },
+  dragon: { dragon: 2, steel: 0.5, fairy: 0 },
+  dark: { fighting: 0.5, psychic: 2, ghost: 2, dark: 0.5, fairy: 0.5 },
+  steel: {
+    fire: 0.5,
+    water: 0.5,
+    electric: 0.5,
+    ice: 2,
+    rock: 2,
+    steel: 0.5,
+    fairy: 2,
+  },
+  fairy: {
+    fire: 0.5,
+    fighting: 2,
+    poison: 0.5,
+    dragon: 2,
+    dark: 2,
+    steel: 0.5,
+  },
+};
+
+// Buckets shown in the detail modal, strongest first.
+export const MULTIPLIERS = [4, 2, 0.5, 0.25, 0];
+
+export function formatMultiplier(m) {
+  if (m === 0.5) return "½x";
+  if (m === 0.25) return "¼x";
+  return `${m}x`;
+}
+
+/** Damage multiplier of an `attackType` move against a (dual-)typed target. */
+export function effectiveness(attackType, defendTypes) {
+  return defendTypes.reduce((m, t) => m * (CHART[attackType]?.[t] ?? 1), 1);
+}
+
+/** Multiplier every attacking type deals to a Pokémon with `types`. */
+export function defensiveProfile(types) {
+  return Object.fromEntries(TYPES.map((a) => [a, effectiveness(a, types)]));
+}
+
+/** `{ 4: [...], 2: [...], 0.5: [...], 0.25: [...], 0: [...] }` for `types`. */
+export function groupMatchups(types) {
+  const groups = Object.fromEntries(MULTIPLIERS.map((m) => [m, []]));
+  for (const [attack, m] of Object.entries(defensiveProfile(types))) {
+    if (m !== 1) groups[m].push(attack);
+  }
+  return groups;
+}
+
+/**
+ * Best same-type attack `attacker` has against `defender`, e.g.
+ * `{ type: "water", multiplier: 2 }`. Uses the attacker's own types, so it's
+ * the simple "who has the advantage" view. Null when either side has no types.
+ */
+export function bestAttack(attackerTypes, defenderTypes) {
+  if (attackerTypes.length === 0 || defenderTypes.length === 0) return null;
+  return attackerTypes
+    .map((type) => ({ type, multiplier: effectiveness(type, defenderTypes) }))
+    .sort((a, b) => b.multiplier - a.multiplier)[0];
+}
+
+/**
+ * Message (`{ winner, key, params }`) explaining why `a` does (or doesn't)
+ * beat `b`, or null when either of them has no types.
+ */
+export function explainMatchup(a, b) {
+  const ab = bestAttack(a.types, b.types);
+  const ba = bestAttack(b.types, a.types);
+  if (!ab || !ba) return null;
+  // the winner (or `a` on a tie) is the attacker
+  const [x, y, hit, counter] =
+    ba.multiplier > ab.multiplier ? [b, a, ba, ab] : [a, b, ab, ba];
+  const params = {
+    attacker: x.name,
+    defender: y.name,
+    attackType: hit.type,
+    attackMultiplier: formatMultiplier(hit.multiplier),
+    counterType: counter.type,
+    counterMultiplier: formatMultiplier(counter.multiplier),
+  };
+  if (ab.multiplier === ba.multiplier) {
+    return { winner: null, key: "compare.notes.neutral", params };
+  }
+  return { winner: x.name, key: "compare.notes.advantage", params };
+}
@@ -0,0 +1,58 @@
+import { describe, expect, it } from "vitest";
+import { bestAttack, effectiveness, explainMatchup } from "./typeChart";
+
+describe("effectiveness", () => {
+  it("multiplies over both defending types", () => {
+    expect(effectiveness("ice", ["dragon", "ground"])).toBe(4);
+    expect(effectiveness("electric", ["water", "ground"])).toBe(0);
+    expect(effectiveness("normal", ["water"])).toBe(1);
+  });
+});
+
+describe("bestAttack", () => {
+  it("picks the attacker's strongest type", () => {
+    expect(bestAttack(["fire", "water"], ["rock"])).toEqual({
+      type: "water",
+      multiplier: 2,
+    });
+  });
+
+  it("returns null when either side has no types", () => {
+    expect(bestAttack([], ["rock"])).toBeNull();
+    expect(bestAttack(["water"], [])).toBeNull();
+  });
+});
+
+describe("explainMatchup", () => {
+  const squirtle = { name: "squirtle", types: ["water"] };
+  const charmander = { name: "charmander", types: ["fire"] };
+
+  it("names the side with the better hit", () => {
+    expect(explainMatchup(squirtle, charmander).winner).toBe("squirtle");
+    expect(explainMatchup(charmander, squirtle)).toEqual({
+      winner: "squirtle",
+      key: "compare.notes.advantage",
+      params: {
+        attacker: "squirtle",
+        defender: "charmander",
+        attackType: "water",
+        attackMultiplier: "2x",
+        counterType: "fire",
+        counterMultiplier: "½x",
+      },
+    });
+  });
+
+  it("calls an even matchup neutral", () => {
+    const note = explainMatchup(squirtle, {
+      name: "rattata",
+      types: ["normal"],
+    });
+    expect(note.winner).toBeNull();
+    expect(note.key).toBe("compare.notes.neutral");
+  });
+
+  it("returns null when a Pokémon has no types", () => {
+    expect(explainMatchup(squirtle, { name: "x", types: [] })).toBeNull();
+  });
+});
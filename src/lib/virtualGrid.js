@@ -0,0 +1,44 @@
+// Windowing maths for a grid of equal-height rows scrolled by the page.
+
+/** Columns of the dex grid at `width` (matches `sm:grid-cols-2 lg:grid-cols-3`). */
+export function gridColumns(width) {
+  if (width >= 1024) return 3;
+  if (width >= 640) return 2;
+  return 1;
+}
+
+/**
+ * Which items of a `count`-long grid to render. `top` is the grid's offset
+ * from the top of the viewport (negative once scrolled past), `rowHeight`
+ * includes the gap. Returns the item slice `[start, end)`, the padding that
+ * stands in for the rows left out and how many rows remain below the window.
+ */
+export function visibleRange({
+  count,
+  columns,
+  rowHeight,
+  top,
+  viewportHeight,
+  overscan = 2,
+}) {
+  const rows = Math.ceil(count / columns);
+  const firstRow = Math.max(0, Math.floor(-top / rowHeight) - overscan);
+  const lastRow = Math.min(
+    rows,
+    Math.ceil((viewportHeight - top) / rowHeight) + overscan
+  );
+  // After the list shrinks under a scrolled page, show its tail rather than
+  // nothing until the next scroll event.
+  const startRow = Math.max(
+    0,
+    Math.min(firstRow, rows - Math.ceil(viewportHeight / rowHeight))
+  );
+  const endRow = Math.max(startRow, lastRow);
+  return {
+    start: startRow * columns,
+    end: Math.min(count, endRow * columns),
+    paddingTop: startRow * rowHeight,
+    paddingBottom: (rows - endRow) * rowHeight,
+    rowsBelow: rows - endRow,
+  };
+}
@@ -2,9 +2,18 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import I18nProvider from './components/I18nProvider.jsx'
+import ProfileProvider from './components/ProfileProvider.jsx'
+import ToastProvider from './components/ToastProvider.jsx'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <I18nProvider>
+      <ToastProvider>
+        <ProfileProvider>
+          <App />
+        </ProfileProvider>
+      </ToastProvider>
+    </I18nProvider>
   </StrictMode>,
 )
@@ -5,7 +5,13 @@ export default {
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      // dialogs opened from the detail modal (z-50), and toasts above them
+      zIndex: {
+        60: "60",
+        70: "70",
+      },
+    },
   },
   plugins: [],
 }
\ No newline at end of file
@@ -1,7 +1,67 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
+
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, '.')
+  const apiBase = (env.VITE_POKEAPI_BASE || 'https://pokeapi.co/api/v2').replace(/\/+$/, '')
+
+  return {
+    plugins: [
+      react(),
+      VitePWA({
+        registerType: 'autoUpdate',
+        includeAssets: ['vite.svg', 'apple-touch-icon.png'],
+        manifest: {
+          name: 'Playing Pokemon',
+          short_name: 'Pokemon Play',
+          description: 'Browse, evaluate, play & catch Pokémon',
+          theme_color: '#0f172a',
+          background_color: '#0f172a',
+          display: 'standalone',
+          icons: [
+            { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+            { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+            {
+              src: 'maskable-512x512.png',
+              sizes: '512x512',
+              type: 'image/png',
+              purpose: 'maskable',
+            },
+          ],
+        },
+        workbox: {
+          // app shell; client-side routes fall back to index.html
+          globPatterns: ['**/*.{js,css,html,svg,png}'],
+          navigateFallback: 'index.html',
+          runtimeCaching: [
+            {
+              // PokeAPI JSON. The app keeps its own IndexedDB cache too; this
+              // also covers the first load of a page after going offline.
+              urlPattern: new RegExp(`^${escape(apiBase)}/`),
+              handler: 'StaleWhileRevalidate',
+              options: {
+                cacheName: 'pokeapi-json',
+                expiration: { maxEntries: 5000, maxAgeSeconds: 30 * 24 * 60 * 60 },
+                cacheableResponse: { statuses: [200] },
+              },
+            },
+            {
+              // sprites and official artwork (opaque, so status 0 is allowed)
+              urlPattern: /^https:\/\/raw\.githubusercontent\.com\/PokeAPI\/sprites\//,
+              handler: 'CacheFirst',
+              options: {
+                cacheName: 'pokeapi-media',
+                expiration: { maxEntries: 3000, maxAgeSeconds: 90 * 24 * 60 * 60 },
+                cacheableResponse: { statuses: [0, 200] },
+              },
+            },
+          ],
+        },
+      }),
+    ],
+  }
 })